@@ -0,0 +1,235 @@
+// Circularity - local Material Circularity Indicator (MCI) calculator
+// Shared by the service worker (importScripts) and the extension pages
+// (<script src="circularity.js">). Implements the Ellen MacArthur Foundation
+// MCI method per unit mass of product, so the backend's circularity_score and
+// raw_json.circularity_metrics can be checked and the gap explained.
+
+'use strict';
+
+const Circularity = (() => {
+  /**
+   * MCI inputs, all fractions 0–1 except the two ratios
+   *   recycled_input   F_R  feedstock from recycled sources
+   *   reused_input     F_U  feedstock from reused components
+   *   collection_rate  C_R  collected for recycling at end of life
+   *   reuse_rate       C_U  collected for component reuse
+   *   recycling_yield  E_C  efficiency of recycling the collected product
+   *   feedstock_yield  E_F  efficiency of the process making the recycled feedstock
+   *   lifetime_ratio   L/L_av  lifetime relative to the industry average
+   *   intensity_ratio  U/U_av  functional units per use relative to the average
+   */
+  const FIELDS = {
+    recycled_input: { label: 'Recycled input', unit: '%' },
+    reused_input: { label: 'Reused input', unit: '%' },
+    collection_rate: { label: 'Collected for recycling', unit: '%' },
+    reuse_rate: { label: 'Collected for reuse', unit: '%' },
+    recycling_yield: { label: 'End-of-life recycling yield', unit: '%' },
+    feedstock_yield: { label: 'Recycled feedstock yield', unit: '%' },
+    lifetime_ratio: { label: 'Lifetime vs average', unit: '×' },
+    intensity_ratio: { label: 'Intensity of use vs average', unit: '×' }
+  };
+
+  const DEFAULTS = {
+    reused_input: 0,
+    reuse_rate: 0,
+    lifetime_ratio: 1,
+    intensity_ratio: 1
+  };
+
+  // End-of-life collection rates and recycling yields by material
+  const MATERIAL_DEFAULTS = {
+    aluminium: { collection_rate: 0.7, recycling_yield: 0.9, feedstock_yield: 0.95 },
+    copper: { collection_rate: 0.6, recycling_yield: 0.9, feedstock_yield: 0.95 },
+    steel: { collection_rate: 0.85, recycling_yield: 0.9, feedstock_yield: 0.9 },
+    other: { collection_rate: 0.5, recycling_yield: 0.85, feedstock_yield: 0.85 }
+  };
+
+  // Utility factor F(X) = 0.9 / X, as in the MCI methodology
+  const UTILITY_CONSTANT = 0.9;
+
+  // Backend MCIs this far from the local one (either way) are flagged
+  const LARGE_DIFFERENCE = 0.1;
+
+  // Gap left after swapping in the backend's inputs that is worth mentioning
+  const MIN_UNEXPLAINED = 0.02;
+
+  /**
+   * MCI inputs for an analysis: recycled input from the LCA parameters
+   * (mass-weighted over the components of an assembly), material defaults
+   * for the rest, then any values set by the user
+   * @param {Object} userInputs - user_inputs: { material, recycled_percent, components, ... }
+   * @param {Object} overrides - Input values (fractions/ratios) set in the calculator
+   */
+  function inputsFor(userInputs = {}, overrides = {}) {
+    const material = MATERIAL_DEFAULTS[userInputs.material] ? userInputs.material : 'other';
+    const components = (userInputs.components || []).filter(component => positive(component.mass_kg) > 0);
+    const mass = components.reduce((sum, component) => sum + positive(component.mass_kg), 0);
+    const recycledPercent = components.length > 0
+      ? components.reduce((sum, component) =>
+        sum + (Number(component.recycled_percent) || 0) * positive(component.mass_kg), 0) / mass
+      : Number(userInputs.recycled_percent);
+    const inputs = {
+      ...DEFAULTS,
+      ...MATERIAL_DEFAULTS[material],
+      recycled_input: clamp(recycledPercent / 100 || 0)
+    };
+
+    Object.entries(overrides || {}).forEach(([field, value]) => {
+      if (FIELDS[field] && Number.isFinite(Number(value))) inputs[field] = Number(value);
+    });
+
+    return inputs;
+  }
+
+  /**
+   * Calculate the MCI per unit mass (M = 1)
+   * @param {Object} inputs - See FIELDS
+   * @returns {Object} { mci, lfi, utility_factor, virgin_input, waste, inputs }
+   */
+  function calculate(inputs) {
+    const recycled = clamp(inputs.recycled_input);
+    const reused = clamp(inputs.reused_input, 0, 1 - recycled);
+    const collected = clamp(inputs.collection_rate);
+    const reuse = clamp(inputs.reuse_rate, 0, 1 - collected);
+    const recyclingYield = clamp(inputs.recycling_yield);
+    // A zero yield would make recycled feedstock infinitely wasteful
+    const feedstockYield = clamp(inputs.feedstock_yield, 0.01);
+    const lifetime = positive(inputs.lifetime_ratio) || 1;
+    const intensity = positive(inputs.intensity_ratio) || 1;
+
+    // Virgin feedstock and unrecoverable waste
+    const virgin = 1 - recycled - reused;
+    const landfill = 1 - collected - reuse;
+    const collectionWaste = (1 - recyclingYield) * collected;
+    const feedstockWaste = (1 - feedstockYield) * recycled / feedstockYield;
+    const waste = landfill + (feedstockWaste + collectionWaste) / 2;
+
+    const lfi = (virgin + waste) / (2 + (feedstockWaste - collectionWaste) / 2);
+    const utilityFactor = UTILITY_CONSTANT / (lifetime * intensity);
+    const mci = Math.max(0, 1 - lfi * utilityFactor);
+
+    return {
+      mci: round(mci, 3),
+      lfi: round(lfi, 3),
+      utility_factor: round(utilityFactor, 3),
+      virgin_input: round(virgin, 3),
+      waste: round(waste, 3),
+      inputs: {
+        ...inputs,
+        recycled_input: recycled,
+        reused_input: reused,
+        collection_rate: collected,
+        reuse_rate: reuse,
+        recycling_yield: recyclingYield,
+        feedstock_yield: feedstockYield,
+        lifetime_ratio: lifetime,
+        intensity_ratio: intensity
+      }
+    };
+  }
+
+  /**
+   * Compare a local calculation with the (normalised) backend result. The gap
+   * is explained by recalculating with each input the backend reports in
+   * raw_json.circularity_metrics swapped in.
+   * @returns {Object|null} { local_mci, backend_mci, difference, flagged,
+   *   explanations: [{ field, local, backend, effect }], unexplained }
+   *   or null without a backend MCI or circularity score
+   */
+  function compare(local, result) {
+    if (!local || !result) return null;
+
+    const metrics = (result.raw_json && result.raw_json.circularity_metrics) || {};
+    const backendMci = typeof metrics.material_circularity_indicator === 'number'
+      ? metrics.material_circularity_indicator
+      : typeof result.circularity_score === 'number' ? result.circularity_score / 100 : null;
+    if (backendMci === null) return null;
+
+    // Backend inputs in calculator terms; the utility factor stands for X = 0.9 / F
+    const reported = {};
+    if (typeof metrics.recycled_input_rate === 'number') {
+      reported.recycled_input = metrics.recycled_input_rate;
+    }
+    if (typeof metrics.end_of_life_recovery_rate === 'number') {
+      reported.collection_rate = Math.max(0, metrics.end_of_life_recovery_rate - local.inputs.reuse_rate);
+    }
+    if (typeof metrics.utility_factor === 'number' && metrics.utility_factor > 0) {
+      reported.lifetime_ratio = UTILITY_CONSTANT / metrics.utility_factor / local.inputs.intensity_ratio;
+    }
+
+    const explanations = [];
+    Object.entries(reported).forEach(([field, value]) => {
+      if (Math.abs(value - local.inputs[field]) < 0.005) return;
+      const swapped = calculate({ ...local.inputs, [field]: value });
+      explanations.push({
+        field,
+        local: field === 'lifetime_ratio' ? local.utility_factor : local.inputs[field],
+        backend: field === 'lifetime_ratio' ? metrics.utility_factor : value,
+        effect: round(swapped.mci - local.mci, 3)
+      });
+    });
+
+    const allSwapped = calculate({ ...local.inputs, ...reported });
+    const unexplained = round(backendMci - allSwapped.mci, 3);
+    const difference = round(backendMci - local.mci, 3);
+
+    return {
+      local_mci: local.mci,
+      backend_mci: round(backendMci, 3),
+      difference,
+      flagged: Math.abs(difference) >= LARGE_DIFFERENCE,
+      explanations: explanations.sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect)),
+      unexplained: Math.abs(unexplained) >= MIN_UNEXPLAINED ? unexplained : 0
+    };
+  }
+
+  /**
+   * Human-readable gap explanation lines for a comparison
+   */
+  function explain(check) {
+    if (!check) return [];
+
+    const lines = check.explanations.map(({ field, local, backend, effect }) => {
+      const name = field === 'lifetime_ratio' ? 'Utility factor' : FIELDS[field].label;
+      const value = (number) => field === 'lifetime_ratio' ? number.toFixed(2) : `${Math.round(number * 100)}%`;
+      return `${name}: backend ${value(backend)} vs ${value(local)} here (${signed(effect)} MCI)`;
+    });
+
+    if (check.unexplained) {
+      lines.push(`${signed(check.unexplained)} MCI not explained by the reported inputs – yields, reuse or method differences`);
+    }
+    return lines;
+  }
+
+  // Helpers
+
+  function signed(value) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+  }
+
+  function clamp(value, min = 0, max = 1) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : min;
+  }
+
+  function positive(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  }
+
+  function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  return {
+    FIELDS,
+    DEFAULTS,
+    MATERIAL_DEFAULTS,
+    LARGE_DIFFERENCE,
+    inputsFor,
+    calculate,
+    compare,
+    explain
+  };
+})();
@@ -4,85 +4,313 @@
 (function() {
   'use strict';
   
+  // Injected a second time by the popup's fallback - keep the first listener
+  if (window.lcaExtractor) return;
+  
   // Listen for messages from popup or background
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'extractContent') {
-      try {
-        const pageData = extractPageContent();
-        sendResponse({ success: true, data: pageData });
-      } catch (error) {
-        sendResponse({ success: false, error: error.message });
-      }
+      extractPageContent()
+        .then(pageData => sendResponse({ success: true, data: pageData }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+    } else if (request.action === 'extractSelection') {
+      extractSelection(request.scope)
+        .then(selectionData => sendResponse({ success: true, data: selectionData }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
     }
     
     return true; // Keep message channel open for async response
   });
   
   /**
-   * Extract comprehensive page content
-   * @returns {Object} Page data including text, metadata, and structured data
+   * Extract comprehensive page content.
+   * The site's rule set from ExtractionRules (extraction_rules.js), plus any
+   * regions picked for the site with the element picker, narrows the text to
+   * the product content, adds mapped fields and sets the page type.
+   * @returns {Promise<Object>} Page data including text, metadata, and structured data
    */
-  function extractPageContent() {
-    // Extract main text content
-    const rawText = extractText();
+  async function extractPageContent() {
+    const rule = await ExtractionRules.forPage(window.location.hostname);
+    
+    // Extract main text content, split into sections at headings
+    const content = extractMainContent(rule);
+    const rawText = content.text;
+    
+    // Datasheet tables and definition lists as structured rows
+    const tables = extractTables(rule);
     
     // Extract metadata
     const metadata = extractMetadata();
     
-    // Extract structured data
+    // Extract structured data and the product record built from it
     const structuredData = extractStructuredData();
+    const product = extractProduct(structuredData);
     
-    // Detect page type and extract relevant data
-    const pageType = detectPageType();
+    // Alloy and grade designations (Grades, grades.js)
+    const grades = Grades.detect({ title: metadata.title, raw_text: rawText });
+    
+    // Site rules know the page type; otherwise guess from keywords
+    const pageType = (rule && rule.pageType) || detectPageType();
     
     return {
       raw_text: rawText,
+      sections: content.sections,
+      content_report: content.report,
       title: metadata.title,
       url: window.location.href,
+      content_type: document.contentType,
       meta_description: metadata.description,
       meta_keywords: metadata.keywords,
       structured_data: structuredData,
+      product,
+      grades,
       page_type: pageType,
+      fields: extractFields(rule),
+      tables,
+      extraction_rule: rule ? rule.id : null,
+      picked_regions: rule && rule.picked
+        ? { include: rule.picked.include.length, exclude: rule.picked.exclude.length }
+        : null,
+      extracted_at: new Date().toISOString(),
+      word_count: countWords(rawText),
+      char_count: rawText.length
+    };
+  }
+  
+  /**
+   * Extract the current text selection with the page's metadata, for the
+   * "Analyse selection for LCA" context menu
+   * @param {string} scope - 'selection' for the selected text, 'element' for
+   *   the whole element the selection sits in
+   * @returns {Promise<Object>} Page data shaped like extractPageContent's
+   */
+  async function extractSelection(scope = 'selection') {
+    const selectionText = window.getSelection().toString().replace(/[ \t]+/g, ' ').trim();
+    const elementText = (extractSelectedElement() || '').replace(/[ \t]+/g, ' ').trim();
+    const rawText = scope === 'element' && elementText ? elementText : selectionText;
+    
+    if (!rawText) {
+      throw new Error('Nothing is selected');
+    }
+    
+    const rule = await ExtractionRules.match(window.location.hostname);
+    const metadata = extractMetadata();
+    const structuredData = extractStructuredData();
+    
+    return {
+      raw_text: rawText,
+      selection_text: selectionText,
+      source_type: 'selection',
+      title: metadata.title,
+      url: window.location.href,
+      content_type: document.contentType,
+      meta_description: metadata.description,
+      meta_keywords: metadata.keywords,
+      structured_data: structuredData,
+      product: extractProduct(structuredData),
+      grades: Grades.detect({ title: metadata.title, raw_text: rawText }),
+      page_type: (rule && rule.pageType) || detectPageType(),
+      fields: {},
+      tables: [],
+      extraction_rule: null,
       extracted_at: new Date().toISOString(),
       word_count: countWords(rawText),
       char_count: rawText.length
     };
   }
   
+  // Always removed, whatever the site rule says
+  const UNWANTED_SELECTORS = [
+    'script', 'style', 'noscript', 'iframe',
+    'nav', 'header', 'footer', '.advertisement',
+    '[aria-hidden="true"]', '.hidden'
+  ];
+  
+  // Removed elements that never hold readable text, so aren't reported
+  const NON_TEXT_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME'];
+  
   /**
-   * Extract visible text from page
-   * Filters out scripts, styles, and hidden elements
+   * Clone the page content to read from
+   * Filters out scripts, styles, and hidden elements, plus the rule's
+   * exclude selectors; narrows to the rule's include selectors when they match
+   * (picked regions are part of the rule, see ExtractionRules.forPage)
+   * @param {Object} rule - Site rule, if any
+   * @param {Object[]} dropped - Optional list that removed blocks are reported to
+   * @returns {Element[]} Detached content roots
    */
-  function extractText() {
+  function getContentRoots(rule = null, dropped = null) {
     // Clone the body to avoid modifying the actual page
     const bodyClone = document.body.cloneNode(true);
     
-    // Remove unwanted elements
-    const unwantedSelectors = [
-      'script', 'style', 'noscript', 'iframe',
-      'nav', 'header', 'footer', '.advertisement',
-      '[aria-hidden="true"]', '.hidden'
-    ];
+    // Look every selector up before removing anything: picked selectors hold
+    // :nth-of-type positions from the live page, which removals would shift
+    const unwantedSelectors = UNWANTED_SELECTORS.concat(rule ? rule.exclude : []);
+    const unwanted = unwantedSelectors.map(selector => Array.from(bodyClone.querySelectorAll(selector)));
+    const included = rule ? rule.include.flatMap(selector => Array.from(bodyClone.querySelectorAll(selector))) : [];
     
-    unwantedSelectors.forEach(selector => {
-      bodyClone.querySelectorAll(selector).forEach(el => el.remove());
+    // Remove unwanted elements (skipping ones already gone with an ancestor)
+    unwanted.forEach((elements, index) => {
+      elements.forEach(el => {
+        if (!bodyClone.contains(el)) return;
+        if (dropped && !NON_TEXT_TAGS.includes(el.tagName)) {
+          MainContent.addDropped(dropped, el, getDropReason(unwantedSelectors[index], index, rule));
+        }
+        el.remove();
+      });
     });
     
-    // Get text content
-    let text = bodyClone.innerText || bodyClone.textContent || '';
+    // Narrow down to the rule's content areas, dropping removed ones and ones nested in another match
+    if (included.length > 0) {
+      const remaining = included.filter(el => bodyClone.contains(el));
+      const topLevel = remaining.filter(el => !remaining.some(other => other !== el && other.contains(el)));
+      if (topLevel.length > 0) {
+        return Array.from(new Set(topLevel));
+      }
+    }
     
-    // Clean up whitespace
-    text = text
-      .replace(/\s+/g, ' ')  // Collapse multiple spaces
-      .replace(/\n\s*\n/g, '\n')  // Remove empty lines
-      .trim();
+    return [bodyClone];
+  }
+  
+  function getDropReason(selector, index, rule) {
+    if (index < UNWANTED_SELECTORS.length) return 'filtered';
+    return rule.picked && rule.picked.exclude.includes(selector) ? 'picked' : 'site rule';
+  }
+  
+  /**
+   * Extract the page's main text.
+   * Site rules say where the content is; otherwise MainContent (main_content.js)
+   * scores the page and drops boilerplate. Headings are kept as section starts
+   * so long texts can be uploaded in section-aligned chunks.
+   * @returns {Object} { text, sections, report } - report lists what was kept
+   *   and dropped: { method, kept_chars, dropped_chars, dropped }
+   */
+  function extractMainContent(rule = null) {
+    const dropped = [];
+    let roots = getContentRoots(rule, dropped);
+    let method = rule && rule.picked && rule.picked.include.length > 0 ? 'picked' : 'rule';
     
-    // Limit to 50k characters to avoid overwhelming the backend
-    if (text.length > 50000) {
-      text = text.substring(0, 50000) + '\n\n[Content truncated at 50,000 characters. Enable Selenium for full extraction.]';
+    // Not narrowed down by a site rule: find the main content by scoring
+    if (roots.length === 1 && roots[0].tagName === 'BODY') {
+      const body = roots[0];
+      const main = MainContent.find(body);
+      roots = main.roots;
+      dropped.push(...main.dropped);
+      method = roots[0] === body ? 'full' : 'scored';
     }
     
-    return text;
+    const { text, sections } = MainContent.readSections(roots);
+    
+    return {
+      text,
+      sections,
+      report: {
+        method,
+        kept_chars: text.length,
+        dropped_chars: dropped.reduce((sum, block) => sum + block.chars, 0),
+        dropped: MainContent.summarizeDropped(dropped)
+      }
+    };
+  }
+  
+  // Tables sent per page at most
+  const MAX_TABLES = 20;
+  
+  /**
+   * Parse datasheet tables and definition lists into structured rows
+   * (see TableParser in table_parser.js for the row format)
+   * @returns {Object[]} [{ kind, caption, columns?, rows }]
+   */
+  function extractTables(rule = null) {
+    const tables = [];
+    
+    getContentRoots(rule).forEach(root => {
+      root.querySelectorAll('table, dl').forEach(el => {
+        if (tables.length >= MAX_TABLES) return;
+        
+        const table = el.tagName === 'DL' ? parseDefinitionList(el) : parseTable(el);
+        if (table && table.rows.length > 0) {
+          table.caption = getTableCaption(el);
+          tables.push(table);
+        }
+      });
+    });
+    
+    return tables;
+  }
+  
+  function parseTable(table) {
+    // Tables holding other tables are page layout, not data
+    if (table.querySelector('table')) return null;
+    
+    const rows = Array.from(table.rows)
+      .map(row => Array.from(row.cells))
+      .filter(cells => cells.some(cell => cleanCellText(cell)));
+    
+    // Explicit header row: in <thead>, or all <th> above a row that isn't
+    const isHeaderRow = cells => cells.every(cell => cell.tagName === 'TH');
+    const explicitHeader = Boolean(table.tHead) ||
+      (rows.length > 1 && isHeaderRow(rows[0]) && !isHeaderRow(rows[1]));
+    
+    return TableParser.fromRows(rows.map(cells => cells.map(cleanCellText)), { explicitHeader });
+  }
+  
+  function parseDefinitionList(list) {
+    const pairs = [];
+    let key = null;
+    
+    Array.from(list.children).forEach(child => {
+      if (child.tagName === 'DT') {
+        key = cleanCellText(child);
+      } else if (child.tagName === 'DD' && key) {
+        pairs.push([key, cleanCellText(child)]);
+      }
+    });
+    
+    return TableParser.fromPairs(pairs);
+  }
+  
+  function cleanCellText(cell) {
+    return (cell.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Table title: its <caption>, or the closest heading before it
+   */
+  function getTableCaption(el) {
+    const caption = el.querySelector('caption');
+    if (caption) return cleanCellText(caption);
+    
+    let node = el;
+    for (let depth = 0; node && depth < 4; depth++) {
+      let sibling = node.previousElementSibling;
+      while (sibling) {
+        if (/^H[1-6]$/.test(sibling.tagName)) return cleanCellText(sibling);
+        const headings = sibling.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        if (headings.length > 0) return cleanCellText(headings[headings.length - 1]);
+        sibling = sibling.previousElementSibling;
+      }
+      node = node.parentElement;
+    }
+    return null;
+  }
+  
+  /**
+   * Read the rule's field mappings (field name → selector) from the live page
+   * @returns {Object} Field values; fields whose selector matched nothing are left out
+   */
+  function extractFields(rule) {
+    const fields = {};
+    if (!rule) return fields;
+    
+    Object.entries(rule.fields).forEach(([field, selector]) => {
+      const el = document.querySelector(selector);
+      const value = el ? (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+      if (value) {
+        fields[field] = value;
+      }
+    });
+    
+    return fields;
   }
   
   /**
@@ -108,7 +336,9 @@
   }
   
   /**
-   * Extract structured data (JSON-LD, microdata, etc.)
+   * Extract structured data (JSON-LD, microdata and RDFa).
+   * Microdata and RDFa items are read into nested objects shaped like JSON-LD
+   * ("@type" plus one key per property, repeated properties as arrays).
    */
   function extractStructuredData() {
     const structuredData = [];
@@ -126,18 +356,272 @@
       }
     });
     
-    // Extract microdata (basic support)
-    const itemScopes = document.querySelectorAll('[itemscope]');
-    if (itemScopes.length > 0) {
+    // Extract microdata - top-level items only, nested ones become property values
+    document.querySelectorAll('[itemscope]:not([itemprop])').forEach(item => {
       structuredData.push({
         type: 'microdata',
-        count: itemScopes.length
+        data: readMicrodataItem(item, new Set())
       });
-    }
+    });
+    
+    // Extract RDFa - typed resources that aren't the value of another property
+    document.querySelectorAll('[typeof]:not([property])').forEach(item => {
+      structuredData.push({
+        type: 'rdfa',
+        data: readRdfaItem(item, new Set())
+      });
+    });
     
     return structuredData;
   }
   
+  // Elements whose microdata value is a URL attribute rather than their text
+  const MICRODATA_URL_ATTRIBUTES = {
+    A: 'href', AREA: 'href', LINK: 'href',
+    AUDIO: 'src', EMBED: 'src', IFRAME: 'src', IMG: 'src', SOURCE: 'src', TRACK: 'src', VIDEO: 'src',
+    OBJECT: 'data'
+  };
+  
+  /**
+   * Read a microdata item (itemscope) and its properties, following itemref
+   * @param {Element} item - Element with itemscope
+   * @param {Set<Element>} visited - Items already on the path, to stop itemref loops
+   */
+  function readMicrodataItem(item, visited) {
+    visited.add(item);
+    const data = {};
+    
+    const type = item.getAttribute('itemtype');
+    if (type) data['@type'] = schemaTypeName(type.split(/\s+/)[0]);
+    if (item.getAttribute('itemid')) data['@id'] = item.getAttribute('itemid');
+    
+    const roots = [item];
+    (item.getAttribute('itemref') || '').split(/\s+/).filter(Boolean).forEach(id => {
+      const referenced = document.getElementById(id);
+      if (referenced) roots.push(referenced);
+    });
+    
+    const readProperty = (el) => {
+      const value = el.hasAttribute('itemscope')
+        ? (visited.has(el) ? null : readMicrodataItem(el, new Set(visited)))
+        : microdataValue(el);
+      el.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+        addProperty(data, name, value);
+      });
+    };
+    
+    const walk = (el) => {
+      Array.from(el.children).forEach(child => {
+        if (child.hasAttribute('itemprop')) readProperty(child);
+        // Properties inside a nested item belong to that item
+        if (!child.hasAttribute('itemscope')) walk(child);
+      });
+    };
+    
+    roots.forEach(root => {
+      if (root !== item && root.hasAttribute('itemprop')) readProperty(root);
+      if (root === item || !root.hasAttribute('itemscope')) walk(root);
+    });
+    
+    return data;
+  }
+  
+  function microdataValue(el) {
+    if (el.tagName === 'META') return el.getAttribute('content') || '';
+    if (el.tagName === 'TIME' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    if ((el.tagName === 'DATA' || el.tagName === 'METER') && el.hasAttribute('value')) return el.getAttribute('value');
+    
+    const urlAttribute = MICRODATA_URL_ATTRIBUTES[el.tagName];
+    if (urlAttribute && el.hasAttribute(urlAttribute)) return el[urlAttribute] || el.getAttribute(urlAttribute);
+    
+    return cleanCellText(el);
+  }
+  
+  /**
+   * Read an RDFa item (typeof) and its properties
+   * @param {Element} item - Element with typeof
+   * @param {Set<Element>} visited - Items already read, in case of odd nesting
+   */
+  function readRdfaItem(item, visited) {
+    visited.add(item);
+    const data = {};
+    
+    const types = item.getAttribute('typeof').split(/\s+/).filter(Boolean);
+    if (types.length > 0) data['@type'] = schemaTypeName(types[0]);
+    const id = item.getAttribute('resource') || item.getAttribute('about');
+    if (id) data['@id'] = id;
+    
+    const walk = (el) => {
+      Array.from(el.children).forEach(child => {
+        const isItem = child.hasAttribute('typeof');
+        
+        if (child.hasAttribute('property')) {
+          const value = isItem
+            ? (visited.has(child) ? null : readRdfaItem(child, visited))
+            : rdfaValue(child);
+          child.getAttribute('property').split(/\s+/).filter(Boolean).forEach(name => {
+            addProperty(data, schemaTypeName(name), value);
+          });
+        }
+        // A typed child starts its own resource
+        if (!isItem) walk(child);
+      });
+    };
+    walk(item);
+    
+    return data;
+  }
+  
+  function rdfaValue(el) {
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    
+    const urlAttribute = ['resource', 'href', 'src'].find(attr => el.hasAttribute(attr));
+    if (urlAttribute) return el.getAttribute(urlAttribute);
+    
+    return cleanCellText(el);
+  }
+  
+  // Repeated properties collect into an array
+  function addProperty(data, name, value) {
+    if (value === null || value === '') return;
+    if (!(name in data)) {
+      data[name] = value;
+    } else if (Array.isArray(data[name])) {
+      data[name].push(value);
+    } else {
+      data[name] = [data[name], value];
+    }
+  }
+  
+  // "https://schema.org/Product", "schema:Product" → "Product"
+  function schemaTypeName(value) {
+    return value.replace(/^.*[/#:]/, '');
+  }
+  
+  // UN/CEFACT unit codes schema.org weights use, and their common spellings
+  const WEIGHT_UNITS = {
+    KGM: 'kg', kg: 'kg', kgs: 'kg', kilogram: 'kg', kilograms: 'kg',
+    GRM: 'g', g: 'g', gram: 'g', grams: 'g',
+    TNE: 't', t: 't', tonne: 't', tonnes: 't',
+    LBR: 'lb', lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+    ONZ: 'oz', oz: 'oz'
+  };
+  
+  const PRODUCT_TYPES = ['Product', 'IndividualProduct', 'ProductModel', 'ProductGroup', 'SomeProducts'];
+  
+  /**
+   * Normalise schema.org Product data from any syntax into one product record
+   * @returns {Object|null} { name, brand, manufacturer, material, gtin, mpn, sku,
+   *   weight: { value, unit }, sources } or null if the page describes no product
+   */
+  function extractProduct(structuredData) {
+    const products = [];
+    
+    const collect = (node, source) => {
+      if (Array.isArray(node)) {
+        node.forEach(child => collect(child, source));
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+      
+      const types = [].concat(node['@type'] || []).map(type => schemaTypeName(String(type)));
+      if (types.some(type => PRODUCT_TYPES.includes(type))) {
+        products.push({ node, source });
+      }
+      Object.values(node).forEach(child => collect(child, source));
+    };
+    
+    structuredData.forEach(entry => collect(entry.data, entry.type));
+    if (products.length === 0) return null;
+    
+    // The first product wins; later ones (other syntaxes, variants) only fill gaps
+    const product = {
+      name: null,
+      brand: null,
+      manufacturer: null,
+      material: null,
+      gtin: null,
+      mpn: null,
+      sku: null,
+      weight: null,
+      sources: []
+    };
+    
+    products.forEach(({ node, source }) => {
+      const properties = getAdditionalProperties(node);
+      const candidates = {
+        name: textOf(node.name),
+        brand: textOf(node.brand),
+        manufacturer: textOf(node.manufacturer),
+        material: textOf(node.material) || properties.material,
+        gtin: textOf(node.gtin || node.gtin13 || node.gtin14 || node.gtin12 || node.gtin8),
+        mpn: textOf(node.mpn),
+        sku: textOf(node.sku),
+        weight: parseWeight(node.weight) || parseWeight(properties.weight)
+      };
+      
+      let used = false;
+      Object.entries(candidates).forEach(([key, value]) => {
+        if (value && !product[key]) {
+          product[key] = value;
+          used = true;
+        }
+      });
+      if (used && !product.sources.includes(source)) {
+        product.sources.push(source);
+      }
+    });
+    
+    return product;
+  }
+  
+  // Material and weight given as additionalProperty name/value pairs
+  function getAdditionalProperties(node) {
+    const properties = {};
+    [].concat(node.additionalProperty || []).forEach(property => {
+      if (!property || typeof property !== 'object') return;
+      const name = textOf(property.name) || '';
+      if (/material|alloy/i.test(name) && !properties.material) {
+        properties.material = textOf(property.value);
+      } else if (/weight|mass/i.test(name) && !properties.weight) {
+        properties.weight = property;
+      }
+    });
+    return properties;
+  }
+  
+  // Strings as they are, objects by their name, arrays joined
+  function textOf(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) {
+      const parts = value.map(textOf).filter(Boolean);
+      return parts.length > 0 ? Array.from(new Set(parts)).join(', ') : null;
+    }
+    if (typeof value === 'object') return textOf(value.name || value['@id'] || null);
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+  
+  /**
+   * QuantitativeValue ({ value, unitCode/unitText }) or text like "2.5 kg"
+   * @returns {Object|null} { value, unit }
+   */
+  function parseWeight(weight) {
+    if (!weight) return null;
+    
+    if (typeof weight === 'object' && !Array.isArray(weight)) {
+      const { value } = TableParser.parseValue(String(textOf(weight.value) || ''));
+      const unit = WEIGHT_UNITS[weight.unitCode] || WEIGHT_UNITS[String(weight.unitText || '').toLowerCase()];
+      if (typeof value === 'number' && unit) return { value, unit };
+      return typeof value === 'number' ? null : parseWeight(textOf(weight.value));
+    }
+    
+    const { value, unit } = TableParser.parseValue(String(textOf(weight) || ''));
+    const normalizedUnit = unit && WEIGHT_UNITS[unit.toLowerCase()];
+    return typeof value === 'number' && normalizedUnit ? { value, unit: normalizedUnit } : null;
+  }
+  
   /**
    * Detect page type for better analysis
    */
@@ -204,9 +688,13 @@
   if (typeof window !== 'undefined') {
     window.lcaExtractor = {
       extractPageContent,
-      extractText,
+      extractSelection,
+      extractMainContent,
+      extractFields,
+      extractTables,
       extractMetadata,
-      extractStructuredData
+      extractStructuredData,
+      extractProduct
     };
   }
   
@@ -0,0 +1,371 @@
+// Element Picker - overlay for picking the page regions to read or skip
+// Injected on demand by the popup, after extraction_rules.js. The element
+// under the pointer is highlighted, a click adds it to the include or exclude
+// list, and saving stores the selectors for the site through ExtractionRules,
+// so every later scan of the site applies them (see ExtractionRules.forPage).
+
+(function() {
+  'use strict';
+
+  // Injected again while open - keep the running picker
+  if (window.lcaElementPicker) return;
+  window.lcaElementPicker = true;
+
+  const COLORS = {
+    include: '#10b981',
+    exclude: '#ef4444'
+  };
+
+  // Class names that change with state or are generated per build
+  const UNSTABLE_CLASS = /^(is-|has-|js-|css-|sc-|jsx-)|active|hover|focus|selected|open|visible|hidden|\d{3,}/i;
+  const STABLE_ID = /^[A-Za-z][\w-]*$/;
+
+  // Mouse events the page must not see while picking
+  const BLOCKED_EVENTS = ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'dblclick', 'contextmenu'];
+
+  const hostname = window.location.hostname;
+  let mode = 'include';
+  let picks = { include: [], exclude: [] };
+  let hovered = null;
+  let narrower = []; // elements stepped up from with ArrowUp, for ArrowDown
+  let frame = null;
+
+  const host = document.createElement('div');
+  host.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+  const shadow = host.attachShadow({ mode: 'open' });
+  shadow.innerHTML = `
+    <style>
+      :host { all: initial; }
+      * { box-sizing: border-box; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+      .box { position: fixed; pointer-events: none; border: 2px solid; border-radius: 2px; }
+      .box.hover { border-style: dashed; }
+      .label {
+        position: absolute; top: -20px; left: -2px; padding: 1px 6px; max-width: 360px;
+        font-size: 11px; color: white; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+        border-radius: 2px;
+      }
+      .toolbar {
+        position: fixed; right: 16px; bottom: 16px; width: 300px; max-height: 60vh; overflow: auto;
+        pointer-events: auto; background: white; color: #111827; font-size: 13px;
+        border-radius: 8px; box-shadow: 0 10px 25px rgba(0, 0, 0, 0.25); padding: 12px;
+      }
+      .toolbar.left { right: auto; left: 16px; }
+      .title { display: flex; justify-content: space-between; align-items: center; font-weight: 600; margin-bottom: 8px; }
+      .hint { font-size: 11px; color: #6b7280; margin: 8px 0; }
+      button {
+        font-size: 12px; padding: 4px 10px; border-radius: 4px; border: 1px solid #d1d5db;
+        background: #f9fafb; color: #111827; cursor: pointer;
+      }
+      button.icon { border: none; background: none; padding: 0 4px; }
+      .modes { display: flex; gap: 6px; }
+      .modes button { flex: 1; }
+      .modes button.current[data-mode="include"] { background: ${COLORS.include}; border-color: ${COLORS.include}; color: white; }
+      .modes button.current[data-mode="exclude"] { background: ${COLORS.exclude}; border-color: ${COLORS.exclude}; color: white; }
+      ul { list-style: none; margin: 0; padding: 0; }
+      li { display: flex; align-items: center; gap: 6px; padding: 2px 0; font-size: 11px; }
+      li code { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .dot { width: 8px; height: 8px; border-radius: 50%; flex-shrink: 0; }
+      .empty { font-size: 11px; color: #6b7280; }
+      .actions { display: flex; gap: 6px; justify-content: flex-end; margin-top: 10px; }
+      .actions .save { background: #1e40af; border-color: #1e40af; color: white; }
+      .message { font-size: 12px; margin-top: 8px; }
+      .message.error { color: ${COLORS.exclude}; }
+    </style>
+    <div class="boxes"></div>
+    <div class="box hover" style="display: none;"><span class="label"></span></div>
+    <div class="toolbar">
+      <div class="title">
+        <span>🎯 Regions for ${escapeHtml(ExtractionRules.siteKey(hostname))}</span>
+        <button class="icon move" title="Move to the other side">⇄</button>
+      </div>
+      <div class="modes">
+        <button data-mode="include">✓ Include</button>
+        <button data-mode="exclude">✕ Exclude</button>
+      </div>
+      <div class="hint">Click a region to pick it · ↑/↓ wider/narrower · I/E switch mode · Esc cancels</div>
+      <ul class="picks"></ul>
+      <div class="actions">
+        <button class="clear">Clear</button>
+        <button class="cancel">Cancel</button>
+        <button class="save">Save</button>
+      </div>
+      <div class="message"></div>
+    </div>
+  `;
+
+  const toolbar = shadow.querySelector('.toolbar');
+  const hoverBox = shadow.querySelector('.box.hover');
+  const boxes = shadow.querySelector('.boxes');
+  const pickList = shadow.querySelector('.picks');
+  const message = shadow.querySelector('.message');
+
+  start();
+
+  async function start() {
+    try {
+      const saved = await ExtractionRules.getPicks(hostname);
+      if (saved) {
+        picks = { include: [...saved.include], exclude: [...saved.exclude] };
+      }
+    } catch (error) {
+      console.error('Error loading picked regions:', error);
+    }
+
+    document.documentElement.appendChild(host);
+
+    toolbar.addEventListener('click', handleToolbarClick);
+    document.addEventListener('mousemove', handleMouseMove, true);
+    document.addEventListener('click', handleClick, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+    BLOCKED_EVENTS.forEach(type => document.addEventListener(type, blockEvent, true));
+    window.addEventListener('scroll', scheduleRender, true);
+    window.addEventListener('resize', scheduleRender);
+
+    setMode(mode);
+    render();
+  }
+
+  function close() {
+    document.removeEventListener('mousemove', handleMouseMove, true);
+    document.removeEventListener('click', handleClick, true);
+    document.removeEventListener('keydown', handleKeyDown, true);
+    BLOCKED_EVENTS.forEach(type => document.removeEventListener(type, blockEvent, true));
+    window.removeEventListener('scroll', scheduleRender, true);
+    window.removeEventListener('resize', scheduleRender);
+    host.remove();
+    window.lcaElementPicker = false;
+  }
+
+  // Events
+
+  function isPickable(target) {
+    return target instanceof Element && target !== host &&
+      target !== document.documentElement && target !== document.body;
+  }
+
+  function handleMouseMove(event) {
+    if (!isPickable(event.target) || event.target === hovered) return;
+    hovered = event.target;
+    narrower = [];
+    renderHover();
+  }
+
+  function handleClick(event) {
+    if (event.target === host) return; // the toolbar handles its own clicks
+    event.preventDefault();
+    event.stopPropagation();
+    if (hovered) togglePick(hovered);
+  }
+
+  function blockEvent(event) {
+    if (event.target === host) return;
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  function handleKeyDown(event) {
+    const key = event.key.toLowerCase();
+
+    if (key === 'escape') {
+      close();
+    } else if (key === 'i' || key === 'e') {
+      setMode(key === 'i' ? 'include' : 'exclude');
+    } else if (key === 'arrowup' && hovered && isPickable(hovered.parentElement)) {
+      narrower.push(hovered);
+      hovered = hovered.parentElement;
+      renderHover();
+    } else if (key === 'arrowdown' && narrower.length > 0) {
+      hovered = narrower.pop();
+      renderHover();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  async function handleToolbarClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button.dataset.mode) {
+      setMode(button.dataset.mode);
+    } else if (button.dataset.remove) {
+      const [list, index] = button.dataset.remove.split(':');
+      picks[list].splice(Number(index), 1);
+      render();
+    } else if (button.classList.contains('move')) {
+      toolbar.classList.toggle('left');
+    } else if (button.classList.contains('clear')) {
+      picks = { include: [], exclude: [] };
+      render();
+    } else if (button.classList.contains('cancel')) {
+      close();
+    } else if (button.classList.contains('save')) {
+      await save();
+    }
+  }
+
+  // Picking
+
+  function setMode(newMode) {
+    mode = newMode;
+    shadow.querySelectorAll('.modes button').forEach(button => {
+      button.classList.toggle('current', button.dataset.mode === mode);
+    });
+    renderHover();
+  }
+
+  // Pick an element in the current mode, or unpick it if it already is
+  function togglePick(el) {
+    const selector = buildSelector(el);
+    const other = mode === 'include' ? 'exclude' : 'include';
+
+    if (picks[mode].includes(selector)) {
+      picks[mode] = picks[mode].filter(existing => existing !== selector);
+    } else {
+      picks[other] = picks[other].filter(existing => existing !== selector);
+      picks[mode].push(selector);
+    }
+    render();
+  }
+
+  async function save() {
+    try {
+      await ExtractionRules.savePicks(hostname, picks);
+      const count = picks.include.length + picks.exclude.length;
+      showMessage(count > 0
+        ? '✓ Saved – scan the page again from the popup to use them'
+        : '✓ Picked regions removed for this site', 'success');
+      setTimeout(close, 1500);
+    } catch (error) {
+      console.error('Error saving picked regions:', error);
+      showMessage('✗ ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Shortest selector that matches only this element: a stable id, or a
+   * path of tag names and stable classes, with :nth-of-type only where
+   * siblings would otherwise look the same
+   */
+  function buildSelector(el) {
+    const parts = [];
+
+    for (let node = el; isPickable(node); node = node.parentElement) {
+      if (node.id && STABLE_ID.test(node.id) && !/\d{3,}/.test(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+      } else {
+        parts.unshift(describe(node));
+      }
+
+      const selector = parts.join(' > ');
+      if (matchesOnly(selector, el)) return selector;
+    }
+
+    return ['body', ...parts].join(' > ');
+  }
+
+  function describe(node) {
+    const classes = Array.from(node.classList)
+      .filter(name => !UNSTABLE_CLASS.test(name))
+      .slice(0, 2)
+      .map(name => `.${CSS.escape(name)}`)
+      .join('');
+    const base = node.tagName.toLowerCase() + classes;
+
+    const lookAlikes = Array.from(node.parentElement ? node.parentElement.children : [])
+      .filter(sibling => sibling.tagName === node.tagName);
+    if (lookAlikes.length > 1 && lookAlikes.some(sibling => sibling !== node && sibling.matches(base))) {
+      return `${base}:nth-of-type(${lookAlikes.indexOf(node) + 1})`;
+    }
+    return base;
+  }
+
+  function matchesOnly(selector, el) {
+    const matches = document.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === el;
+  }
+
+  // Drawing
+
+  function scheduleRender() {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      render();
+    });
+  }
+
+  function render() {
+    boxes.innerHTML = '';
+    ['include', 'exclude'].forEach(list => {
+      picks[list].forEach(selector => {
+        queryAll(selector).forEach(el => boxes.appendChild(createBox(el, COLORS[list])));
+      });
+    });
+
+    const items = ['include', 'exclude'].flatMap(list => picks[list].map((selector, index) => `
+      <li>
+        <span class="dot" style="background: ${COLORS[list]};" title="${list}"></span>
+        <code title="${escapeHtml(selector)}">${escapeHtml(selector)}</code>
+        <span>${queryAll(selector).length}×</span>
+        <button class="icon" data-remove="${list}:${index}" title="Remove">✕</button>
+      </li>
+    `));
+    pickList.innerHTML = items.length > 0
+      ? items.join('')
+      : '<li class="empty">Nothing picked yet – the page is read as usual.</li>';
+
+    renderHover();
+  }
+
+  function renderHover() {
+    if (!hovered || !hovered.isConnected) {
+      hoverBox.style.display = 'none';
+      return;
+    }
+
+    positionBox(hoverBox, hovered, COLORS[mode]);
+    hoverBox.style.display = 'block';
+    const label = hoverBox.querySelector('.label');
+    label.textContent = `${mode === 'include' ? '✓' : '✕'} ${buildSelector(hovered)}`;
+    label.style.background = COLORS[mode];
+  }
+
+  function createBox(el, color) {
+    const box = document.createElement('div');
+    box.className = 'box';
+    positionBox(box, el, color);
+    box.style.background = `${color}22`;
+    return box;
+  }
+
+  function positionBox(box, el, color) {
+    const rect = el.getBoundingClientRect();
+    box.style.top = `${rect.top}px`;
+    box.style.left = `${rect.left}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    box.style.borderColor = color;
+  }
+
+  function queryAll(selector) {
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `message ${type}`;
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+})();
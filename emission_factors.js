@@ -0,0 +1,327 @@
+// Emission Factors - bundled factor library and local CO₂ calculator
+// Shared by the service worker (importScripts) and the extension pages
+// (<script src="emission_factors.js">). Gives an instant, offline CO₂ estimate
+// from the LCA parameters, split by lifecycle phase in the same shape as the
+// backend's raw_json.lifecycle_phases, and compares it with the backend
+// result once that arrives. Without a declared mass the estimate is per kg
+// and isn't compared, since the backend total covers the whole product.
+
+'use strict';
+
+const EmissionFactors = (() => {
+  // Bump when any factor changes, so stored estimates can be told apart
+  const VERSION = '2024.2';
+
+  const SOURCES = [
+    'International Aluminium Institute – GHG emissions data 2022',
+    'International Copper Association – copper cathode LCA 2022',
+    'worldsteel – Sustainability indicators 2023',
+    'IEA – Emissions factors 2023 (grid intensity)',
+    'GLEC Framework v3 (transport)'
+  ];
+
+  /**
+   * Cradle-to-gate factors in kg CO₂e per kg of metal, split into the
+   * extraction and processing phases, for primary (ore) and secondary
+   * (scrap) production, plus end-of-life handling (collection, sorting)
+   */
+  const MATERIALS = {
+    aluminium: {
+      label: 'Aluminium',
+      primary: { extraction: 2.3, processing: 13.8 },     // bauxite, alumina / electrolysis, casting
+      secondary: { extraction: 0.1, processing: 0.45 },   // scrap collection / remelting
+      end_of_life: 0.04
+    },
+    copper: {
+      label: 'Copper',
+      primary: { extraction: 2.4, processing: 1.7 },      // mining, concentration / smelting, refining
+      secondary: { extraction: 0.1, processing: 0.9 },
+      end_of_life: 0.03
+    },
+    steel: {
+      label: 'Steel',
+      primary: { extraction: 0.4, processing: 1.9 },      // iron ore, coking coal / BF-BOF
+      secondary: { extraction: 0.05, processing: 0.62 },  // scrap / EAF
+      end_of_life: 0.02
+    },
+    other: {
+      label: 'Other (generic metal)',
+      primary: { extraction: 0.5, processing: 2.5 },
+      secondary: { extraction: 0.1, processing: 0.5 },
+      end_of_life: 0.03
+    }
+  };
+
+  // Forming and finishing, kg CO₂e per kg of part on top of the material
+  const PROCESSES = {
+    none: { label: 'Not specified', factor: 0 },
+    casting: { label: 'Casting', factor: 0.35 },
+    extrusion: { label: 'Extrusion', factor: 0.4 },
+    rolling: { label: 'Rolling', factor: 0.3 },
+    drawing: { label: 'Drawing (wire, bar)', factor: 0.25 },
+    forging: { label: 'Forging', factor: 0.55 },
+    stamping: { label: 'Stamping', factor: 0.15 },
+    machining: { label: 'Machining', factor: 0.7 }
+  };
+
+  // Electricity grid intensity, kg CO₂e per kWh
+  const GRIDS = {
+    world: { label: 'World average', factor: 0.48 },
+    eu: { label: 'European Union', factor: 0.25 },
+    us: { label: 'United States', factor: 0.37 },
+    cn: { label: 'China', factor: 0.58 },
+    in: { label: 'India', factor: 0.71 },
+    de: { label: 'Germany', factor: 0.38 },
+    fr: { label: 'France', factor: 0.06 },
+    uk: { label: 'United Kingdom', factor: 0.21 },
+    no: { label: 'Norway', factor: 0.02 },
+    renewable: { label: '100% renewable', factor: 0.02 }
+  };
+
+  // Freight, kg CO₂e per tonne-kilometre
+  const TRANSPORT_MODES = {
+    truck: { label: 'Truck', factor: 0.105 },
+    rail: { label: 'Rail', factor: 0.028 },
+    ship: { label: 'Container ship', factor: 0.016 },
+    barge: { label: 'Inland barge', factor: 0.031 },
+    air: { label: 'Air freight', factor: 0.6 }
+  };
+
+  const DEFAULTS = {
+    grid: 'world',
+    transport_mode: 'truck',
+    mass_kg: 1
+  };
+
+  // Backend totals this far from the estimate (either way) are flagged
+  const LARGE_DIFFERENCE_PERCENT = 50;
+
+  // Phases smaller than this share of the estimate aren't flagged on their own
+  const MIN_FLAGGED_PHASE_SHARE = 0.05;
+
+  /**
+   * Estimate CO₂ from the LCA parameters
+   * @param {Object} inputs - user_inputs: { material, recycled_percent, energy_kwh, transport_km },
+   *   optionally components: [{ name, material, mass_kg, recycled_percent, process }] for an
+   *   assembly, which then replace material and recycled_percent and set the mass
+   * @param {Object} options - { grid, transport_mode, mass_kg } (see DEFAULTS), plus an
+   *   optional grid_factor in kg CO₂e/kWh that replaces the grid's own factor
+   * @returns {Object} { co2_kg, lifecycle_phases, components, assumptions, library_version }
+   *   lifecycle_phases matches raw_json.lifecycle_phases: { phase: { co2_kg, percentage, notes } };
+   *   components (assemblies only): [{ name, material, grade, mass_kg, co2_kg }];
+   *   assumptions.mass_declared is false when neither mass_kg nor components gave a
+   *   mass, and the figures are then per kg
+   */
+  function estimate(inputs = {}, options = {}) {
+    const grid = GRIDS[options.grid] ? options.grid : DEFAULTS.grid;
+    const mode = TRANSPORT_MODES[options.transport_mode] ? options.transport_mode : DEFAULTS.transport_mode;
+    const gridFactor = Number.isFinite(options.grid_factor) && options.grid_factor >= 0
+      ? options.grid_factor
+      : GRIDS[grid].factor;
+    const gridLabel = gridFactor === GRIDS[grid].factor ? GRIDS[grid].label : 'custom mix';
+    const declaredMassKg = positive(options.mass_kg);
+    const energyKwh = positive(inputs.energy_kwh);
+    const transportKm = positive(inputs.transport_km);
+
+    // One line per component, or the product as a single line
+    const components = (Array.isArray(inputs.components) ? inputs.components : [])
+      .filter(component => positive(component.mass_kg) > 0);
+    const lines = components.length > 0
+      ? components.map(component => materialLine(component, positive(component.mass_kg)))
+      : [materialLine(inputs, declaredMassKg || DEFAULTS.mass_kg)];
+
+    const massKg = lines.reduce((sum, line) => sum + line.massKg, 0);
+    const recycled = lines.reduce((sum, line) => sum + line.recycled * line.massKg, 0) / massKg;
+    const energyKg = energyKwh * gridFactor;
+    const transportKg = (massKg / 1000) * transportKm * TRANSPORT_MODES[mode].factor;
+    const sumOf = (key) => lines.reduce((total, line) => total + line[key], 0);
+
+    const materialLabel = components.length > 0
+      ? `${components.length} components, ${round(massKg, 3)} kg`
+      : lines[0].factors.label;
+
+    const phases = {
+      extraction: {
+        co2_kg: sumOf('extraction'),
+        notes: `${materialLabel} raw material, ${Math.round(recycled * 100)}% from scrap`
+      },
+      processing: {
+        co2_kg: sumOf('processing') + energyKg,
+        notes: `Production plus ${energyKwh} kWh at ${round(gridFactor, 3)} kg CO₂e/kWh (${gridLabel})`
+      },
+      transport: {
+        co2_kg: transportKg,
+        notes: `${transportKm} km by ${TRANSPORT_MODES[mode].label.toLowerCase()}`
+      },
+      use_phase: {
+        co2_kg: 0,
+        notes: 'Not estimated locally'
+      },
+      end_of_life: {
+        co2_kg: sumOf('endOfLife'),
+        notes: 'Collection and sorting'
+      }
+    };
+
+    const total = Object.values(phases).reduce((sum, phase) => sum + phase.co2_kg, 0);
+    Object.values(phases).forEach(phase => {
+      phase.co2_kg = round(phase.co2_kg, 3);
+      phase.percentage = total > 0 ? round(phase.co2_kg / total * 100, 1) : 0;
+    });
+
+    return {
+      co2_kg: round(total, 3),
+      lifecycle_phases: phases,
+      // Energy and transport are shared out by mass
+      ...(components.length > 0 ? {
+        components: lines.map((line, index) => ({
+          name: components[index].name || `Component ${index + 1}`,
+          material: line.material,
+          grade: components[index].grade || null,
+          mass_kg: line.massKg,
+          co2_kg: round(line.extraction + line.processing + line.endOfLife +
+            (energyKg + transportKg) * line.massKg / massKg, 3)
+        }))
+      } : {}),
+      assumptions: {
+        material: components.length > 0 ? 'components' : lines[0].material,
+        grid,
+        grid_factor: gridFactor,
+        transport_mode: mode,
+        mass_kg: round(massKg, 3),
+        mass_declared: components.length > 0 || declaredMassKg > 0
+      },
+      library_version: VERSION
+    };
+  }
+
+  // Material and process CO₂ for one component (or the whole product)
+  function materialLine(line, massKg) {
+    const material = MATERIALS[line.material] ? line.material : 'other';
+    const factors = MATERIALS[material];
+    const recycled = Math.min(100, Math.max(0, Number(line.recycled_percent) || 0)) / 100;
+    const mix = (phase) => (1 - recycled) * factors.primary[phase] + recycled * factors.secondary[phase];
+    const process = PROCESSES[line.process] || PROCESSES.none;
+
+    return {
+      material,
+      factors,
+      massKg,
+      recycled,
+      extraction: massKg * mix('extraction'),
+      processing: massKg * (mix('processing') + process.factor),
+      endOfLife: massKg * factors.end_of_life
+    };
+  }
+
+  /**
+   * Compare a preliminary estimate with the (normalised) backend result
+   * @returns {Object|null} { estimate_kg, backend_kg, difference_percent, flagged,
+   *   phases: { phase: { estimate_kg, backend_kg, difference_percent, flagged } }, library_version }
+   *   or null when either side has no CO₂ total, or the estimate is per kg for want of a
+   *   declared mass while the backend's total is for the whole product
+   */
+  function compare(preliminary, result) {
+    if (!preliminary || !result || typeof result.co2_kg !== 'number') return null;
+    if (preliminary.assumptions && preliminary.assumptions.mass_declared === false) return null;
+
+    const difference = differencePercent(preliminary.co2_kg, result.co2_kg);
+    const backendPhases = (result.raw_json && result.raw_json.lifecycle_phases) || {};
+    const phases = {};
+
+    Object.entries(preliminary.lifecycle_phases).forEach(([phase, { co2_kg: estimated }]) => {
+      const backend = backendPhases[phase];
+      if (!backend || typeof backend.co2_kg !== 'number') return;
+
+      const phaseDifference = differencePercent(estimated, backend.co2_kg);
+      const large = Math.max(estimated, backend.co2_kg) >= preliminary.co2_kg * MIN_FLAGGED_PHASE_SHARE;
+      phases[phase] = {
+        estimate_kg: estimated,
+        backend_kg: backend.co2_kg,
+        difference_percent: phaseDifference,
+        flagged: large && isLarge(phaseDifference)
+      };
+    });
+
+    return {
+      estimate_kg: preliminary.co2_kg,
+      backend_kg: result.co2_kg,
+      difference_percent: difference,
+      flagged: isLarge(difference),
+      phases,
+      library_version: preliminary.library_version
+    };
+  }
+
+  /**
+   * Per-component CO₂ of an assembly: the backend's result.components when it
+   * sends them, otherwise its total shared out as in the preliminary estimate
+   * @returns {Object|null} { source: 'backend' | 'estimate', components: [{ name, material,
+   *   grade, mass_kg, co2_kg, share_percent, circularity_score }] } or null for single materials
+   */
+  function breakdown(result, preliminary) {
+    if (!result || typeof result.co2_kg !== 'number') return null;
+
+    let source = 'backend';
+    let components = (result.components || []).filter(component => typeof component.co2_kg === 'number');
+    if (components.length === 0) {
+      if (!preliminary || !preliminary.components || !(preliminary.co2_kg > 0)) return null;
+      source = 'estimate';
+      components = preliminary.components.map(component => ({
+        ...component,
+        co2_kg: result.co2_kg * component.co2_kg / preliminary.co2_kg,
+        circularity_score: null
+      }));
+    }
+
+    const total = components.reduce((sum, component) => sum + component.co2_kg, 0);
+    return {
+      source,
+      components: components.map(component => ({
+        name: component.name,
+        material: component.material ?? null,
+        grade: component.grade ?? null,
+        mass_kg: component.mass_kg ?? null,
+        co2_kg: round(component.co2_kg, 3),
+        share_percent: total > 0 ? round(component.co2_kg / total * 100, 1) : 0,
+        circularity_score: component.circularity_score ?? null
+      }))
+    };
+  }
+
+  // Helpers
+
+  // Backend relative to the estimate, in percent; null without an estimate to compare to
+  function differencePercent(estimated, backend) {
+    if (estimated > 0) return round((backend - estimated) / estimated * 100, 1);
+    return backend > 0 ? null : 0;
+  }
+
+  function isLarge(difference) {
+    return difference === null || Math.abs(difference) >= LARGE_DIFFERENCE_PERCENT;
+  }
+
+  function positive(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  }
+
+  function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  return {
+    VERSION,
+    SOURCES,
+    MATERIALS,
+    PROCESSES,
+    GRIDS,
+    TRANSPORT_MODES,
+    DEFAULTS,
+    LARGE_DIFFERENCE_PERCENT,
+    estimate,
+    compare,
+    breakdown
+  };
+})();
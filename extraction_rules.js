@@ -0,0 +1,308 @@
+// Extraction Rules - per-site rule registry for the extraction pipeline
+// Loaded as a content script before content.js and by the options page.
+// A rule set tells content.js which parts of a supplier's page to read,
+// which to drop, where to find individual fields and what kind of page it is.
+// Regions picked on a page with the element picker (element_picker.js) are
+// stored per site and layered on top of the matching rule.
+
+'use strict';
+
+const ExtractionRules = (() => {
+  const STORAGE_KEY = 'extractionRules';
+  const PICKS_KEY = 'pickedSelectors';
+
+  // Page types content.js can report
+  const PAGE_TYPES = [
+    'product_page',
+    'technical_datasheet',
+    'ecommerce_product',
+    'documentation',
+    'general_webpage'
+  ];
+
+  /**
+   * Built-in rule sets for the large metal distributors.
+   * Rule shape:
+   *   id       - unique key; a user rule with the same id replaces the built-in
+   *   name     - label shown in Options
+   *   domains  - hostnames the rule applies to (subdomains included)
+   *   include  - read only these elements when any of them match
+   *   exclude  - removed before reading, on top of the default filters
+   *   fields   - field name → selector, read into pageData.fields
+   *   pageType - overrides the keyword-based page type detection
+   */
+  const DEFAULT_RULES = [
+    {
+      id: 'mcmaster',
+      name: 'McMaster-Carr',
+      domains: ['mcmaster.com'],
+      include: ['#ProdPageContent', '[class*="ProductDetail"]', 'main'],
+      exclude: ['[class*="Breadcrumb"]', '[class*="RelatedProducts"]', '[class*="Cart"]'],
+      fields: {
+        product_name: 'h1',
+        specifications: '[class*="SpecTable"]'
+      },
+      pageType: 'product_page'
+    },
+    {
+      id: 'onlinemetals',
+      name: 'Online Metals',
+      domains: ['onlinemetals.com'],
+      include: ['.product-info-main', '.product.info.detailed', 'main'],
+      exclude: ['.block-related', '.block-upsell', '.minicart-wrapper', '.product-reviews-summary'],
+      fields: {
+        product_name: '.page-title',
+        specifications: '#product-attribute-specs-table',
+        price: '.price-box'
+      },
+      pageType: 'product_page'
+    },
+    {
+      id: 'metalsdepot',
+      name: 'Metals Depot',
+      domains: ['metalsdepot.com'],
+      include: ['#product-detail', '.product-detail', 'main'],
+      exclude: ['.related-products', '.cart-summary', '.newsletter'],
+      fields: {
+        product_name: 'h1',
+        specifications: '.product-specs, .specifications'
+      },
+      pageType: 'product_page'
+    },
+    {
+      id: 'ryerson',
+      name: 'Ryerson',
+      domains: ['ryerson.com'],
+      include: ['.product-detail', '.pdp-container', 'main'],
+      exclude: ['.recently-viewed', '.product-recommendations', '.site-alert'],
+      fields: {
+        product_name: 'h1',
+        specifications: '.product-attributes, .specifications-table'
+      },
+      pageType: 'product_page'
+    },
+    {
+      id: 'thyssenkrupp-materials',
+      name: 'thyssenkrupp Materials',
+      domains: ['thyssenkrupp-materials.co.uk', 'thyssenkrupp-materials.com', 'thyssenkrupp-schulte.de'],
+      include: ['.product-detail', '.content-main', 'main'],
+      exclude: ['.teaser-list', '.contact-teaser', '.cookie-banner'],
+      fields: {
+        product_name: 'h1',
+        specifications: '.product-data table, .technical-data'
+      },
+      pageType: 'technical_datasheet'
+    },
+    {
+      id: 'kloeckner',
+      name: 'Klöckner Metals',
+      domains: ['kloeckner-metals.com', 'kloeckner.com', 'kloeckner.de'],
+      include: ['.product-detail', 'main'],
+      exclude: ['.related-products', '.contact-box', '.cookie-banner'],
+      fields: {
+        product_name: 'h1',
+        specifications: '.product-specifications, table'
+      },
+      pageType: 'product_page'
+    }
+  ];
+
+  /**
+   * All rules: built-ins, replaced by any user rule with the same id, plus
+   * the user's own rules. Each rule is flagged builtIn / customized.
+   */
+  async function getRules() {
+    const userRules = await getUserRules();
+    const userById = new Map(userRules.map(rule => [rule.id, rule]));
+
+    const builtIns = DEFAULT_RULES.map(rule => userById.has(rule.id)
+      ? { ...userById.get(rule.id), builtIn: true, customized: true }
+      : { ...rule, builtIn: true, customized: false });
+
+    const custom = userRules
+      .filter(rule => !DEFAULT_RULES.some(builtIn => builtIn.id === rule.id))
+      .map(rule => ({ ...rule, builtIn: false, customized: false }));
+
+    // User rules come first so they win when domains overlap
+    return [...custom, ...builtIns];
+  }
+
+  async function getUserRules() {
+    const { [STORAGE_KEY]: rules = [] } = await chrome.storage.local.get([STORAGE_KEY]);
+    return Array.isArray(rules) ? rules : [];
+  }
+
+  /**
+   * Rule set for a hostname, or null if no rule applies
+   */
+  async function match(hostname) {
+    return findRule(await getRules(), hostname);
+  }
+
+  function findRule(rules, hostname) {
+    const host = siteKey(hostname);
+    return rules.find(rule => rule.domains.some(domain =>
+      host === domain || host.endsWith('.' + domain))) || null;
+  }
+
+  /**
+   * Rule to scan a page with: the site's rule with the picked regions on top.
+   * Picked include selectors replace the rule's, picked excludes are added;
+   * the result carries `picked` ({ include, exclude }) when picks were applied.
+   * @returns {Promise<Object|null>} Rule, a picks-only rule (id null), or null
+   */
+  async function forPage(hostname) {
+    const [rule, picks] = await Promise.all([match(hostname), getPicks(hostname)]);
+    if (!picks) return rule;
+
+    const base = rule || { id: null, name: null, domains: [siteKey(hostname)], include: [], exclude: [], fields: {}, pageType: null };
+    return {
+      ...base,
+      include: picks.include.length > 0 ? picks.include : base.include,
+      exclude: [...base.exclude, ...picks.exclude],
+      picked: picks
+    };
+  }
+
+  // Picked regions
+
+  /**
+   * Picked regions for a site, or null if none were picked
+   * @returns {Promise<Object|null>} { include, exclude, updatedAt }
+   */
+  async function getPicks(hostname) {
+    const all = await getAllPicks();
+    return all[siteKey(hostname)] || null;
+  }
+
+  /**
+   * All picked regions, keyed by site (hostname without www.)
+   */
+  async function getAllPicks() {
+    const { [PICKS_KEY]: picks = {} } = await chrome.storage.local.get([PICKS_KEY]);
+    return picks && typeof picks === 'object' ? picks : {};
+  }
+
+  /**
+   * Store the picked regions for a site; empty lists remove the entry
+   * @throws {Error} If a selector is invalid
+   */
+  async function savePicks(hostname, { include = [], exclude = [] }) {
+    const picks = { include: toList(include), exclude: toList(exclude) };
+    [...picks.include, ...picks.exclude].forEach(selector => {
+      if (!isValidSelector(selector)) {
+        throw new Error(`Invalid CSS selector: ${selector}`);
+      }
+    });
+
+    const all = await getAllPicks();
+    const key = siteKey(hostname);
+    if (picks.include.length === 0 && picks.exclude.length === 0) {
+      delete all[key];
+    } else {
+      all[key] = { ...picks, updatedAt: new Date().toISOString() };
+    }
+    await chrome.storage.local.set({ [PICKS_KEY]: all });
+    return all[key] || null;
+  }
+
+  async function removePicks(hostname) {
+    await savePicks(hostname, {});
+  }
+
+  function siteKey(hostname) {
+    return (hostname || '').toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Add or replace a user rule (a built-in id stores a customized copy)
+   * @throws {Error} If the rule is invalid
+   */
+  async function saveRule(rule) {
+    const normalized = normalizeRule(rule);
+    const userRules = (await getUserRules()).filter(existing => existing.id !== normalized.id);
+    await chrome.storage.local.set({ [STORAGE_KEY]: [...userRules, normalized] });
+    return normalized;
+  }
+
+  /**
+   * Delete a user rule; for a built-in this restores the default
+   */
+  async function removeRule(ruleId) {
+    const userRules = (await getUserRules()).filter(rule => rule.id !== ruleId);
+    await chrome.storage.local.set({ [STORAGE_KEY]: userRules });
+  }
+
+  /**
+   * Check and tidy a rule before it is stored
+   * @throws {Error} Naming the first problem found
+   */
+  function normalizeRule(rule) {
+    const id = String(rule.id || '').trim();
+    const name = String(rule.name || '').trim();
+    const domains = toList(rule.domains, /[\n,]/)
+      .map(domain => domain.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''));
+
+    if (!/^[a-z0-9-]+$/i.test(id)) {
+      throw new Error('Rule ID may only contain letters, numbers and dashes');
+    }
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+    if (domains.length === 0) {
+      throw new Error('At least one domain is required');
+    }
+    if (rule.pageType && !PAGE_TYPES.includes(rule.pageType)) {
+      throw new Error(`Unknown page type: ${rule.pageType}`);
+    }
+
+    const include = toList(rule.include);
+    const exclude = toList(rule.exclude);
+    const fields = {};
+    Object.entries(rule.fields || {}).forEach(([field, selector]) => {
+      if (field.trim() && String(selector).trim()) {
+        fields[field.trim()] = String(selector).trim();
+      }
+    });
+
+    [...include, ...exclude, ...Object.values(fields)].forEach(selector => {
+      if (!isValidSelector(selector)) {
+        throw new Error(`Invalid CSS selector: ${selector}`);
+      }
+    });
+
+    return { id, name, domains, include, exclude, fields, pageType: rule.pageType || null };
+  }
+
+  // Selectors can contain commas, so text input is split on new lines only
+  function toList(value, separator = /\n/) {
+    const items = Array.isArray(value) ? value : String(value || '').split(separator);
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return {
+    PAGE_TYPES,
+    DEFAULT_RULES,
+    getRules,
+    match,
+    findRule,
+    forPage,
+    saveRule,
+    removeRule,
+    normalizeRule,
+    getPicks,
+    getAllPicks,
+    savePicks,
+    removePicks,
+    siteKey
+  };
+})();
@@ -0,0 +1,103 @@
+// Functional Unit - declared unit, quantity and mass of an analysis, and
+// results normalised to intensities
+// Shared by the service worker (importScripts) and the extension pages
+// (<script src="functional_unit.js">). A result's co2_kg covers everything
+// declared in user_inputs; dividing it by the declared quantity and mass gives
+// figures that can be compared and sorted across jobs.
+// Depends on ResultSchema (stored results, number formatting).
+
+'use strict';
+
+const FunctionalUnit = (() => {
+  // kgPerUnit: mass units, where the quantity is itself the mass
+  const UNITS = {
+    kg: { label: 'per kg', quantityLabel: 'kg', kgPerUnit: 1 },
+    t: { label: 'per tonne', quantityLabel: 't', kgPerUnit: 1000 },
+    piece: { label: 'per piece', quantityLabel: 'pieces', kgPerUnit: null },
+    m2: { label: 'per m²', quantityLabel: 'm²', kgPerUnit: null }
+  };
+
+  const DEFAULTS = {
+    functional_unit: 'kg',
+    quantity: 1
+  };
+
+  /**
+   * Functional unit, quantity and mass declared in user_inputs. Jobs from
+   * before functional units get 1 kg, marked as assumed.
+   * @param {Object} userInputs - { functional_unit, quantity, mass_kg, ... }
+   * @returns {Object} { functional_unit, quantity, mass_kg (null if unknown), assumed }
+   */
+  function declared(userInputs = {}) {
+    const assumed = !UNITS[userInputs.functional_unit];
+    const unit = assumed ? DEFAULTS.functional_unit : userInputs.functional_unit;
+    const { kgPerUnit } = UNITS[unit];
+    const quantity = positive(userInputs.quantity) || DEFAULTS.quantity;
+    const mass = kgPerUnit ? quantity * kgPerUnit : positive(userInputs.mass_kg);
+
+    return {
+      functional_unit: unit,
+      quantity,
+      mass_kg: mass || null,
+      assumed
+    };
+  }
+
+  /**
+   * CO₂ intensities of a (normalised) result for the declared functional unit
+   * @returns {Object|null} { functional_unit, unit_label, quantity, mass_kg,
+   *   co2_per_unit, co2_per_kg (null without a mass), assumed } or null without a CO₂ total
+   */
+  function normalize(result, userInputs) {
+    if (!result || typeof result.co2_kg !== 'number') return null;
+
+    const unit = declared(userInputs);
+    return {
+      ...unit,
+      unit_label: UNITS[unit.functional_unit].label,
+      co2_per_unit: round(result.co2_kg / unit.quantity, 4),
+      co2_per_kg: unit.mass_kg ? round(result.co2_kg / unit.mass_kg, 4) : null
+    };
+  }
+
+  /**
+   * Intensities for a stored job: as stored when the result arrived, or
+   * worked out now for jobs finished before they were stored
+   */
+  function forJob(job) {
+    if (job.intensity) return job.intensity;
+    if (!job.result) return null;
+    return normalize(ResultSchema.forJob(job).result, (job.payload && job.payload.user_inputs) || {});
+  }
+
+  /**
+   * Display helper, e.g. "41.15 kg CO₂e per kg"
+   */
+  function format(intensity) {
+    if (!intensity) return '—';
+    const perUnit = `${ResultSchema.format(intensity.co2_per_unit, 2)} kg CO₂e ${intensity.unit_label}`;
+    if (intensity.functional_unit === 'kg' || intensity.co2_per_kg === null) return perUnit;
+    return `${perUnit} · ${ResultSchema.format(intensity.co2_per_kg, 2)} per kg`;
+  }
+
+  // Helpers
+
+  function positive(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  }
+
+  function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  return {
+    UNITS,
+    DEFAULTS,
+    declared,
+    normalize,
+    forJob,
+    format
+  };
+})();
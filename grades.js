@@ -0,0 +1,409 @@
+// Grades - recognises alloy and grade designations in page text
+// Loaded as a content script before content.js and by the popup (PDF scans).
+// Designations such as "6061-T6", "AISI 304L", "1.4404", "C11000" or "S355J2"
+// are looked up in a bundled cross-reference of AA / EN / UNS / AISI / DIN
+// grades, so every mention of the same grade reports one normalised
+// identifier with its base metal and temper.
+
+'use strict';
+
+const Grades = (() => {
+  /**
+   * Cross-reference of common grades. Standards per record (all optional):
+   *   aa      - Aluminum Association number
+   *   aisi    - AISI / SAE steel grade
+   *   en      - EN numeric designation (EN AW-…, 1.xxxx, CW…)
+   *   en_name - EN symbolic designation (EN AW-AlMg1SiCu, X2CrNiMo17-12-2, S355J2, Cu-ETP)
+   *   uns     - Unified Numbering System
+   *   din     - DIN Werkstoffnummer or old DIN name
+   */
+  const GRADES = [
+    // Wrought aluminium
+    { base: 'aluminium', family: 'wrought aluminium', aa: '1050', en: 'EN AW-1050A', en_name: 'EN AW-Al99.5', uns: 'A91050', din: '3.0255' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '1100', en: 'EN AW-1100', en_name: 'EN AW-Al99.0Cu', uns: 'A91100' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '2011', en: 'EN AW-2011', en_name: 'EN AW-AlCu6BiPb', uns: 'A92011', din: '3.1655' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '2017', en: 'EN AW-2017A', en_name: 'EN AW-AlCu4MgSi(A)', uns: 'A92017', din: '3.1325' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '2024', en: 'EN AW-2024', en_name: 'EN AW-AlCu4Mg1', uns: 'A92024', din: '3.1355' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '3003', en: 'EN AW-3003', en_name: 'EN AW-AlMn1Cu', uns: 'A93003', din: '3.0517' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '5052', en: 'EN AW-5052', en_name: 'EN AW-AlMg2.5', uns: 'A95052', din: '3.3523' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '5083', en: 'EN AW-5083', en_name: 'EN AW-AlMg4.5Mn0.7', uns: 'A95083', din: '3.3547' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '5754', en: 'EN AW-5754', en_name: 'EN AW-AlMg3', uns: 'A95754', din: '3.3535' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '6060', en: 'EN AW-6060', en_name: 'EN AW-AlMgSi', uns: 'A96060', din: '3.3206' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '6061', en: 'EN AW-6061', en_name: 'EN AW-AlMg1SiCu', uns: 'A96061', din: '3.3211' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '6063', en: 'EN AW-6063', en_name: 'EN AW-AlMg0.7Si', uns: 'A96063' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '6082', en: 'EN AW-6082', en_name: 'EN AW-AlSi1MgMn', uns: 'A96082', din: '3.2315' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '7020', en: 'EN AW-7020', en_name: 'EN AW-AlZn4.5Mg1', uns: 'A97020', din: '3.4335' },
+    { base: 'aluminium', family: 'wrought aluminium', aa: '7075', en: 'EN AW-7075', en_name: 'EN AW-AlZn5.5MgCu', uns: 'A97075', din: '3.4365' },
+
+    // Stainless steel
+    { base: 'steel', family: 'stainless steel', aisi: '303', en: '1.4305', en_name: 'X8CrNiS18-9', uns: 'S30300' },
+    { base: 'steel', family: 'stainless steel', aisi: '304', en: '1.4301', en_name: 'X5CrNi18-10', uns: 'S30400' },
+    { base: 'steel', family: 'stainless steel', aisi: '304L', en: '1.4307', en_name: 'X2CrNi18-9', uns: 'S30403' },
+    { base: 'steel', family: 'stainless steel', aisi: '310S', en: '1.4845', en_name: 'X8CrNi25-21', uns: 'S31008' },
+    { base: 'steel', family: 'stainless steel', aisi: '316', en: '1.4401', en_name: 'X5CrNiMo17-12-2', uns: 'S31600' },
+    { base: 'steel', family: 'stainless steel', aisi: '316L', en: '1.4404', en_name: 'X2CrNiMo17-12-2', uns: 'S31603' },
+    { base: 'steel', family: 'stainless steel', aisi: '316Ti', en: '1.4571', en_name: 'X6CrNiMoTi17-12-2', uns: 'S31635' },
+    { base: 'steel', family: 'stainless steel', aisi: '321', en: '1.4541', en_name: 'X6CrNiTi18-10', uns: 'S32100' },
+    { base: 'steel', family: 'stainless steel', aisi: '410', en: '1.4006', en_name: 'X12Cr13', uns: 'S41000' },
+    { base: 'steel', family: 'stainless steel', aisi: '420', en: '1.4021', en_name: 'X20Cr13', uns: 'S42000' },
+    { base: 'steel', family: 'stainless steel', aisi: '430', en: '1.4016', en_name: 'X6Cr17', uns: 'S43000' },
+    { base: 'steel', family: 'stainless steel', en: '1.4462', en_name: 'X2CrNiMoN22-5-3', uns: 'S32205' },
+
+    // Structural, carbon and alloy steel
+    { base: 'steel', family: 'structural steel', en: '1.0038', en_name: 'S235JR', din: 'St37-2' },
+    { base: 'steel', family: 'structural steel', en: '1.0044', en_name: 'S275JR', din: 'St44-2' },
+    { base: 'steel', family: 'structural steel', en: '1.0045', en_name: 'S355JR' },
+    { base: 'steel', family: 'structural steel', en: '1.0570', en_name: 'S355J2', din: 'St52-3' },
+    { base: 'steel', family: 'carbon steel', aisi: '1020', en: '1.0402', en_name: 'C22', uns: 'G10200' },
+    { base: 'steel', family: 'carbon steel', aisi: '1045', en: '1.0503', en_name: 'C45', uns: 'G10450' },
+    { base: 'steel', family: 'carbon steel', en: '1.0330', en_name: 'DC01' },
+    { base: 'steel', family: 'alloy steel', aisi: '4140', en: '1.7225', en_name: '42CrMo4', uns: 'G41400' },
+    { base: 'steel', family: 'alloy steel', aisi: '4340', en: '1.6582', en_name: '34CrNiMo6', uns: 'G43400' },
+
+    // Copper and copper alloys
+    { base: 'copper', family: 'copper', uns: 'C10200', en: 'CW008A', en_name: 'Cu-OF', din: '2.0040' },
+    { base: 'copper', family: 'copper', uns: 'C11000', en: 'CW004A', en_name: 'Cu-ETP', din: '2.0065' },
+    { base: 'copper', family: 'copper', uns: 'C12200', en: 'CW024A', en_name: 'Cu-DHP', din: '2.0090' },
+    { base: 'copper', family: 'brass', uns: 'C26000', en: 'CW505L', en_name: 'CuZn30', din: '2.0265' },
+    { base: 'copper', family: 'brass', uns: 'C27200', en: 'CW508L', en_name: 'CuZn37', din: '2.0321' },
+    { base: 'copper', family: 'brass', uns: 'C36000', en: 'CW603N', en_name: 'CuZn36Pb3', din: '2.0375' },
+    { base: 'copper', family: 'bronze', uns: 'C51000', en: 'CW451K', en_name: 'CuSn5', din: '2.1016' },
+    { base: 'copper', family: 'copper alloy', uns: 'C17200', en: 'CW101C', en_name: 'CuBe2', din: '2.1247' }
+  ];
+
+  const STANDARDS = ['aa', 'aisi', 'en', 'en_name', 'uns', 'din'];
+
+  // Standard the normalised identifier uses, by family
+  const PRIMARY_STANDARD = {
+    'wrought aluminium': ['aa', 'en'],
+    'stainless steel': ['aisi', 'en', 'en_name'],
+    'structural steel': ['en_name', 'en'],
+    'carbon steel': ['en_name', 'en'],
+    'alloy steel': ['en_name', 'en'],
+    default: ['uns', 'en_name', 'en', 'din']
+  };
+
+  const STANDARD_LABELS = {
+    aa: 'AA',
+    aisi: 'AISI',
+    en: 'EN',
+    en_name: 'EN',
+    uns: 'UNS',
+    din: 'DIN'
+  };
+
+  // Characters of context kept on each side of a match
+  const SNIPPET_CONTEXT = 40;
+
+  // Lookup per standard: normalised designation → record
+  const INDEX = {};
+  STANDARDS.forEach(standard => {
+    INDEX[standard] = new Map();
+    GRADES.forEach(record => {
+      if (record[standard]) INDEX[standard].set(normalizeKey(record[standard]), record);
+    });
+  });
+
+  // Aluminium tempers: T6, T651, H14, H111, O (H1 alone would be "2024 H1" the half-year)
+  const TEMPER = /^[\s-]?(T\d{1,4}|H\d{2,3}|O(?![\w.]))/;
+  const WERKSTOFF_CONTEXT = /W\.?-?Nr|Werkstoff|material (?:no|number)|\bEN\b|\bDIN\b/i;
+  const STEEL_CONTEXT = /\bsteel|\bstahl/i;
+
+  /**
+   * Recognisers, tried in order; a later one skips text an earlier one matched.
+   * resolve(match, text) returns { record, temper } or null.
+   */
+  const RECOGNISERS = [
+    // EN AW-6061, EN AW-AlMg1SiCu (aluminium)
+    {
+      pattern: /\bEN[\s-]?AW[\s-]?(\d{4}A?|Al[A-Za-z0-9.()]+)/g,
+      resolve: (match, text) => {
+        const name = `EN AW-${match[1]}`;
+        const record = lookup('en', name) || lookup('en_name', name) || lookup('aa', match[1].replace(/A$/, ''));
+        return {
+          record: record || generic('aluminium', 'wrought aluminium', { en: name }),
+          temper: readTemper(text, match.index + match[0].length)
+        };
+      }
+    },
+    // 6061-T6, 5083 H111 (AA number with temper)
+    {
+      pattern: /\b([1-8]\d{3})[\s-]?(T\d{1,4}|H\d{2,3})\b/g,
+      resolve: (match) => ({
+        record: lookup('aa', match[1]) || generic('aluminium', 'wrought aluminium', { aa: match[1] }),
+        temper: match[2]
+      })
+    },
+    // AA 6082, alloy 7075, aluminium 5754
+    {
+      pattern: /\b(AA|alloy|alumin(?:i)?um)[\s:]*([1-8]\d{3})\b/gi,
+      resolve: (match, text) => {
+        const record = lookup('aa', match[2]) ||
+          (match[1].toUpperCase() === 'AA' ? generic('aluminium', 'wrought aluminium', { aa: match[2] }) : null);
+        return record && { record, temper: readTemper(text, match.index + match[0].length) };
+      }
+    },
+    // AISI 304L, SAE 1045, type 316, grade 430
+    {
+      pattern: /\b(?:AISI|SAE|type|grade|SS)[\s:]*(\d{3,4}(?:LN|Ti|L|H|S)?)\b/gi,
+      resolve: (match) => {
+        const designation = match[1];
+        const record = lookup('aisi', designation) || lookup('aa', designation) || genericAisi(designation);
+        return record && { record, temper: null };
+      }
+    },
+    // 316L, 310S (suffixes only stainless grades carry); 304 stainless
+    {
+      pattern: /\b(3\d{2}(?:LN|Ti|L|S))\b|\b(3\d{2}|4[0-4]\d)(?=\s*(?:[Ss]tainless|SS\b|s\/s))/g,
+      resolve: (match) => {
+        const designation = match[1] || match[2];
+        const record = lookup('aisi', designation) || genericAisi(designation);
+        return record && { record, temper: null };
+      }
+    },
+    // 1.4404, 2.0065, 3.3211 (Werkstoffnummer / EN steel number)
+    {
+      pattern: /\b([123])\.(\d{4})\b/g,
+      resolve: (match, text) => {
+        const number = match[0];
+        const record = lookup('en', number) || lookup('din', number);
+        if (record) return { record, temper: null };
+
+        const before = text.slice(Math.max(0, match.index - 25), match.index);
+        if (!WERKSTOFF_CONTEXT.test(before)) return null;
+        const generics = {
+          1: number.startsWith('1.4') ? ['steel', 'stainless steel'] : ['steel', 'steel'],
+          2: ['copper', 'copper alloy'],
+          3: ['aluminium', 'wrought aluminium']
+        };
+        const [base, family] = generics[match[1]];
+        return { record: generic(base, family, { [match[1] === '1' ? 'en' : 'din']: number }), temper: null };
+      }
+    },
+    // UNS C11000, S31603, A96061
+    {
+      pattern: /\b(UNS\s?)?([ACSGK]\d{5})\b/g,
+      resolve: (match) => {
+        const record = lookup('uns', match[2]);
+        if (record) return { record, temper: null };
+        if (!match[1]) return null;
+
+        const generics = {
+          A: ['aluminium', 'wrought aluminium'],
+          C: ['copper', 'copper alloy'],
+          S: ['steel', 'stainless steel'],
+          G: ['steel', 'carbon steel'],
+          K: ['steel', 'steel']
+        };
+        const [base, family] = generics[match[2][0]];
+        return { record: generic(base, family, { uns: match[2] }), temper: null };
+      }
+    },
+    // CW004A, CW614N (EN copper numbers)
+    {
+      pattern: /\bC[WRC]\d{3}[A-Z]\b/g,
+      resolve: (match) => ({
+        record: lookup('en', match[0]) || generic('copper', 'copper alloy', { en: match[0] }),
+        temper: null
+      })
+    },
+    // Cu-ETP, Cu-OF, CuZn37, CuSn8 (EN copper names)
+    {
+      pattern: /\bCu-?(?:ETP|OF|DHP|FRHC|HCP)\b|\bCu(?:Zn|Sn|Be|Ni|Al)\d+(?:[A-Z][a-z]?\d+)*\b/g,
+      resolve: (match) => {
+        const record = lookup('en_name', match[0]);
+        if (record) return { record, temper: null };
+
+        const family = /^CuZn/.test(match[0]) ? 'brass' : /^CuSn/.test(match[0]) ? 'bronze'
+          : /^Cu-?[A-Z]+$/.test(match[0]) ? 'copper' : 'copper alloy';
+        return { record: generic('copper', family, { en_name: match[0] }), temper: null };
+      }
+    },
+    // S235JR, S355J2+N (EN 10025 structural steel)
+    {
+      pattern: /\bS(235|275|355|420|460)(JR|J0|J2|K2|NL|N|ML|M)?(?:\+(?:N|AR|M))?\b/g,
+      resolve: (match) => {
+        const name = `S${match[1]}${match[2] || ''}`;
+        return {
+          record: lookup('en_name', name) || generic('steel', 'structural steel', { en_name: name }),
+          temper: null
+        };
+      }
+    },
+    // St37-2, St52-3 (old DIN structural steel names)
+    {
+      pattern: /\bSt\s?(37|44|52)-[23]\b/g,
+      resolve: (match) => {
+        const record = lookup('din', match[0].replace(/\s/, ''));
+        return record && { record, temper: null };
+      }
+    },
+    // X2CrNiMo17-12-2 (EN stainless steel names)
+    {
+      pattern: /\bX\d{1,3}Cr[A-Za-z]*\d+(?:-\d+){0,3}\b/g,
+      resolve: (match) => ({
+        record: lookup('en_name', match[0]) || generic('steel', 'stainless steel', { en_name: match[0] }),
+        temper: null
+      })
+    },
+    // C45, 42CrMo4, DC01 (EN engineering and sheet steels)
+    {
+      pattern: /\bC(?:15|22|35|45|60)E?\b|\b\d{2}(?:CrMo|CrNiMo|MnCr|SiCr|NiCrMo)\d{1,2}\b|\bDC0[1-6]\b/g,
+      resolve: (match, text) => {
+        const record = lookup('en_name', match[0].replace(/E$/, ''));
+        if (record) {
+          // "C45" alone is too short to trust without steel nearby
+          const around = text.slice(Math.max(0, match.index - SNIPPET_CONTEXT), match.index + match[0].length + SNIPPET_CONTEXT);
+          return record.family !== 'carbon steel' || STEEL_CONTEXT.test(around) || match[0].startsWith('DC')
+            ? { record, temper: null }
+            : null;
+        }
+        return /Cr|Mn|Si/.test(match[0])
+          ? { record: generic('steel', 'alloy steel', { en_name: match[0] }), temper: null }
+          : null;
+      }
+    }
+  ];
+
+  /**
+   * Find grade designations in scanned page data
+   * @param {Object} pageData - Needs raw_text; title is searched too
+   * @returns {Object[]} Grades, most mentioned first:
+   *   [{ id, temper, base_metal, family, standards, matched, count, known, snippet }]
+   *   id is the normalised identifier (e.g. "AA 6061", "AISI 316L", "EN S355J2", "UNS C11000"),
+   *   designation its value without the standard, matched the forms seen on the page,
+   *   standards the cross-referenced designations ({ aa, aisi, en, en_name, uns, din })
+   */
+  function detect(pageData) {
+    const text = [pageData.title || '', pageData.raw_text || ''].join('\n');
+    const taken = [];
+    const grades = new Map();
+
+    RECOGNISERS.forEach(({ pattern, resolve }) => {
+      Array.from(text.matchAll(pattern)).forEach(match => {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (taken.some(([from, to]) => start < to && end > from)) return;
+
+        const found = resolve(match, text);
+        if (!found || !found.record) return;
+        taken.push([start, end]);
+
+        const standard = primaryStandard(found.record);
+        const id = withLabel(standard, found.record[standard]);
+        const grade = grades.get(id) || {
+          id,
+          designation: found.record[standard],
+          temper: null,
+          base_metal: found.record.base,
+          family: found.record.family,
+          standards: pickStandards(found.record),
+          matched: [],
+          count: 0,
+          known: !found.record.generic,
+          snippet: snippetAt(text, start, match[0].length),
+          position: start
+        };
+
+        grade.count++;
+        grade.temper = grade.temper || found.temper || null;
+        if (!grade.matched.includes(match[0].trim())) grade.matched.push(match[0].trim());
+        if (start < grade.position) {
+          grade.position = start;
+          grade.snippet = snippetAt(text, start, match[0].length);
+        }
+        grades.set(id, grade);
+      });
+    });
+
+    return Array.from(grades.values())
+      .sort((a, b) => b.count - a.count || a.position - b.position)
+      .map(({ position, ...grade }) => grade);
+  }
+
+  /**
+   * Cross-reference entry for a designation in a given standard
+   * @param {string} standard - One of aa, aisi, en, en_name, uns, din
+   */
+  function lookup(standard, designation) {
+    return INDEX[standard].get(normalizeKey(designation)) || null;
+  }
+
+  /**
+   * Readable designation, e.g. "6061-T6"
+   */
+  function label(grade) {
+    return grade.temper ? `${grade.designation}-${grade.temper}` : grade.designation;
+  }
+
+  /**
+   * Cross-references as "AA 6061 · EN AW-6061 · UNS A96061 · DIN 3.3211"
+   */
+  function formatStandards(grade) {
+    return STANDARDS
+      .filter(standard => grade.standards[standard])
+      .map(standard => withLabel(standard, grade.standards[standard]))
+      .join(' · ');
+  }
+
+  // Helpers
+
+  // Standard a grade is identified by, e.g. AA for aluminium, AISI for stainless
+  function primaryStandard(record) {
+    const preferred = PRIMARY_STANDARD[record.family] || PRIMARY_STANDARD.default;
+    return preferred.find(candidate => record[candidate]) ||
+      STANDARDS.find(candidate => record[candidate]);
+  }
+
+  // "AISI 316L", "UNS C11000"; EN AW designations already carry their prefix
+  function withLabel(standard, value) {
+    return /^EN /.test(value) ? value : `${STANDARD_LABELS[standard]} ${value}`;
+  }
+
+  function pickStandards(record) {
+    const standards = {};
+    STANDARDS.forEach(standard => {
+      if (record[standard]) standards[standard] = record[standard];
+    });
+    return standards;
+  }
+
+  // Designation not in the cross-reference, known only by its pattern
+  function generic(base, family, standards) {
+    return { base, family, ...standards, generic: true };
+  }
+
+  // AISI numbers outside the cross-reference, by series
+  function genericAisi(designation) {
+    if (/^[34]\d{2}/.test(designation) && designation.length <= 5) {
+      return generic('steel', 'stainless steel', { aisi: designation });
+    }
+    if (/^(10|11|12|13|15|41|43|51|52|86)\d{2}$/.test(designation)) {
+      return generic('steel', designation.startsWith('1') ? 'carbon steel' : 'alloy steel', { aisi: designation });
+    }
+    return null;
+  }
+
+  function readTemper(text, index) {
+    const match = text.slice(index, index + 8).match(TEMPER);
+    return match ? match[1] : null;
+  }
+
+  function normalizeKey(designation) {
+    return String(designation).toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  function snippetAt(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+  }
+
+  return {
+    GRADES,
+    detect,
+    lookup,
+    label,
+    formatStandards
+  };
+})();
@@ -0,0 +1,331 @@
+// Job Store - IndexedDB-backed job repository
+// Shared data-access module for the service worker (importScripts) and the
+// extension pages (<script src="job_store.js">). One record per job, keyed by id,
+// plus one record per batch of jobs submitted together. Jobs are indexed by
+// submission fingerprint so identical analyses can reuse earlier results.
+
+'use strict';
+
+const JobStore = (() => {
+  const DB_NAME = 'lca-assistant';
+  const DB_VERSION = 3;
+  const JOBS_STORE = 'jobs';
+  const BATCHES_STORE = 'batches';
+
+  // Statuses that are safe to prune; active jobs are never removed
+  const FINISHED_STATUSES = ['done', 'error', 'cancelled'];
+
+  // Prune the oldest finished jobs once usage passes this share of the quota
+  const QUOTA_THRESHOLD = 0.8;
+  const QUOTA_PRUNE_SHARE = 0.25;
+
+  // Empty batches younger than this may still be filling up (submitBatch
+  // stores the batch before its jobs), so prune leaves them alone
+  const BATCH_GRACE_MS = 60 * 60 * 1000;
+
+  let dbPromise = null;
+
+  /**
+   * Open (and upgrade) the database once per context.
+   * The first open also migrates the legacy chrome.storage.local `jobs` array.
+   */
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+
+          // v1: jobs store
+          if (event.oldVersion < 1) {
+            const store = db.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+            store.createIndex('status', 'status');
+            store.createIndex('createdAt', 'createdAt');
+            store.createIndex('url', 'url');
+          }
+
+          // v2: batches
+          if (event.oldVersion < 2) {
+            request.transaction.objectStore(JOBS_STORE).createIndex('batchId', 'batchId');
+            const batches = db.createObjectStore(BATCHES_STORE, { keyPath: 'id' });
+            batches.createIndex('createdAt', 'createdAt');
+          }
+
+          // v3: submission fingerprints for result reuse
+          if (event.oldVersion < 3) {
+            request.transaction.objectStore(JOBS_STORE).createIndex('fingerprint', 'fingerprint');
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+        .then(db => migrateFromStorage(db).then(() => db))
+        .catch(error => {
+          dbPromise = null;
+          throw error;
+        });
+    }
+
+    return dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve when a transaction commits
+   */
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Move jobs from the old single `jobs` storage array into IndexedDB.
+   * Records that already exist are left alone, so running this twice (or from
+   * two contexts at once) never overwrites newer data.
+   */
+  async function migrateFromStorage(db) {
+    const { jobs } = await chrome.storage.local.get(['jobs']);
+    if (!Array.isArray(jobs)) return;
+
+    const tx = db.transaction(JOBS_STORE, 'readwrite');
+    const store = tx.objectStore(JOBS_STORE);
+
+    jobs.filter(job => job && job.id).forEach(job => {
+      store.get(job.id).onsuccess = (event) => {
+        if (!event.target.result) {
+          store.put(job);
+        }
+      };
+    });
+
+    await transactionDone(tx);
+    await chrome.storage.local.remove('jobs');
+    console.log(`Migrated ${jobs.length} jobs to IndexedDB`);
+  }
+
+  /**
+   * Get a single job
+   * @returns {Promise<Object|undefined>}
+   */
+  async function get(jobId) {
+    const db = await openDb();
+    const tx = db.transaction(JOBS_STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(JOBS_STORE).get(jobId));
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filter - { status: string|string[], url: string, batchId: string, fingerprint: string }
+   */
+  async function list(filter = {}) {
+    const db = await openDb();
+    const tx = db.transaction(JOBS_STORE, 'readonly');
+    const store = tx.objectStore(JOBS_STORE);
+    let jobs;
+
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      const byStatus = await Promise.all(
+        statuses.map(status => promisifyRequest(store.index('status').getAll(status)))
+      );
+      jobs = byStatus.flat();
+    } else if (filter.batchId) {
+      jobs = await promisifyRequest(store.index('batchId').getAll(filter.batchId));
+    } else if (filter.fingerprint) {
+      jobs = await promisifyRequest(store.index('fingerprint').getAll(filter.fingerprint));
+    } else if (filter.url) {
+      jobs = await promisifyRequest(store.index('url').getAll(filter.url));
+    } else {
+      jobs = await promisifyRequest(store.getAll());
+    }
+
+    if (filter.url) {
+      jobs = jobs.filter(job => job.url === filter.url);
+    }
+    if (filter.batchId) {
+      jobs = jobs.filter(job => job.batchId === filter.batchId);
+    }
+    if (filter.fingerprint) {
+      jobs = jobs.filter(job => job.fingerprint === filter.fingerprint);
+    }
+
+    return jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Insert or replace a job
+   */
+  async function put(job) {
+    const db = await openDb();
+    const tx = db.transaction(JOBS_STORE, 'readwrite');
+    tx.objectStore(JOBS_STORE).put(job);
+    await transactionDone(tx);
+    return job;
+  }
+
+  /**
+   * Atomically read, modify and write one job.
+   * The mutator runs inside the transaction and must be synchronous; it edits
+   * the job in place and can return false to skip the write.
+   * @returns {Promise<Object|null>} The updated job, or null if missing/skipped
+   */
+  async function update(jobId, mutator) {
+    const db = await openDb();
+    const tx = db.transaction(JOBS_STORE, 'readwrite');
+    const store = tx.objectStore(JOBS_STORE);
+    let updated = null;
+
+    store.get(jobId).onsuccess = (event) => {
+      const job = event.target.result;
+      if (!job) return;
+
+      if (mutator(job) !== false) {
+        store.put(job);
+        updated = job;
+      }
+    };
+
+    await transactionDone(tx);
+    return updated;
+  }
+
+  /**
+   * Delete a job
+   */
+  async function remove(jobId) {
+    const db = await openDb();
+    const tx = db.transaction(JOBS_STORE, 'readwrite');
+    tx.objectStore(JOBS_STORE).delete(jobId);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Delete every job and batch
+   */
+  async function clear() {
+    const db = await openDb();
+    const tx = db.transaction([JOBS_STORE, BATCHES_STORE], 'readwrite');
+    tx.objectStore(JOBS_STORE).clear();
+    tx.objectStore(BATCHES_STORE).clear();
+    await transactionDone(tx);
+  }
+
+  /**
+   * Insert or replace a batch record ({ id, name, jobIds, createdAt })
+   */
+  async function putBatch(batch) {
+    const db = await openDb();
+    const tx = db.transaction(BATCHES_STORE, 'readwrite');
+    tx.objectStore(BATCHES_STORE).put(batch);
+    await transactionDone(tx);
+    return batch;
+  }
+
+  /**
+   * Get a single batch
+   */
+  async function getBatch(batchId) {
+    const db = await openDb();
+    const tx = db.transaction(BATCHES_STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(BATCHES_STORE).get(batchId));
+  }
+
+  /**
+   * List batches, newest first
+   */
+  async function listBatches() {
+    const db = await openDb();
+    const tx = db.transaction(BATCHES_STORE, 'readonly');
+    const batches = await promisifyRequest(tx.objectStore(BATCHES_STORE).getAll());
+    return batches.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Delete a batch record (its jobs are kept)
+   */
+  async function removeBatch(batchId) {
+    const db = await openDb();
+    const tx = db.transaction(BATCHES_STORE, 'readwrite');
+    tx.objectStore(BATCHES_STORE).delete(batchId);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Remove finished jobs past the retention window or over the job limit,
+   * then trim further if storage is close to its quota.
+   * @param {Object} options - { retentionDays, maxJobs }
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  async function prune({ retentionDays = 30, maxJobs = 500 } = {}) {
+    const jobs = await list();
+    const cutoff = Date.now() - retentionDays * 86400000;
+    const finished = jobs.filter(job => FINISHED_STATUSES.includes(job.status));
+    const toRemove = new Set();
+
+    finished
+      .filter(job => new Date(job.updatedAt || job.createdAt).getTime() < cutoff)
+      .forEach(job => toRemove.add(job.id));
+
+    // jobs is newest first, so everything past maxJobs is the oldest
+    jobs.slice(maxJobs)
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .forEach(job => toRemove.add(job.id));
+
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      if (quota > 0 && usage / quota > QUOTA_THRESHOLD) {
+        const remaining = finished.filter(job => !toRemove.has(job.id));
+        const count = Math.ceil(remaining.length * QUOTA_PRUNE_SHARE);
+        remaining.slice(-count).forEach(job => toRemove.add(job.id));
+      }
+    }
+
+    // Batches whose jobs have all been pruned go too, once past the grace period
+    const remainingBatchIds = new Set(
+      jobs.filter(job => !toRemove.has(job.id) && job.batchId).map(job => job.batchId)
+    );
+    const graceCutoff = Date.now() - BATCH_GRACE_MS;
+    const emptyBatches = (await listBatches()).filter(batch =>
+      !remainingBatchIds.has(batch.id) && new Date(batch.createdAt).getTime() < graceCutoff);
+
+    if (toRemove.size === 0 && emptyBatches.length === 0) return 0;
+
+    const db = await openDb();
+    const tx = db.transaction([JOBS_STORE, BATCHES_STORE], 'readwrite');
+    const store = tx.objectStore(JOBS_STORE);
+    toRemove.forEach(jobId => store.delete(jobId));
+    emptyBatches.forEach(batch => tx.objectStore(BATCHES_STORE).delete(batch.id));
+    await transactionDone(tx);
+
+    return toRemove.size;
+  }
+
+  return {
+    FINISHED_STATUSES,
+    get,
+    list,
+    put,
+    update,
+    remove,
+    clear,
+    putBatch,
+    getBatch,
+    listBatches,
+    removeBatch,
+    prune
+  };
+})();
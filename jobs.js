@@ -4,11 +4,21 @@
 const jobsGrid = document.getElementById('jobsGrid');
 const refreshBtn = document.getElementById('refreshBtn');
 const clearAllBtn = document.getElementById('clearAllBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
 const statusFilter = document.getElementById('statusFilter');
+const batchFilter = document.getElementById('batchFilter');
+const sortOrder = document.getElementById('sortOrder');
+const batchesSection = document.getElementById('batchesSection');
+const batchesGrid = document.getElementById('batchesGrid');
+const resubmitDialog = document.getElementById('resubmitDialog');
+const queueBanner = document.getElementById('queueBanner');
+const flushQueueBtn = document.getElementById('flushQueueBtn');
+const discardQueueBtn = document.getElementById('discardQueueBtn');
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-  loadJobs();
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadJobs();
+  showLinkedJob();
   
   // Auto-refresh every 5 seconds for running jobs
   setInterval(checkRunningJobs, 5000);
@@ -18,35 +28,93 @@ document.addEventListener('DOMContentLoaded', () => {
 refreshBtn.addEventListener('click', loadJobs);
 clearAllBtn.addEventListener('click', clearAllJobs);
 statusFilter.addEventListener('change', loadJobs);
+batchFilter.addEventListener('change', loadJobs);
+sortOrder.addEventListener('change', loadJobs);
+exportCsvBtn.addEventListener('click', exportCsv);
+flushQueueBtn.addEventListener('click', flushQueue);
+discardQueueBtn.addEventListener('click', discardQueue);
+document.getElementById('resubmitForm').addEventListener('submit', confirmResubmit);
+document.getElementById('resubmitCancelBtn').addEventListener('click', () => resubmitDialog.close());
+window.addEventListener('hashchange', showLinkedJob);
+
+// Job card buttons (the grid is re-rendered, so clicks are delegated)
+const JOB_ACTIONS = {
+  view: viewJob,
+  scenarios: openScenarios,
+  cancel: cancelJob,
+  refresh: refreshJobStatus,
+  error: viewJobError,
+  resubmit: openResubmitDialog,
+  delete: deleteJob
+};
+jobsGrid.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  JOB_ACTIONS[button.dataset.action](button.closest('.job-card').dataset.jobId);
+});
 
 // Load and display jobs
 async function loadJobs() {
   try {
-    const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-    const filterStatus = statusFilter.value;
+    await updateQueueBanner();
+    await loadBatches();
     
-    // Filter jobs
-    const filteredJobs = filterStatus === 'all' 
-      ? jobs 
-      : jobs.filter(job => job.status === filterStatus);
+    const filter = {};
+    if (statusFilter.value !== 'all') filter.status = statusFilter.value;
+    if (batchFilter.value !== 'all') filter.batchId = batchFilter.value;
     
-    // Sort by creation date (newest first)
-    filteredJobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    // Filter jobs (JobStore returns newest first)
+    shownJobs = sortJobs(await JobStore.list(filter), sortOrder.value);
     
-    if (filteredJobs.length === 0) {
+    if (shownJobs.length === 0) {
       showEmptyState();
       return;
     }
     
-    renderJobs(filteredJobs);
+    await renderJobs(shownJobs);
   } catch (error) {
     console.error('Error loading jobs:', error);
     jobsGrid.innerHTML = '<p class="text-error text-center">Error loading jobs</p>';
   }
 }
 
+// Jobs currently listed, in display order (for the CSV export)
+let shownJobs = [];
+
+/**
+ * Order jobs for display. Intensity orders compare normalised results
+ * (FunctionalUnit, functional_unit.js); jobs without one go last, and
+ * per-unit figures are only compared within the same functional unit.
+ */
+function sortJobs(jobs, order) {
+  if (order === 'newest') return jobs;
+  
+  const keyed = jobs.map(job => {
+    const intensity = FunctionalUnit.forJob(job);
+    const result = job.result || {};
+    const key = {
+      co2_per_kg: intensity && intensity.co2_per_kg,
+      co2_per_kg_desc: intensity && intensity.co2_per_kg !== null ? -intensity.co2_per_kg : null,
+      co2_per_unit: intensity && intensity.co2_per_unit,
+      circularity: typeof result.circularity_score === 'number' ? -result.circularity_score : null
+    }[order];
+    const group = order === 'co2_per_unit' && intensity
+      ? Object.keys(FunctionalUnit.UNITS).indexOf(intensity.functional_unit)
+      : 0;
+    return { job, key: typeof key === 'number' ? key : null, group };
+  });
+  
+  // Array.prototype.sort is stable, so ties stay newest first
+  return keyed
+    .sort((a, b) =>
+      (a.key === null) - (b.key === null) || a.group - b.group || (a.key ?? 0) - (b.key ?? 0))
+    .map(({ job }) => job);
+}
+
 // Render jobs grid
-function renderJobs(jobs) {
+async function renderJobs(jobs) {
+  const queuePositions = await getWaitingPositions();
+  
   jobsGrid.innerHTML = jobs.map(job => `
     <div class="job-card status-${job.status}" data-job-id="${job.id}">
       <div class="job-card-header">
@@ -68,6 +136,72 @@ function renderJobs(jobs) {
         </div>
       ` : ''}
       
+      ${ACTIVE_STATUSES.includes(job.status) && job.logs && job.logs.length > 0 ? `
+        <div class="job-log" title="${escapeHtml(job.logs[job.logs.length - 1].message)}">
+          ${isLive(job) ? '<span class="live-dot"></span>' : ''}
+          ${escapeHtml(job.logs[job.logs.length - 1].message)}
+        </div>
+      ` : ''}
+      
+      ${job.status === 'waiting' ? `
+        <div class="job-note">Waiting for a free slot – #${queuePositions[job.id]} in line (${job.priority || 'interactive'} priority)</div>
+      ` : ''}
+      
+      ${job.status === 'queued' ? `
+        <div class="job-note">Queued offline since ${formatDate(job.queuedAt || job.createdAt)}</div>
+      ` : ''}
+      
+      ${job.nextRetryAt && job.status === 'pending' ? `
+        <div class="job-note">Submit failed, retry ${job.retries} scheduled ${formatDate(job.nextRetryAt)}</div>
+      ` : ''}
+      
+      ${job.chunkCount ? `
+        <div class="job-note">Uploaded in ${job.chunkCount} parts (${(job.payload?.raw_text || '').length.toLocaleString()} chars)</div>
+      ` : ''}
+      ${job.backendUrl === MOCK_BACKEND_URL ? `
+        <div class="job-note">Mock job – run against the built-in mock backend</div>
+      ` : ''}
+      
+      ${job.batchId && batchNames[job.batchId] ? `
+        <div class="job-note">Batch: ${escapeHtml(batchNames[job.batchId])}</div>
+      ` : ''}
+      
+      ${job.resubmittedFrom ? `
+        <div class="job-note">Resubmission of ${job.resubmittedFrom}</div>
+      ` : ''}
+      
+      ${job.resubmittedAs ? `
+        <div class="job-note">Resubmitted as ${job.resubmittedAs}</div>
+      ` : ''}
+      
+      ${job.reusedFrom ? `
+        <div class="job-note">♻ Reused result of ${job.reusedFrom} (identical analysis)</div>
+      ` : ''}
+      
+      ${job.status === 'done' && FunctionalUnit.forJob(job) ? `
+        <div class="job-note">📏 ${escapeHtml(intensityText(job))}</div>
+      ` : ''}
+      
+      ${job.estimate && job.status !== 'done' ? `
+        <div class="job-note">⚡ Preliminary estimate: ${ResultSchema.format(job.estimate.co2_kg, 2)} kg CO₂e${job.estimate.assumptions && job.estimate.assumptions.mass_declared === false ? ' per kg (no mass declared)' : ''}</div>
+      ` : ''}
+      
+      ${job.estimateCheck && job.estimateCheck.flagged ? `
+        <div class="job-note text-warning">⚠ CO₂ differs from the preliminary estimate of ${ResultSchema.format(job.estimateCheck.estimate_kg, 2)} kg${job.estimateCheck.difference_percent !== null ? ` (${job.estimateCheck.difference_percent > 0 ? '+' : ''}${job.estimateCheck.difference_percent}%)` : ''}</div>
+      ` : ''}
+      
+      ${job.circularityCheck && job.circularityCheck.flagged ? `
+        <div class="job-note text-warning" title="${escapeHtml(Circularity.explain(job.circularityCheck).join('\n'))}">⚠ MCI ${job.circularityCheck.backend_mci.toFixed(2)} differs from the ${job.circularityCheck.local_mci.toFixed(2)} calculated locally</div>
+      ` : ''}
+      
+      ${job.scenarios && job.scenarios.length > 0 ? `
+        <div class="job-note">🧪 ${job.scenarios.length} saved scenario${job.scenarios.length === 1 ? '' : 's'}</div>
+      ` : ''}
+      
+      ${job.status === 'cancelled' && !job.backendCancelled ? `
+        <div class="job-note">Cancelled locally – the backend was not notified</div>
+      ` : ''}
+      
       <div class="job-meta">
         <span>Created: ${formatDate(job.createdAt)}</span>
         <span>Updated: ${formatDate(job.updatedAt)}</span>
@@ -75,24 +209,37 @@ function renderJobs(jobs) {
       
       <div class="job-actions">
         ${job.status === 'done' ? `
-          <button class="btn btn-sm btn-primary" onclick="viewJob('${job.id}')">
+          <button class="btn btn-sm btn-primary" data-action="view">
             View Result
           </button>
+          <button class="btn btn-sm btn-secondary" data-action="scenarios">
+            What-if
+          </button>
+        ` : ''}
+        ${job.status === 'queued' || job.status === 'waiting' ? `
+          <button class="btn btn-sm btn-secondary" data-action="cancel">
+            Cancel
+          </button>
         ` : ''}
         ${job.status === 'running' || job.status === 'pending' ? `
-          <button class="btn btn-sm btn-secondary" onclick="cancelJob('${job.id}')">
+          <button class="btn btn-sm btn-secondary" data-action="cancel">
             Cancel
           </button>
-          <button class="btn btn-sm btn-secondary" onclick="refreshJobStatus('${job.id}')">
+          <button class="btn btn-sm btn-secondary" data-action="refresh">
             Refresh
           </button>
         ` : ''}
         ${job.status === 'error' ? `
-          <button class="btn btn-sm btn-secondary" onclick="viewJobError('${job.id}')">
+          <button class="btn btn-sm btn-secondary" data-action="error">
             View Error
           </button>
         ` : ''}
-        <button class="btn btn-sm btn-secondary" onclick="deleteJob('${job.id}')">
+        ${['done', 'error', 'cancelled'].includes(job.status) && job.payload ? `
+          <button class="btn btn-sm btn-secondary" data-action="resubmit">
+            Resubmit
+          </button>
+        ` : ''}
+        <button class="btn btn-sm btn-secondary" data-action="delete">
           Delete
         </button>
       </div>
@@ -100,6 +247,108 @@ function renderJobs(jobs) {
   `).join('');
 }
 
+// Batch names by ID, for job cards
+let batchNames = {};
+
+// Render per-batch progress and combined summaries, and refresh the batch filter
+async function loadBatches() {
+  const batches = await JobStore.listBatches();
+  batchNames = Object.fromEntries(batches.map(batch => [batch.id, batch.name]));
+  
+  const selected = batchFilter.value;
+  batchFilter.innerHTML = '<option value="all">All</option>' + batches
+    .map(batch => `<option value="${batch.id}">${escapeHtml(batch.name)}</option>`)
+    .join('');
+  batchFilter.value = batches.some(batch => batch.id === selected) ? selected : 'all';
+  
+  if (batches.length === 0) {
+    batchesSection.style.display = 'none';
+    return;
+  }
+  
+  const summaries = await Promise.all(
+    batches.map(async batch => summarizeBatch(batch, await JobStore.list({ batchId: batch.id })))
+  );
+  
+  batchesGrid.innerHTML = summaries.map(renderBatch).join('');
+  batchesSection.style.display = 'block';
+}
+
+// Combine a batch's jobs into progress counts and result totals
+function summarizeBatch(batch, jobs) {
+  const counts = {};
+  jobs.forEach(job => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  });
+  
+  const finished = jobs.filter(job => JobStore.FINISHED_STATUSES.includes(job.status)).length;
+  const results = jobs
+    .filter(job => job.status === 'done' && job.result && typeof job.result.co2_kg === 'number')
+    .map(job => ({ job, result: job.result }));
+  
+  const scored = results.filter(({ result }) => typeof result.circularity_score === 'number');
+  // Lowest per-unit CO₂ for each functional unit: reused results keep the
+  // unit of the job they came from, so a batch can mix units
+  const lowestByUnit = {};
+  results
+    .map(entry => ({ ...entry, intensity: FunctionalUnit.forJob(entry.job) }))
+    .filter(entry => entry.intensity)
+    .forEach(entry => {
+      const best = lowestByUnit[entry.intensity.functional_unit];
+      if (!best || entry.intensity.co2_per_unit < best.intensity.co2_per_unit) {
+        lowestByUnit[entry.intensity.functional_unit] = entry;
+      }
+    });
+  
+  return {
+    batch,
+    total: jobs.length,
+    finished,
+    counts,
+    resultCount: results.length,
+    totalCo2: results.reduce((sum, { result }) => sum + result.co2_kg, 0),
+    avgCircularity: scored.length > 0
+      ? scored.reduce((sum, { result }) => sum + result.circularity_score, 0) / scored.length
+      : null,
+    lowest: Object.values(lowestByUnit)
+  };
+}
+
+function renderBatch(summary) {
+  const percent = summary.total > 0 ? Math.round(summary.finished / summary.total * 100) : 0;
+  
+  return `
+    <div class="card batch-card">
+      <div class="job-card-header">
+        <strong>${escapeHtml(summary.batch.name)}</strong>
+        <span class="text-muted" style="font-size: 11px;">${formatDate(summary.batch.createdAt)}</span>
+      </div>
+      <div class="job-progress-label">
+        <span>${summary.finished} of ${summary.total} finished</span>
+        <span>${percent}%</span>
+      </div>
+      <div class="progress-bar">
+        <div class="progress-bar-fill" style="width: ${percent}%;"></div>
+      </div>
+      <div class="batch-counts">
+        ${Object.entries(summary.counts).map(([status, count]) =>
+          `<span class="badge badge-${status}">${count} ${status}</span>`).join('')}
+      </div>
+      ${summary.resultCount > 0 ? `
+        <div class="batch-summary">
+          <div><strong>${summary.totalCo2.toFixed(2)}</strong>kg CO₂e total</div>
+          <div><strong>${summary.avgCircularity !== null ? summary.avgCircularity.toFixed(0) : '—'}</strong>avg. circularity</div>
+          ${summary.lowest.length > 0 ? summary.lowest.map(({ job, intensity }) => `
+            <div title="${escapeHtml(job.url)}"><strong>${intensity.co2_per_unit.toFixed(2)}</strong>lowest kg CO₂e ${escapeHtml(intensity.unit_label)}</div>
+          `).join('') : `
+            <div><strong>—</strong>lowest kg CO₂e</div>
+          `}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
 // Show empty state
 function showEmptyState() {
   jobsGrid.innerHTML = `
@@ -111,11 +360,66 @@ function showEmptyState() {
   `;
 }
 
+// Place in the scheduler's line for each waiting job (same order as the service worker)
+async function getWaitingPositions() {
+  const priorityRank = { interactive: 0, batch: 1 };
+  const waitingJobs = await JobStore.list({ status: 'waiting' });
+  
+  waitingJobs.sort((a, b) =>
+    (priorityRank[a.priority] ?? 0) - (priorityRank[b.priority] ?? 0) ||
+    new Date(a.createdAt) - new Date(b.createdAt));
+  
+  return Object.fromEntries(waitingJobs.map((job, index) => [job.id, index + 1]));
+}
+
+// Show how many submissions are waiting for the backend
+async function updateQueueBanner() {
+  const queuedJobs = await JobStore.list({ status: 'queued' });
+  document.getElementById('queueDepth').textContent = queuedJobs.length;
+  queueBanner.style.display = queuedJobs.length > 0 ? 'block' : 'none';
+}
+
+// Send queued submissions now instead of waiting for the health check
+async function flushQueue() {
+  try {
+    flushQueueBtn.disabled = true;
+    const response = await chrome.runtime.sendMessage({ action: 'flushQueue' });
+    
+    if (!response.success) {
+      alert('Failed to flush queue: ' + (response.error || 'Unknown error'));
+    } else if (response.online === false) {
+      alert('Backend is still unreachable. Queued submissions will be sent automatically once it responds.');
+    }
+    await loadJobs();
+  } catch (error) {
+    console.error('Error flushing queue:', error);
+    alert('Failed to flush queue');
+  } finally {
+    flushQueueBtn.disabled = false;
+  }
+}
+
+// Drop every queued submission
+async function discardQueue() {
+  if (!confirm('Discard all queued submissions? They will not be sent.')) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'discardQueue' });
+    
+    if (!response.success) {
+      alert('Failed to discard queue: ' + (response.error || 'Unknown error'));
+    }
+    await loadJobs();
+  } catch (error) {
+    console.error('Error discarding queue:', error);
+    alert('Failed to discard queue');
+  }
+}
+
 // Check and update running jobs
 async function checkRunningJobs() {
   try {
-    const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-    const runningJobs = jobs.filter(job => job.status === 'running' || job.status === 'pending');
+    const runningJobs = await JobStore.list({ status: ['running', 'pending', 'waiting'] });
     
     if (runningJobs.length === 0) return;
     
@@ -135,10 +439,9 @@ async function checkRunningJobs() {
 }
 
 // View job result
-window.viewJob = async function(jobId) {
+async function viewJob(jobId) {
   try {
-    const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-    const job = jobs.find(j => j.id === jobId);
+    const job = await JobStore.get(jobId);
     
     if (!job || !job.result) {
       alert('No result available for this job');
@@ -152,27 +455,35 @@ window.viewJob = async function(jobId) {
     console.error('Error viewing job:', error);
     alert('Failed to load job result');
   }
-};
+}
+
+// Scenario explorer for a finished job
+function openScenarios(jobId) {
+  chrome.tabs.create({ url: `scenario.html#${jobId}` });
+}
 
 // View job error
-window.viewJobError = async function(jobId) {
+async function viewJobError(jobId) {
   try {
-    const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-    const job = jobs.find(j => j.id === jobId);
+    const job = await JobStore.get(jobId);
     
     if (!job) {
       alert('Job not found');
       return;
     }
     
-    alert(`Error: ${job.error || 'Unknown error occurred'}\n\nJob ID: ${job.id}\nURL: ${job.url}`);
+    const errorKind = job.errorType === 'permanent'
+      ? 'Permanent failure (check backend URL, API key and payload)'
+      : `Gave up after ${job.retries || 0} retries`;
+    
+    alert(`Error: ${job.error || 'Unknown error occurred'}\n${errorKind}\n\nJob ID: ${job.id}\nURL: ${job.url}`);
   } catch (error) {
     console.error('Error viewing error:', error);
   }
-};
+}
 
 // Refresh job status
-window.refreshJobStatus = async function(jobId) {
+async function refreshJobStatus(jobId) {
   try {
     const response = await chrome.runtime.sendMessage({
       action: 'getJobStatus',
@@ -188,10 +499,10 @@ window.refreshJobStatus = async function(jobId) {
     console.error('Error refreshing status:', error);
     alert('Failed to refresh status');
   }
-};
+}
 
 // Cancel job
-window.cancelJob = async function(jobId) {
+async function cancelJob(jobId) {
   if (!confirm('Cancel this job?')) return;
   
   try {
@@ -201,6 +512,9 @@ window.cancelJob = async function(jobId) {
     });
     
     if (response.success) {
+      if (!response.backendCancelled) {
+        alert('Job cancelled locally. The backend did not confirm the cancellation, so it may keep processing.');
+      }
       await loadJobs();
     } else {
       alert('Failed to cancel job: ' + (response.error || 'Unknown error'));
@@ -209,30 +523,168 @@ window.cancelJob = async function(jobId) {
     console.error('Error canceling job:', error);
     alert('Failed to cancel job');
   }
+}
+
+// Scroll to and highlight the job linked as jobs.html#<jobId>
+function showLinkedJob() {
+  const jobId = decodeURIComponent(location.hash.slice(1));
+  if (!jobId) return;
+  
+  const card = jobsGrid.querySelector(`[data-job-id="${CSS.escape(jobId)}"]`);
+  if (!card) return;
+  
+  jobsGrid.querySelectorAll('.job-card.linked').forEach(other => other.classList.remove('linked'));
+  card.classList.add('linked');
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Open the resubmit dialog with the job's stored user inputs
+async function openResubmitDialog(jobId) {
+  try {
+    const job = await JobStore.get(jobId);
+    
+    if (!job || !job.payload) {
+      alert('No stored payload for this job');
+      return;
+    }
+    
+    const inputs = job.payload.user_inputs || {};
+    resubmitDialog.dataset.jobId = jobId;
+    document.getElementById('resubmitJobId').textContent = jobId;
+    document.getElementById('resubmitMaterial').value = inputs.material || 'other';
+    document.getElementById('resubmitRecycled').value = inputs.recycled_percent ?? 0;
+    document.getElementById('resubmitEnergy').value = inputs.energy_kwh ?? 0;
+    document.getElementById('resubmitTransport').value = inputs.transport_km ?? 0;
+    document.getElementById('resubmitForce').checked = false;
+    
+    resubmitDialog.showModal();
+  } catch (error) {
+    console.error('Error opening resubmit dialog:', error);
+    alert('Failed to load job');
+  }
+}
+
+// Numeric user_inputs edited in the resubmit dialog, by input ID
+const RESUBMIT_NUMBER_FIELDS = {
+  recycled_percent: 'resubmitRecycled',
+  energy_kwh: 'resubmitEnergy',
+  transport_km: 'resubmitTransport'
 };
 
+// Resubmit job from the dialog
+async function confirmResubmit(event) {
+  event.preventDefault();
+  const jobId = resubmitDialog.dataset.jobId;
+  
+  const userInputs = {
+    material: document.getElementById('resubmitMaterial').value
+  };
+  
+  // Number(), not parseInt(): 12.5 kWh must stay 12.5
+  for (const [field, inputId] of Object.entries(RESUBMIT_NUMBER_FIELDS)) {
+    const input = document.getElementById(inputId);
+    const value = Number(input.value);
+    
+    if (Number.isNaN(value) || value < 0) {
+      alert(`${input.labels[0].textContent}: enter a number of 0 or more`);
+      input.focus();
+      return;
+    }
+    userInputs[field] = value;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'resubmitJob',
+      jobId,
+      userInputs,
+      force: document.getElementById('resubmitForce').checked
+    });
+    
+    resubmitDialog.close();
+    
+    if (!response.success) {
+      alert('Failed to resubmit job: ' + (response.error || 'Unknown error'));
+    }
+    await loadJobs();
+  } catch (error) {
+    console.error('Error resubmitting job:', error);
+    alert('Failed to resubmit job');
+  }
+}
+
 // Delete job
-window.deleteJob = async function(jobId) {
+async function deleteJob(jobId) {
   if (!confirm('Delete this job from history?')) return;
   
   try {
-    const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-    const updatedJobs = jobs.filter(j => j.id !== jobId);
-    
-    await chrome.storage.local.set({ jobs: updatedJobs });
+    await JobStore.remove(jobId);
     await loadJobs();
   } catch (error) {
     console.error('Error deleting job:', error);
     alert('Failed to delete job');
   }
-};
+}
+
+// CSV columns for the jobs export, in order
+const CSV_COLUMNS = [
+  'id', 'url', 'status', 'createdAt', 'material', 'functional_unit', 'quantity', 'mass_kg',
+  'co2_kg', 'co2_per_unit', 'co2_per_kg', 'circularity_score', 'recycled_percent', 'unit_assumed'
+];
+
+// Export the listed jobs, in their current order, with normalised intensities
+function exportCsv() {
+  if (shownJobs.length === 0) {
+    alert('No jobs to export');
+    return;
+  }
+  
+  const rows = shownJobs.map(job => {
+    const { result } = ResultSchema.forJob(job);
+    const intensity = FunctionalUnit.forJob(job);
+    const userInputs = (job.payload && job.payload.user_inputs) || {};
+    const unit = intensity || FunctionalUnit.declared(userInputs);
+    
+    return [
+      job.id,
+      job.url,
+      job.status,
+      job.createdAt,
+      userInputs.material,
+      unit.functional_unit,
+      unit.quantity,
+      unit.mass_kg,
+      result && result.co2_kg,
+      intensity && intensity.co2_per_unit,
+      intensity && intensity.co2_per_kg,
+      result && result.circularity_score,
+      result && result.recycled_percent,
+      unit.assumed
+    ].map(csvField).join(',');
+  });
+  
+  const csv = [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  link.download = `lca-jobs-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
 // Clear all jobs
 async function clearAllJobs() {
   if (!confirm('Clear all job history? This cannot be undone.')) return;
   
   try {
-    await chrome.storage.local.set({ jobs: [] });
+    await JobStore.clear();
+    await updateQueueBanner();
+    await loadBatches();
     showEmptyState();
   } catch (error) {
     console.error('Error clearing jobs:', error);
@@ -241,6 +693,33 @@ async function clearAllJobs() {
 }
 
 // Utility functions
+
+// Statuses that still receive updates from the backend
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+// Stream events older than this no longer count as live
+const LIVE_WINDOW_MS = 60000;
+
+// Backend URL the service worker stores on jobs run in mock mode
+const MOCK_BACKEND_URL = 'mock://lca-backend';
+
+function isLive(job) {
+  return job.streamEventAt && Date.now() - new Date(job.streamEventAt).getTime() < LIVE_WINDOW_MS;
+}
+
+// Normalised intensity, flagging jobs from before functional units
+function intensityText(job) {
+  const intensity = FunctionalUnit.forJob(job);
+  if (!intensity) return '—';
+  return FunctionalUnit.format(intensity) + (intensity.assumed ? ' (assumed 1 kg)' : '');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 function formatDate(dateString) {
   const date = new Date(dateString);
   const now = new Date();
@@ -268,7 +747,9 @@ function formatDate(dateString) {
 }
 
 function generateResultHTML(job) {
-  const result = job.result || {};
+  const { result: normalized, warnings } = ResultSchema.forJob(job);
+  const result = normalized || {};
+  const breakdown = EmissionFactors.breakdown(result, job.estimate);
   
   return `
     <!DOCTYPE html>
@@ -284,6 +765,9 @@ function generateResultHTML(job) {
         .metric-label { font-size: 11px; font-weight: 600; text-transform: uppercase; color: #6b7280; }
         .metric-value { font-size: 36px; font-weight: 700; margin: 8px 0; }
         .recommendations { margin: 24px 0; }
+        .components table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        .components th, .components td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+        .components tfoot td { font-weight: 600; }
         .recommendations li { padding: 12px; margin: 8px 0; background: #f9fafb; border-left: 3px solid #10b981; border-radius: 4px; }
         pre { background: #1f2937; color: #10b981; padding: 20px; border-radius: 12px; overflow: auto; font-size: 12px; }
       </style>
@@ -299,19 +783,71 @@ function generateResultHTML(job) {
       <div class="metrics">
         <div class="metric-box">
           <div class="metric-label">Circularity Score</div>
-          <div class="metric-value">${result.circularity_score || 0}</div>
+          <div class="metric-value">${ResultSchema.format(result.circularity_score)}</div>
         </div>
         <div class="metric-box">
           <div class="metric-label">CO₂ Emissions</div>
-          <div class="metric-value">${(result.co2_kg || 0).toFixed(2)}</div>
+          <div class="metric-value">${ResultSchema.format(result.co2_kg, 2)}</div>
           <div style="font-size: 14px; color: #6b7280;">kg CO₂e</div>
+          <div style="font-size: 13px; color: #6b7280; margin-top: 4px;">${escapeHtml(intensityText(job))}</div>
         </div>
         <div class="metric-box">
           <div class="metric-label">Recycled Content</div>
-          <div class="metric-value">${result.recycled_percent || 0}%</div>
+          <div class="metric-value">${ResultSchema.format(result.recycled_percent)}%</div>
         </div>
       </div>
       
+      ${warnings.length > 0 ? `
+        <div class="result-warnings">
+          ⚠ Some result fields are missing or invalid:
+          <ul>
+            ${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+          </ul>
+        </div>
+      ` : ''}
+      
+      ${breakdown ? `
+        <div class="components">
+          <h2>Components</h2>
+          <table>
+            <thead>
+              <tr><th>Component</th><th>Material</th><th>Mass (kg)</th><th>CO₂ (kg CO₂e)</th><th>Share</th><th>Circularity</th></tr>
+            </thead>
+            <tbody>
+              ${breakdown.components.map(component => `
+                <tr>
+                  <td>${escapeHtml(component.name)}</td>
+                  <td>${escapeHtml([component.material, component.grade].filter(Boolean).join(' · '))}</td>
+                  <td>${ResultSchema.format(component.mass_kg, 2)}</td>
+                  <td>${ResultSchema.format(component.co2_kg, 2)}</td>
+                  <td>${component.share_percent}%</td>
+                  <td>${ResultSchema.format(component.circularity_score)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colspan="3">Product total</td>
+                <td>${ResultSchema.format(result.co2_kg, 2)}</td>
+                <td>100%</td>
+                <td>${ResultSchema.format(result.circularity_score)}</td>
+              </tr>
+            </tfoot>
+          </table>
+          ${breakdown.source === 'estimate' ? '<p>The backend sent no per-component results; its total is shared out as in the preliminary estimate.</p>' : ''}
+        </div>
+      ` : ''}
+      
+      ${job.circularityCheck ? `
+        <div class="circularity-check">
+          <h2>Circularity Check</h2>
+          <p>Backend MCI ${job.circularityCheck.backend_mci.toFixed(2)}, calculated locally ${job.circularityCheck.local_mci.toFixed(2)}${job.circularityCheck.flagged ? ' – large difference' : ''}</p>
+          <ul>
+            ${Circularity.explain(job.circularityCheck).map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+          </ul>
+        </div>
+      ` : ''}
+      
       ${result.recommendations && result.recommendations.length > 0 ? `
         <div class="recommendations">
           <h2>Recommendations</h2>
@@ -0,0 +1,300 @@
+// LCA Inference - guesses the popup's LCA parameters from scanned page data
+// Mines JSON-LD structured data, parsed tables, recognised grades and the raw
+// text for the material, recycled share, energy use and transport distance. Every guess
+// carries the snippet it came from and a confidence so the popup can show it
+// for the user to accept or override.
+// Depends on ResultSchema (unit conversion) and Numbers (number parsing).
+
+'use strict';
+
+const LcaInference = (() => {
+  // Confidence by where a value was found; text matches are scaled down
+  // further when nothing around them confirms what the number means
+  const CONFIDENCE = {
+    structured: 0.9,
+    table: 0.85,
+    grade: 0.85,
+    title: 0.75,
+    text: 0.7
+  };
+
+  // Characters of context kept on each side of a text match
+  const SNIPPET_CONTEXT = 40;
+
+  const MATERIAL_PATTERNS = {
+    aluminium: [/\balumin(?:i)?um\b/i, /\bEN AW[- ]?\d/i, /\bAl(?:Mg|Si|Zn|Cu)\d/],
+    copper: [/\bcopper\b/i, /\bbrass\b/i, /\bbronze\b/i, /\bCu-?(?:ETP|OF|DHP)\b/i],
+    steel: [/\bsteel\b/i, /\bstainless\b/i, /\bS(?:235|275|355)\w*/, /\b1\.4[0-9]{3}\b/]
+  };
+
+  const RECYCLED_KEY = /recycl|scrap content|secondary (?:material|content)/i;
+  const ENERGY_KEY = /energy|electricity|power consumption|\bPENRT\b|\bPERT\b/i;
+  const TRANSPORT_KEY = /transport|distance|shipping|freight/i;
+
+  const RECYCLED_TEXT = [
+    /(\d{1,3}(?:[.,]\d+)?)\s*%\s*(?:(?:post|pre)[- ]consumer\s+)?(?:recycled|recycling|scrap|secondary)/gi,
+    /recycled (?:content|share|material|aluminium|aluminum|copper|steel)\D{0,25}?(\d{1,3}(?:[.,]\d+)?)\s*%/gi
+  ];
+  const ENERGY_TEXT = /(\d[\d.,]*)\s*(kWh|MWh|Wh|MJ|GJ)\b/gi;
+  const DISTANCE_TEXT = /(\d[\d.,]*)\s*(km|kilomet(?:er|re)s?|mi|miles)\b/gi;
+
+  /**
+   * Infer LCA parameters from a scanned page
+   * @param {Object} pageData - Output of the extraction pipeline (or a PDF scan)
+   * @returns {Object} Any of material, recycled_percent, energy_kwh, transport_km,
+   *   each { value, confidence (0-1), snippet, source }
+   */
+  function infer(pageData) {
+    const text = pageData.raw_text || '';
+    const rows = [
+      ...getStructuredRows(pageData.structured_data || []),
+      ...getTableRows(pageData.tables || [])
+    ];
+
+    const inferred = {
+      material: inferMaterial(pageData, rows, text),
+      recycled_percent: inferRecycled(rows, text),
+      energy_kwh: inferMeasure(rows, text, ENERGY_KEY, ENERGY_TEXT, 'energy'),
+      transport_km: inferMeasure(rows, text, TRANSPORT_KEY, DISTANCE_TEXT, 'distance')
+    };
+
+    Object.keys(inferred).forEach(field => {
+      if (!inferred[field]) delete inferred[field];
+    });
+    return inferred;
+  }
+
+  // Candidate rows
+
+  /**
+   * Flatten structured data (JSON-LD, microdata, RDFa) into
+   * { key, text, value, unit, source } rows: a product's `material` plus its
+   * additionalProperty name/value pairs
+   */
+  function getStructuredRows(structuredData) {
+    const rows = [];
+
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      if (typeof node.material === 'string') {
+        rows.push({ key: 'material', text: node.material, value: node.material, unit: null, source: 'structured' });
+      }
+      if (node.name && node.value !== undefined && /PropertyValue/.test(node['@type'] || '')) {
+        rows.push({
+          key: String(node.name),
+          text: `${node.value}${node.unitText ? ' ' + node.unitText : ''}`,
+          value: node.value,
+          unit: node.unitText || null,
+          source: 'structured'
+        });
+      }
+      Object.values(node).forEach(visit);
+    };
+
+    structuredData.forEach(entry => visit(entry.data));
+
+    return rows;
+  }
+
+  /**
+   * Key/value rows as they are; for grids the first text cell is the key and
+   * the first number the value, with its unit from the column or a "Unit" cell
+   */
+  function getTableRows(tables) {
+    const rows = [];
+
+    tables.forEach(table => {
+      const where = [table.caption, table.page ? `page ${table.page}` : null].filter(Boolean).join(', ');
+
+      if (table.kind === 'key_value') {
+        table.rows.forEach(row => rows.push({ ...row, source: 'table', where }));
+        return;
+      }
+
+      const unitColumn = table.columns.find(column => /^unit/i.test(column.name));
+      table.rows.forEach(row => {
+        const keyColumn = table.columns.find(column => typeof row[column.name] === 'string' && row[column.name] && column !== unitColumn);
+        const valueColumn = table.columns.find(column => typeof row[column.name] === 'number');
+        if (!keyColumn || !valueColumn) return;
+
+        rows.push({
+          key: row[keyColumn.name],
+          text: `${row[valueColumn.name]} (${valueColumn.name})`,
+          value: row[valueColumn.name],
+          unit: valueColumn.unit || (unitColumn ? row[unitColumn.name] : null),
+          source: 'table',
+          where
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  // Fields
+
+  function inferMaterial(pageData, rows, text) {
+    const materialRow = rows.find(row => /^(material|alloy|base material|werkstoff)$/i.test(row.key) && matchMaterial(String(row.value)));
+    if (materialRow) {
+      return fromRow(matchMaterial(String(materialRow.value)), materialRow);
+    }
+
+    // A recognised grade names its base metal; grades of different metals make it less sure
+    const grades = (pageData.grades || []).filter(grade => grade.base_metal);
+    if (grades.length > 0) {
+      const metals = new Set(grades.map(grade => grade.base_metal));
+      const top = grades.find(grade => grade.known) || grades[0];
+      return {
+        value: top.base_metal,
+        confidence: round(metals.size === 1 ? CONFIDENCE.grade : CONFIDENCE.grade * 0.7),
+        snippet: top.snippet,
+        source: `grade ${top.id}${grades.length > 1 ? ` (${grades.length} grades found)` : ''}`
+      };
+    }
+
+    const titleMaterial = matchMaterial(pageData.title || '');
+    if (titleMaterial) {
+      return { value: titleMaterial, confidence: CONFIDENCE.title, snippet: pageData.title, source: 'page title' };
+    }
+
+    // Most mentioned material in the text, less sure the closer the runner-up
+    const counts = Object.entries(MATERIAL_PATTERNS)
+      .map(([material, patterns]) => ({
+        material,
+        count: patterns.reduce((sum, pattern) => sum + (text.match(new RegExp(pattern.source, pattern.flags + 'g')) || []).length, 0)
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    if (counts[0].count === 0) return null;
+
+    const share = counts[0].count / counts.reduce((sum, entry) => sum + entry.count, 0);
+    const firstMatch = MATERIAL_PATTERNS[counts[0].material]
+      .map(pattern => text.search(pattern))
+      .filter(index => index !== -1)
+      .sort((a, b) => a - b)[0];
+
+    return {
+      value: counts[0].material,
+      confidence: round(CONFIDENCE.text * share),
+      snippet: snippetAt(text, firstMatch, 0),
+      source: `page text (${counts[0].count} mentions)`
+    };
+  }
+
+  function matchMaterial(text) {
+    const found = Object.entries(MATERIAL_PATTERNS)
+      .find(([, patterns]) => patterns.some(pattern => pattern.test(text)));
+    return found ? found[0] : null;
+  }
+
+  function inferRecycled(rows, text) {
+    const row = rows.find(candidate => RECYCLED_KEY.test(candidate.key) && isPercent(candidate));
+    if (row) {
+      return fromRow(Math.round(Number(row.value)), row);
+    }
+
+    const matches = RECYCLED_TEXT
+      .flatMap(pattern => Array.from(text.matchAll(pattern)))
+      .map(match => ({ match, value: parseNumber(match[1]) }))
+      .filter(({ value }) => value >= 0 && value <= 100)
+      .sort((a, b) => a.match.index - b.match.index);
+
+    if (matches.length === 0) return null;
+
+    // Different figures on one page (e.g. per product variant) lower the confidence
+    const distinct = new Set(matches.map(({ value }) => value)).size;
+    const { match, value } = matches[0];
+
+    return {
+      value: Math.round(value),
+      confidence: round(distinct > 1 ? CONFIDENCE.text * 0.7 : CONFIDENCE.text + 0.1),
+      snippet: snippetAt(text, match.index, match[0].length),
+      source: 'page text'
+    };
+  }
+
+  /**
+   * Energy or distance: a table/structured row with a matching key, else the
+   * first amount in the text, trusted more when the key words are close by
+   */
+  function inferMeasure(rows, text, keyPattern, textPattern, kind) {
+    for (const row of rows) {
+      if (!keyPattern.test(row.key)) continue;
+      const amount = toBaseUnit(row.value, row.unit, kind);
+      if (amount !== null) {
+        return fromRow(Math.round(amount), row);
+      }
+    }
+
+    const candidates = Array.from(text.matchAll(textPattern))
+      .map(match => {
+        const amount = toBaseUnit(parseNumber(match[1]), match[2], kind);
+        const context = text.slice(Math.max(0, match.index - SNIPPET_CONTEXT), match.index + match[0].length + SNIPPET_CONTEXT);
+        return { match, amount, nearKey: keyPattern.test(context) };
+      })
+      .filter(candidate => candidate.amount !== null);
+
+    const best = candidates.find(candidate => candidate.nearKey) || candidates[0];
+    if (!best) return null;
+
+    return {
+      value: Math.round(best.amount),
+      confidence: round(best.nearKey ? CONFIDENCE.text - 0.1 : CONFIDENCE.text * 0.5),
+      snippet: snippetAt(text, best.match.index, best.match[0].length),
+      source: 'page text'
+    };
+  }
+
+  // Helpers
+
+  function fromRow(value, row) {
+    return {
+      value,
+      confidence: CONFIDENCE[row.source],
+      snippet: `${row.key}: ${row.text}`,
+      source: row.source === 'structured' ? 'structured data' : ['table', row.where].filter(Boolean).join(' – ')
+    };
+  }
+
+  function isPercent(row) {
+    const value = Number(row.value);
+    return typeof row.value !== 'boolean' && row.value !== '' && Number.isFinite(value) &&
+      value >= 0 && value <= 100 && (!row.unit || row.unit === '%');
+  }
+
+  function toBaseUnit(value, unit, kind) {
+    const number = typeof value === 'number' ? value : parseNumber(String(value));
+    if (Number.isNaN(number)) return null;
+    const unitText = String(unit || '').toLowerCase()
+      .replace(/^kilomet(?:er|re)s?$/, 'km')
+      .replace(/^miles$/, 'mi');
+    if (!unitText) return null;
+
+    const amount = ResultSchema.parseMeasure(`${number} ${unitText}`, kind);
+    return Number.isNaN(amount) || amount < 0 ? null : amount;
+  }
+
+  // "1.200" and "2,5" alike, read the way tables and results read them
+  function parseNumber(text) {
+    return Numbers.parse(text.trim());
+  }
+
+  function snippetAt(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+  }
+
+  function round(confidence) {
+    return Math.round(confidence * 100) / 100;
+  }
+
+  return {
+    infer
+  };
+})();
@@ -0,0 +1,252 @@
+// Main Content - readability-style detection of a page's main content
+// Loaded as a content script before content.js. Paragraph-like blocks are
+// scored by length and punctuation, scores flow up to their containers, and
+// the best container (widened while the content continues in its siblings)
+// is kept. Navigation, link lists and other boilerplate around it are dropped
+// and reported, so the popup can show what was left out.
+
+'use strict';
+
+const MainContent = (() => {
+  // Class/id hints, as in Readability
+  const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|report|datasheet|spec|product|description|sustainab/i;
+  const NEGATIVE_HINTS = /comment|footer|sidebar|sponsor|share|social|nav|menu|banner|cookie|consent|related|promo|advert|breadcrumb|newsletter|popup|modal|widget|masthead|subscribe|login|search/i;
+
+  // Blocks that start a new line when reading text
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION',
+    'TABLE', 'TBODY', 'TFOOT', 'THEAD', 'TR', 'UL'
+  ]);
+
+  const PARAGRAPH_SELECTOR = 'p, pre, td, li, dd, blockquote, div, section';
+  const CONTAINER_SELECTOR = 'p, div, section, article, table, ul, ol, dl, pre, blockquote';
+
+  // Shorter blocks don't count as content
+  const MIN_PARAGRAPH_CHARS = 25;
+
+  // Blocks whose text is mostly link text are navigation
+  const MAX_LINK_DENSITY = 0.5;
+
+  // The kept container grows to its parent while the parent adds this much
+  // more content (relative to what is already kept)
+  const WIDEN_RATIO = 0.3;
+
+  // Dropped blocks reported per page at most (largest first)
+  const MAX_REPORTED = 30;
+
+  /**
+   * Find the main content inside a (detached) root element
+   * @param {Element} root - Cloned page body, boilerplate selectors already removed
+   * @returns {Object} { roots: Element[], dropped: [{ label, preview, chars, reason }] }
+   */
+  function find(root) {
+    const paragraphScores = scoreParagraphs(root);
+    if (paragraphScores.size === 0) {
+      return { roots: [root], dropped: [] };
+    }
+
+    // Paragraph score summed up every ancestor, for how much content an element holds
+    const totals = new Map();
+    paragraphScores.forEach((score, paragraph) => {
+      for (let el = paragraph; el && el !== root.parentElement; el = el.parentElement) {
+        totals.set(el, (totals.get(el) || 0) + score);
+      }
+    });
+    const contentScore = (el) => totals.get(el) || 0;
+
+    // Readability: each paragraph feeds its parent fully and grandparent by half
+    const candidates = new Map();
+    paragraphScores.forEach((score, paragraph) => {
+      [paragraph.parentElement, paragraph.parentElement && paragraph.parentElement.parentElement]
+        .forEach((ancestor, depth) => {
+          if (!ancestor || !root.contains(ancestor)) return;
+          if (!candidates.has(ancestor)) candidates.set(ancestor, classWeight(ancestor));
+          candidates.set(ancestor, candidates.get(ancestor) + score / (depth + 1));
+        });
+    });
+
+    let top = root;
+    let topScore = -Infinity;
+    candidates.forEach((score, el) => {
+      const adjusted = score * (1 - linkDensity(el));
+      if (adjusted > topScore) {
+        top = el;
+        topScore = adjusted;
+      }
+    });
+
+    // Long reports spread over many sections: widen while the parent adds real content
+    while (top !== root && top.parentElement) {
+      const kept = contentScore(top);
+      const parentScore = contentScore(top.parentElement);
+      if (parentScore - kept < kept * WIDEN_RATIO) break;
+      top = top.parentElement;
+    }
+
+    const dropped = [];
+
+    // Everything beside the kept container, level by level up to the root
+    for (let node = top; node !== root && node.parentElement; node = node.parentElement) {
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling !== node) addDropped(dropped, sibling, 'boilerplate');
+      });
+    }
+
+    // Navigation and side blocks nested inside the kept container
+    const keptScore = contentScore(top);
+    Array.from(top.querySelectorAll(CONTAINER_SELECTOR)).forEach(el => {
+      if (!top.contains(el)) return; // already removed with an ancestor
+      const isLinkList = linkDensity(el) > MAX_LINK_DENSITY && textLength(el) > 0;
+      const isSideBlock = NEGATIVE_HINTS.test(hints(el)) && !POSITIVE_HINTS.test(hints(el)) &&
+        contentScore(el) < keptScore * 0.1;
+      if (isLinkList || isSideBlock) {
+        addDropped(dropped, el, isLinkList ? 'links' : 'boilerplate');
+        el.remove();
+      }
+    });
+
+    return { roots: [top], dropped };
+  }
+
+  /**
+   * Score paragraph-like blocks: 1 point, plus one per comma, plus one per
+   * 100 characters (up to 3). Containers holding other blocks aren't paragraphs.
+   */
+  function scoreParagraphs(root) {
+    const scores = new Map();
+
+    root.querySelectorAll(PARAGRAPH_SELECTOR).forEach(el => {
+      if ((el.tagName === 'DIV' || el.tagName === 'SECTION') && el.querySelector(CONTAINER_SELECTOR)) return;
+
+      const text = cleanText(el);
+      if (text.length < MIN_PARAGRAPH_CHARS || linkDensity(el) > MAX_LINK_DENSITY) return;
+
+      scores.set(el, 1 + (text.match(/[,;]/g) || []).length + Math.min(Math.floor(text.length / 100), 3));
+    });
+
+    return scores;
+  }
+
+  function classWeight(el) {
+    const text = hints(el);
+    let weight = 0;
+    if (NEGATIVE_HINTS.test(text)) weight -= 25;
+    if (POSITIVE_HINTS.test(text)) weight += 25;
+    if (el.tagName === 'ARTICLE' || el.tagName === 'MAIN') weight += 10;
+    return weight;
+  }
+
+  function hints(el) {
+    return `${el.id || ''} ${typeof el.className === 'string' ? el.className : ''} ${el.getAttribute('role') || ''}`;
+  }
+
+  function linkDensity(el) {
+    const length = textLength(el);
+    if (length === 0) return 0;
+    const linkLength = Array.from(el.querySelectorAll('a'))
+      .reduce((sum, link) => sum + textLength(link), 0);
+    return linkLength / length;
+  }
+
+  /**
+   * Report an element that is left out of the text
+   * @param {Object[]} dropped - Report list to add to
+   * @param {Element} el - The element
+   * @param {string} reason - 'filtered', 'site rule', 'picked', 'boilerplate' or 'links'
+   */
+  function addDropped(dropped, el, reason) {
+    const text = cleanText(el);
+    if (!text) return;
+
+    const heading = el.querySelector('h1, h2, h3, h4, h5, h6');
+    const label = (heading && cleanText(heading)) || el.getAttribute('aria-label') ||
+      [el.tagName.toLowerCase(), el.id ? `#${el.id}` : '',
+        typeof el.className === 'string' && el.className.trim() ? `.${el.className.trim().split(/\s+/)[0]}` : ''].join('');
+
+    dropped.push({
+      label: label.slice(0, 60),
+      preview: text.slice(0, 80),
+      chars: text.length,
+      reason
+    });
+  }
+
+  // Largest blocks first, capped for the payload
+  function summarizeDropped(dropped) {
+    return dropped.sort((a, b) => b.chars - a.chars).slice(0, MAX_REPORTED);
+  }
+
+  /**
+   * Read text from content roots, keeping headings as section starts
+   * @returns {Object} { text, sections: [{ heading, level, start }] } with
+   *   start offsets into text; text before the first heading has no section
+   */
+  function readSections(roots) {
+    const blocks = [{ heading: null, level: 0, parts: [] }];
+    const current = () => blocks[blocks.length - 1];
+
+    const walk = (node) => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          current().parts.push(child.textContent);
+          return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+        const heading = child.tagName.match(/^H([1-6])$/);
+        if (heading) {
+          blocks.push({ heading: cleanText(child), level: Number(heading[1]), parts: [] });
+          return;
+        }
+
+        if (child.tagName === 'BR') {
+          current().parts.push('\n');
+        } else if (child.tagName === 'TD' || child.tagName === 'TH') {
+          current().parts.push(' ');
+        }
+
+        const isBlock = BLOCK_TAGS.has(child.tagName);
+        if (isBlock) current().parts.push('\n');
+        walk(child);
+        if (isBlock) current().parts.push('\n');
+      });
+    };
+    roots.forEach(root => walk(root));
+
+    let text = '';
+    const sections = [];
+    blocks.forEach(block => {
+      const body = block.parts.join('')
+        .replace(/[ \t\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+      if (!body && !block.heading) return;
+
+      if (text) text += '\n\n';
+      if (block.heading) {
+        sections.push({ heading: block.heading, level: block.level, start: text.length });
+        text += block.heading + (body ? '\n' : '');
+      }
+      text += body;
+    });
+
+    return { text, sections };
+  }
+
+  function cleanText(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function textLength(el) {
+    return cleanText(el).length;
+  }
+
+  return {
+    find,
+    readSections,
+    addDropped,
+    summarizeDropped
+  };
+})();
@@ -0,0 +1,352 @@
+// Mock Backend - in-process simulation of the LCA backend contract
+// Loaded into the service worker with importScripts. Implements submit (single
+// and chunked), status, result, cancel and ping, advances jobs through
+// pending → running → done over time and serves results from the fixture files
+// in _mock/. Chunk hashes are checked with TextChunker (text_chunker.js).
+
+'use strict';
+
+const MockBackend = (() => {
+  // Pseudo backend URL stored on jobs created in mock mode
+  const BASE_URL = 'mock://lca-backend';
+  const API_KEY = 'mock-api-key';
+
+  // Simulated state lives in session storage so it survives service worker
+  // suspension but not a browser restart
+  const STATE_KEY = 'mockBackendJobs';
+
+  // Network latency added to every request
+  const LATENCY_MS = 300;
+
+  // Finished jobs (and chunked uploads never completed) are dropped this long
+  // after they settle, and only the newest MAX_JOBS are kept
+  const RETENTION_MS = 30 * 60 * 1000;
+  const MAX_JOBS = 100;
+
+  // Selectable scenarios: time spent pending, time spent running, and outcome
+  const SCENARIOS = {
+    success: {
+      label: 'Success',
+      pendingMs: 3000,
+      runningMs: 15000,
+      outcome: 'done',
+      fixture: 'mock_response.json'
+    },
+    slow: {
+      label: 'Slow job (3 min)',
+      pendingMs: 10000,
+      runningMs: 180000,
+      outcome: 'done',
+      fixture: 'mock_response.json'
+    },
+    backend_error: {
+      label: 'Backend error',
+      pendingMs: 3000,
+      runningMs: 8000,
+      outcome: 'error',
+      error: 'Simulated backend failure: LLM analysis crashed'
+    },
+    timeout: {
+      label: 'Timeout (never finishes)',
+      pendingMs: 3000,
+      runningMs: Infinity,
+      outcome: 'running'
+    },
+    malformed: {
+      label: 'Malformed result',
+      pendingMs: 3000,
+      runningMs: 8000,
+      outcome: 'done',
+      fixture: 'malformed_response.json'
+    },
+    unauthorized: {
+      label: '401 Unauthorized',
+      httpStatus: 401
+    }
+  };
+
+  const DEFAULT_SCENARIO = 'success';
+
+  /**
+   * Handle a backend request
+   * @param {string} path - Request path, e.g. /lca/status/job-123
+   * @param {Object} options - fetch() options
+   * @returns {Promise<Response>}
+   */
+  async function handleFetch(path, options = {}) {
+    await delay(LATENCY_MS);
+
+    const method = (options.method || 'GET').toUpperCase();
+    const [, , endpoint, jobId, step, chunkIndex] = path.split('/');
+
+    if (endpoint === 'ping' && method === 'GET') {
+      return jsonResponse({ ok: true, mock: true });
+    }
+
+    if (endpoint === 'submit' && method === 'POST' && !jobId) {
+      return submit(JSON.parse(options.body || '{}'));
+    }
+
+    return withState(async (jobs) => {
+      const job = jobs[jobId];
+
+      if (!job) {
+        return jsonResponse({ error: 'Job not found' }, 404);
+      }
+
+      if (endpoint === 'submit' && method === 'POST' && step === 'chunks') {
+        return receiveChunk(job, Number(chunkIndex), JSON.parse(options.body || '{}'));
+      }
+
+      if (endpoint === 'submit' && method === 'POST' && step === 'complete') {
+        return completeChunked(job);
+      }
+
+      if (endpoint === 'status' && method === 'GET') {
+        return jsonResponse(describe(job));
+      }
+
+      if (endpoint === 'result' && method === 'GET') {
+        const status = describe(job);
+        if (status.status !== 'done') {
+          return jsonResponse({ error: `Job is ${status.status}` }, 409);
+        }
+        return jsonResponse(await buildResult(job));
+      }
+
+      if (endpoint === 'cancel' && method === 'POST') {
+        job.cancelledAt = Date.now();
+        return jsonResponse({ job_id: jobId, status: 'cancelled' });
+      }
+
+      return jsonResponse({ error: 'Not found' }, 404);
+    });
+  }
+
+  /**
+   * Accept a job under the currently selected scenario
+   */
+  async function submit(payload) {
+    const scenarioName = await getScenarioName();
+    const scenario = SCENARIOS[scenarioName];
+
+    if (scenario.httpStatus) {
+      return jsonResponse({ error: 'Invalid API key' }, scenario.httpStatus);
+    }
+
+    const jobId = payload.job_id || 'mock-' + Date.now();
+    await withState((jobs) => {
+      prune(jobs);
+      jobs[jobId] = {
+        id: jobId,
+        scenario: scenarioName,
+        createdAt: Date.now(),
+        // Chunked jobs start once the last chunk is in
+        submittedAt: payload.chunked ? null : Date.now(),
+        userInputs: payload.user_inputs || {},
+        chunkHashes: payload.chunked ? payload.chunked.chunks.map(chunk => chunk.sha256) : null,
+        receivedChunks: []
+      };
+    });
+
+    return jsonResponse({ job_id: jobId, status: payload.chunked ? 'awaiting_chunks' : 'accepted' });
+  }
+
+  /**
+   * Store one chunk of a chunked submission after checking its hash
+   */
+  async function receiveChunk(job, index, chunk) {
+    if (!job.chunkHashes || !(index >= 0 && index < job.chunkHashes.length)) {
+      return jsonResponse({ error: `Unexpected chunk ${index}` }, 400);
+    }
+
+    if (await TextChunker.sha256(chunk.text || '') !== job.chunkHashes[index]) {
+      return jsonResponse({ error: `Chunk ${index} does not match its hash` }, 422);
+    }
+
+    if (!job.receivedChunks.includes(index)) {
+      job.receivedChunks.push(index);
+    }
+
+    return jsonResponse({ job_id: job.id, received: job.receivedChunks.length, total: job.chunkHashes.length });
+  }
+
+  /**
+   * Start a chunked job once every announced chunk has arrived
+   */
+  function completeChunked(job) {
+    if (!job.chunkHashes) {
+      return jsonResponse({ error: 'Job was not submitted in chunks' }, 400);
+    }
+
+    const missing = job.chunkHashes.length - job.receivedChunks.length;
+    if (missing > 0) {
+      return jsonResponse({ error: `${missing} chunk(s) missing` }, 400);
+    }
+
+    job.submittedAt = Date.now();
+
+    return jsonResponse({ job_id: job.id, status: 'accepted' });
+  }
+
+  /**
+   * Drop jobs that settled more than RETENTION_MS ago, then all but the
+   * newest MAX_JOBS - 1 to make room for the job being submitted, so Mock
+   * Mode doesn't fill session storage
+   */
+  function prune(jobs) {
+    const now = Date.now();
+    Object.values(jobs)
+      .filter(job => {
+        const settledAt = job.submittedAt ? finishedAt(job) : job.createdAt;
+        return settledAt !== null && now - settledAt > RETENTION_MS;
+      })
+      .forEach(job => delete jobs[job.id]);
+
+    Object.values(jobs)
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+      .slice(MAX_JOBS - 1)
+      .forEach(job => delete jobs[job.id]);
+  }
+
+  /**
+   * When a submitted job stopped changing: cancelled, or its scenario ran to
+   * the end. Null while it is still pending or running (or never finishes).
+   */
+  function finishedAt(job) {
+    if (job.cancelledAt) return job.cancelledAt;
+
+    const scenario = SCENARIOS[job.scenario] || SCENARIOS[DEFAULT_SCENARIO];
+    const endsAt = job.submittedAt + scenario.pendingMs + scenario.runningMs;
+    return Number.isFinite(endsAt) && endsAt <= Date.now() ? endsAt : null;
+  }
+
+  /**
+   * Work out a job's status and progress from the time since submission
+   */
+  function describe(job) {
+    const scenario = SCENARIOS[job.scenario] || SCENARIOS[DEFAULT_SCENARIO];
+    const elapsed = Date.now() - job.submittedAt;
+
+    if (job.cancelledAt) {
+      return { job_id: job.id, status: 'cancelled', progress: 0 };
+    }
+
+    if (!job.submittedAt) {
+      return { job_id: job.id, status: 'pending', progress: 0 };
+    }
+
+    if (elapsed < scenario.pendingMs) {
+      return { job_id: job.id, status: 'pending', progress: 0 };
+    }
+
+    const runningFor = elapsed - scenario.pendingMs;
+
+    // Never-ending jobs creep towards 95% so the progress bar still moves
+    if (scenario.runningMs === Infinity) {
+      const progress = Math.round(95 * (1 - Math.exp(-runningFor / 30000)));
+      return { job_id: job.id, status: 'running', progress };
+    }
+
+    if (runningFor < scenario.runningMs) {
+      const progress = Math.min(99, Math.round(runningFor / scenario.runningMs * 100));
+      return { job_id: job.id, status: 'running', progress };
+    }
+
+    if (scenario.outcome === 'error') {
+      return { job_id: job.id, status: 'error', progress: 100, error: scenario.error };
+    }
+
+    return { job_id: job.id, status: scenario.outcome, progress: 100 };
+  }
+
+  /**
+   * Result for a finished job: the scenario's fixture, tagged with the job ID.
+   * Bill-of-materials submissions get per-component results, the fixture's
+   * CO₂ shared out by mass.
+   */
+  async function buildResult(job) {
+    const scenario = SCENARIOS[job.scenario] || SCENARIOS[DEFAULT_SCENARIO];
+    const result = await loadFixture(scenario.fixture);
+    result.job_id = job.id;
+
+    const components = (job.userInputs.components || []).filter(component => component.mass_kg > 0);
+    const mass = components.reduce((sum, component) => sum + component.mass_kg, 0);
+    if (components.length > 0 && typeof result.co2_kg === 'number') {
+      result.components = components.map(component => ({
+        name: component.name,
+        material: component.material,
+        grade: component.grade,
+        mass_kg: component.mass_kg,
+        recycled_percent: component.recycled_percent,
+        co2_kg: Math.round(result.co2_kg * component.mass_kg / mass * 100) / 100,
+        circularity_score: result.circularity_score
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Load a JSON fixture from the _mock/ folder
+   */
+  async function loadFixture(name) {
+    const response = await fetch(chrome.runtime.getURL(`_mock/${name}`));
+    if (!response.ok) {
+      throw new Error(`Mock fixture ${name} not found`);
+    }
+    return response.json();
+  }
+
+  async function getScenarioName() {
+    const { mockScenario } = await chrome.storage.local.get(['mockScenario']);
+    return SCENARIOS[mockScenario] ? mockScenario : DEFAULT_SCENARIO;
+  }
+
+  async function loadState() {
+    const { [STATE_KEY]: jobs = {} } = await chrome.storage.session.get([STATE_KEY]);
+    return jobs;
+  }
+
+  async function saveState(jobs) {
+    await chrome.storage.session.set({ [STATE_KEY]: jobs });
+  }
+
+  // Requests overlap (scheduler slots, chunk uploads), so each one's
+  // read-modify-write of the state runs in turn
+  let stateQueue = Promise.resolve();
+
+  /**
+   * Run task(jobs) on the current state and save it afterwards
+   * @returns {Promise<*>} Whatever the task returns
+   */
+  function withState(task) {
+    const run = stateQueue.then(async () => {
+      const jobs = await loadState();
+      const result = await task(jobs);
+      await saveState(jobs);
+      return result;
+    });
+    stateQueue = run.catch(() => {});
+    return run;
+  }
+
+  function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return {
+    BASE_URL,
+    API_KEY,
+    SCENARIOS,
+    fetch: handleFetch,
+    loadFixture
+  };
+})();
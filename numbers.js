@@ -0,0 +1,55 @@
+// Numbers - the one reading of number text shared by every parser
+// Loaded by the service worker (importScripts), the extension pages
+// (<script src="numbers.js">) and as a content script before table_parser.js,
+// so a datasheet value means the same in result validation (ResultSchema),
+// table parsing (TableParser) and form prefill (LcaInference).
+
+'use strict';
+
+const Numbers = (() => {
+  // Accepted spellings, tried in order: "1234.5", "1,234.5", "12,5" and
+  // "1.234,5". A lone dot is a decimal point; a leading zero never starts
+  // a thousands group.
+  const FORMATS = [
+    { pattern: /^\d+(?:\.\d+)?$/, thousands: null, decimal: '.' },
+    { pattern: /^[1-9]\d{0,2}(?:,\d{3})+(?:\.\d+)?$/, thousands: ',', decimal: '.' },
+    { pattern: /^\d+(?:,\d+)?$/, thousands: null, decimal: ',' },
+    { pattern: /^[1-9]\d{0,2}(?:\.\d{3})+(?:,\d+)?$/, thousands: '.', decimal: ',' }
+  ];
+
+  // "1,234" is 1234 with a thousands comma or 1.234 with a decimal one.
+  // "1234,567" and "0,123" can only be decimal commas.
+  const AMBIGUOUS = /^(?!0,)\d{1,3},\d{3}$/;
+
+  /**
+   * Read number text with an optional sign
+   * @returns {number} NaN if the text isn't a number or is ambiguous
+   */
+  function parse(text) {
+    const sign = /^-/.test(text) ? -1 : 1;
+    const digits = String(text).replace(/^[-+]/, '');
+    if (AMBIGUOUS.test(digits)) {
+      return NaN;
+    }
+
+    const format = FORMATS.find(({ pattern }) => pattern.test(digits));
+    if (!format) {
+      return NaN;
+    }
+
+    const plain = format.thousands ? digits.split(format.thousands).join('') : digits;
+    return sign * parseFloat(plain.replace(format.decimal, '.'));
+  }
+
+  /**
+   * Whether number text could be read either way, e.g. "1,234"
+   */
+  function isAmbiguous(text) {
+    return AMBIGUOUS.test(String(text).replace(/^[-+]/, ''));
+  }
+
+  return {
+    parse,
+    isAmbiguous
+  };
+})();
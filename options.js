@@ -6,6 +6,13 @@ const apiKeyInput = document.getElementById('apiKey');
 const toggleApiKeyBtn = document.getElementById('toggleApiKey');
 const requireSeleniumDefaultCheckbox = document.getElementById('requireSeleniumDefault');
 const mockModeDefaultCheckbox = document.getElementById('mockModeDefault');
+const mockScenarioSelect = document.getElementById('mockScenario');
+const maxConcurrentJobsInput = document.getElementById('maxConcurrentJobs');
+const maxConcurrentPollsInput = document.getElementById('maxConcurrentPolls');
+const streamingEnabledCheckbox = document.getElementById('streamingEnabled');
+const jobRetentionDaysInput = document.getElementById('jobRetentionDays');
+const maxStoredJobsInput = document.getElementById('maxStoredJobs');
+const resultCacheHoursInput = document.getElementById('resultCacheHours');
 const saveBtn = document.getElementById('saveBtn');
 const clearBtn = document.getElementById('clearBtn');
 const testConnectionBtn = document.getElementById('testConnectionBtn');
@@ -13,6 +20,21 @@ const clearJobsBtn = document.getElementById('clearJobsBtn');
 const testResult = document.getElementById('testResult');
 const statusMessage = document.getElementById('statusMessage');
 const jobsList = document.getElementById('jobsList');
+const pickedList = document.getElementById('pickedList');
+const ruleSelect = document.getElementById('ruleSelect');
+const newRuleBtn = document.getElementById('newRuleBtn');
+const saveRuleBtn = document.getElementById('saveRuleBtn');
+const deleteRuleBtn = document.getElementById('deleteRuleBtn');
+const rulePageTypeSelect = document.getElementById('rulePageType');
+const selectionActionSelect = document.getElementById('selectionAction');
+const selectionScopeSelect = document.getElementById('selectionScope');
+const estimateGridSelect = document.getElementById('estimateGrid');
+const estimateTransportModeSelect = document.getElementById('estimateTransportMode');
+const defaultMaterialSelect = document.getElementById('defaultMaterial');
+const defaultRecycledPercentInput = document.getElementById('defaultRecycledPercent');
+const defaultEnergyKwhInput = document.getElementById('defaultEnergyKwh');
+const defaultTransportKmInput = document.getElementById('defaultTransportKm');
+const defaultFunctionalUnitSelect = document.getElementById('defaultFunctionalUnit');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', loadSettings);
@@ -23,6 +45,19 @@ clearBtn.addEventListener('click', clearAllData);
 testConnectionBtn.addEventListener('click', testConnection);
 clearJobsBtn.addEventListener('click', clearJobs);
 toggleApiKeyBtn.addEventListener('click', toggleApiKeyVisibility);
+ruleSelect.addEventListener('change', () => showSelectedRule());
+newRuleBtn.addEventListener('click', newRule);
+saveRuleBtn.addEventListener('click', saveRule);
+deleteRuleBtn.addEventListener('click', deleteRule);
+// Buttons in the re-rendered lists are delegated
+pickedList.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-site]');
+  if (button) removePickedRegions(button.dataset.site);
+});
+jobsList.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-job-id]');
+  if (button) viewJobResult(button.dataset.jobId);
+});
 
 // Load saved settings
 async function loadSettings() {
@@ -31,13 +66,60 @@ async function loadSettings() {
       'backendUrl',
       'apiKey',
       'requireSeleniumDefault',
-      'mockMode'
+      'mockMode',
+      'mockScenario',
+      'streamingEnabled',
+      'maxConcurrentJobs',
+      'maxConcurrentPolls',
+      'jobRetentionDays',
+      'maxStoredJobs',
+      'resultCacheHours',
+      'selectionAction',
+      'selectionScope',
+      'defaultUserInputs',
+      'estimateGrid',
+      'estimateTransportMode'
     ]);
     
     backendUrlInput.value = settings.backendUrl || '';
     apiKeyInput.value = settings.apiKey || '';
     requireSeleniumDefaultCheckbox.checked = settings.requireSeleniumDefault !== false;
     mockModeDefaultCheckbox.checked = settings.mockMode || false;
+    mockScenarioSelect.value = settings.mockScenario || 'success';
+    streamingEnabledCheckbox.checked = settings.streamingEnabled !== false;
+    maxConcurrentJobsInput.value = settings.maxConcurrentJobs || 3;
+    maxConcurrentPollsInput.value = settings.maxConcurrentPolls || 2;
+    jobRetentionDaysInput.value = settings.jobRetentionDays || 30;
+    maxStoredJobsInput.value = settings.maxStoredJobs || 500;
+    resultCacheHoursInput.value = settings.resultCacheHours ?? 24;
+    selectionActionSelect.value = settings.selectionAction || 'popup';
+    selectionScopeSelect.value = settings.selectionScope || 'selection';
+    
+    const defaultInputs = settings.defaultUserInputs || {};
+    defaultMaterialSelect.value = defaultInputs.material || 'aluminium';
+    defaultRecycledPercentInput.value = defaultInputs.recycled_percent ?? 30;
+    defaultEnergyKwhInput.value = defaultInputs.energy_kwh ?? 100;
+    defaultTransportKmInput.value = defaultInputs.transport_km ?? 50;
+    defaultFunctionalUnitSelect.value = defaultInputs.functional_unit || 'kg';
+    
+    // Emission factor choices for preliminary estimates
+    estimateGridSelect.innerHTML = Object.entries(EmissionFactors.GRIDS)
+      .map(([id, grid]) => `<option value="${id}">${escapeHtml(grid.label)} (${grid.factor} kg CO₂e/kWh)</option>`)
+      .join('');
+    estimateTransportModeSelect.innerHTML = Object.entries(EmissionFactors.TRANSPORT_MODES)
+      .map(([id, mode]) => `<option value="${id}">${escapeHtml(mode.label)} (${mode.factor} kg CO₂e/t·km)</option>`)
+      .join('');
+    estimateGridSelect.value = settings.estimateGrid || EmissionFactors.DEFAULTS.grid;
+    estimateTransportModeSelect.value = settings.estimateTransportMode || EmissionFactors.DEFAULTS.transport_mode;
+    document.getElementById('estimateLibrary').textContent =
+      `ℹ️ Factor library v${EmissionFactors.VERSION}: ${EmissionFactors.SOURCES.join('; ')}.`;
+    
+    // Load extraction rules
+    rulePageTypeSelect.innerHTML += ExtractionRules.PAGE_TYPES
+      .map(type => `<option value="${type}">${type}</option>`)
+      .join('');
+    await loadRules();
+    await loadPickedRegions();
     
     // Load jobs
     await loadJobs();
@@ -54,7 +136,25 @@ async function saveSettings() {
       backendUrl: backendUrlInput.value.trim(),
       apiKey: apiKeyInput.value.trim(),
       requireSeleniumDefault: requireSeleniumDefaultCheckbox.checked,
-      mockMode: mockModeDefaultCheckbox.checked
+      mockMode: mockModeDefaultCheckbox.checked,
+      mockScenario: mockScenarioSelect.value,
+      streamingEnabled: streamingEnabledCheckbox.checked,
+      maxConcurrentJobs: Math.max(1, parseInt(maxConcurrentJobsInput.value) || 3),
+      maxConcurrentPolls: Math.max(1, parseInt(maxConcurrentPollsInput.value) || 2),
+      jobRetentionDays: Math.max(1, parseInt(jobRetentionDaysInput.value) || 30),
+      maxStoredJobs: Math.max(10, parseInt(maxStoredJobsInput.value) || 500),
+      resultCacheHours: Math.max(0, parseInt(resultCacheHoursInput.value) || 0),
+      selectionAction: selectionActionSelect.value,
+      selectionScope: selectionScopeSelect.value,
+      estimateGrid: estimateGridSelect.value,
+      estimateTransportMode: estimateTransportModeSelect.value,
+      defaultUserInputs: {
+        material: defaultMaterialSelect.value,
+        recycled_percent: Math.min(100, Math.max(0, Number(defaultRecycledPercentInput.value) || 0)),
+        energy_kwh: Math.max(0, Number(defaultEnergyKwhInput.value) || 0),
+        transport_km: Math.max(0, Number(defaultTransportKmInput.value) || 0),
+        functional_unit: defaultFunctionalUnitSelect.value
+      }
     };
     
     // Validate backend URL
@@ -83,12 +183,24 @@ async function clearAllData() {
   
   try {
     await chrome.storage.local.clear();
+    await JobStore.clear();
     
     // Reset form
     backendUrlInput.value = '';
     apiKeyInput.value = '';
     requireSeleniumDefaultCheckbox.checked = true;
     mockModeDefaultCheckbox.checked = false;
+    mockScenarioSelect.value = 'success';
+    streamingEnabledCheckbox.checked = true;
+    maxConcurrentJobsInput.value = 3;
+    maxConcurrentPollsInput.value = 2;
+    jobRetentionDaysInput.value = 30;
+    maxStoredJobsInput.value = 500;
+    resultCacheHoursInput.value = 24;
+    estimateGridSelect.value = EmissionFactors.DEFAULTS.grid;
+    estimateTransportModeSelect.value = EmissionFactors.DEFAULTS.transport_mode;
+    await loadRules();
+    await loadPickedRegions();
     
     // Clear jobs list
     jobsList.innerHTML = '<p class="text-muted text-center">No jobs yet</p>';
@@ -100,6 +212,139 @@ async function clearAllData() {
   }
 }
 
+// Extraction rules
+
+let extractionRules = [];
+
+async function loadRules(selectedId = null) {
+  extractionRules = await ExtractionRules.getRules();
+  
+  ruleSelect.innerHTML = extractionRules.map(rule => {
+    const label = rule.builtIn ? (rule.customized ? 'built-in, customized' : 'built-in') : 'custom';
+    return `<option value="${rule.id}">${escapeHtml(rule.name)} (${label})</option>`;
+  }).join('');
+  
+  if (selectedId) {
+    ruleSelect.value = selectedId;
+  }
+  showSelectedRule();
+}
+
+function showSelectedRule() {
+  const rule = extractionRules.find(candidate => candidate.id === ruleSelect.value);
+  fillRuleForm(rule || null);
+}
+
+function fillRuleForm(rule) {
+  document.getElementById('ruleId').value = rule ? rule.id : '';
+  document.getElementById('ruleId').disabled = Boolean(rule);
+  document.getElementById('ruleName').value = rule ? rule.name : '';
+  document.getElementById('ruleDomains').value = rule ? rule.domains.join(', ') : '';
+  rulePageTypeSelect.value = (rule && rule.pageType) || '';
+  document.getElementById('ruleInclude').value = rule ? rule.include.join('\n') : '';
+  document.getElementById('ruleExclude').value = rule ? rule.exclude.join('\n') : '';
+  document.getElementById('ruleFields').value = rule
+    ? Object.entries(rule.fields).map(([field, selector]) => `${field}: ${selector}`).join('\n')
+    : '';
+  
+  deleteRuleBtn.textContent = rule && rule.builtIn ? 'Reset to Default' : 'Delete Rule';
+  deleteRuleBtn.disabled = !rule || (rule.builtIn && !rule.customized);
+}
+
+function newRule() {
+  ruleSelect.value = '';
+  fillRuleForm(null);
+  document.getElementById('ruleId').focus();
+}
+
+async function saveRule() {
+  try {
+    // "field: selector" lines; the selector itself may contain colons
+    const fields = {};
+    document.getElementById('ruleFields').value.split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+    
+    const rule = await ExtractionRules.saveRule({
+      id: document.getElementById('ruleId').value,
+      name: document.getElementById('ruleName').value,
+      domains: document.getElementById('ruleDomains').value,
+      pageType: rulePageTypeSelect.value,
+      include: document.getElementById('ruleInclude').value,
+      exclude: document.getElementById('ruleExclude').value,
+      fields
+    });
+    
+    await loadRules(rule.id);
+    showStatus(`✓ Rule "${rule.name}" saved`, 'success');
+  } catch (error) {
+    console.error('Error saving rule:', error);
+    showStatus('✗ ' + error.message, 'error');
+  }
+}
+
+async function deleteRule() {
+  const rule = extractionRules.find(candidate => candidate.id === ruleSelect.value);
+  if (!rule) return;
+  
+  const question = rule.builtIn
+    ? `Reset "${rule.name}" to the built-in rule?`
+    : `Delete the rule "${rule.name}"?`;
+  if (!confirm(question)) return;
+  
+  try {
+    await ExtractionRules.removeRule(rule.id);
+    await loadRules(rule.builtIn ? rule.id : null);
+    showStatus(rule.builtIn ? '✓ Rule reset to default' : '✓ Rule deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    showStatus('✗ Failed to delete rule', 'error');
+  }
+}
+
+// Regions picked on pages with the element picker, per site
+async function loadPickedRegions() {
+  const picks = Object.entries(await ExtractionRules.getAllPicks())
+    .sort(([a], [b]) => a.localeCompare(b));
+  
+  if (picks.length === 0) {
+    pickedList.innerHTML = '<p class="text-muted text-center">No regions picked yet</p>';
+    return;
+  }
+  
+  pickedList.innerHTML = picks.map(([site, { include, exclude, updatedAt }]) => `
+    <div class="job-item">
+      <div class="job-info">
+        <div class="job-url">${escapeHtml(site)}</div>
+        <div class="job-id" title="${escapeHtml([...include.map(selector => `+ ${selector}`), ...exclude.map(selector => `− ${selector}`)].join('\n'))}">
+          ${include.length} included · ${exclude.length} excluded
+        </div>
+        <div class="job-meta">Picked ${new Date(updatedAt).toLocaleString()}</div>
+      </div>
+      <div class="job-actions">
+        <button class="btn btn-sm btn-secondary" data-site="${escapeHtml(site)}">Remove</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Remove a site's picked regions
+async function removePickedRegions(site) {
+  if (!confirm(`Remove the picked regions for ${site}?`)) return;
+  
+  try {
+    await ExtractionRules.removePicks(site);
+    await loadPickedRegions();
+    showStatus('✓ Picked regions removed', 'success');
+  } catch (error) {
+    console.error('Error removing picked regions:', error);
+    showStatus('✗ Failed to remove picked regions', 'error');
+  }
+}
+
 // Test connection to backend
 async function testConnection() {
   const backendUrl = backendUrlInput.value.trim();
@@ -144,19 +389,17 @@ async function testConnection() {
   }
 }
 
-// Load jobs from storage
+// Load jobs from the job store
 async function loadJobs() {
   try {
-    const { jobs = [] } = await chrome.storage.local.get(['jobs']);
+    // JobStore returns newest first
+    const jobs = await JobStore.list();
     
     if (jobs.length === 0) {
       jobsList.innerHTML = '<p class="text-muted text-center">No jobs yet</p>';
       return;
     }
     
-    // Sort by creation date (newest first)
-    jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
     jobsList.innerHTML = jobs.map(job => `
       <div class="job-item">
         <div class="job-info">
@@ -169,7 +412,7 @@ async function loadJobs() {
         </div>
         <div class="job-actions">
           <span class="badge badge-${job.status}">${job.status}</span>
-          ${job.status === 'done' ? `<button class="btn btn-sm btn-secondary" onclick="viewJobResult('${job.id}')">View</button>` : ''}
+          ${job.status === 'done' ? `<button class="btn btn-sm btn-secondary" data-job-id="${job.id}">View</button>` : ''}
         </div>
       </div>
     `).join('');
@@ -185,7 +428,7 @@ async function clearJobs() {
   }
   
   try {
-    await chrome.storage.local.set({ jobs: [] });
+    await JobStore.clear();
     jobsList.innerHTML = '<p class="text-muted text-center">No jobs yet</p>';
     showStatus('✓ Job history cleared', 'success');
   } catch (error) {
@@ -194,17 +437,18 @@ async function clearJobs() {
   }
 }
 
-// View job result (called from inline onclick)
-window.viewJobResult = async function(jobId) {
+// View job result
+async function viewJobResult(jobId) {
   try {
-    const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-    const job = jobs.find(j => j.id === jobId);
+    const job = await JobStore.get(jobId);
     
     if (!job || !job.result) {
       alert('No result available for this job');
       return;
     }
     
+    const { result, warnings } = ResultSchema.forJob(job);
+    
     // Open a new window/tab to display result
     const resultWindow = window.open('', '_blank', 'width=800,height=600');
     resultWindow.document.write(`
@@ -223,8 +467,14 @@ window.viewJobResult = async function(jobId) {
         <p><strong>Job ID:</strong> ${jobId}</p>
         <p><strong>Status:</strong> ${job.status}</p>
         <p><strong>URL:</strong> ${job.url}</p>
+        ${warnings.length > 0 ? `
+          <div class="result-warnings">
+            ⚠ Some result fields are missing or invalid:
+            <ul>${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>
+          </div>
+        ` : ''}
         <h2>Result Data</h2>
-        <pre>${JSON.stringify(job.result, null, 2)}</pre>
+        <pre>${escapeHtml(JSON.stringify(result, null, 2))}</pre>
       </body>
       </html>
     `);
@@ -232,7 +482,7 @@ window.viewJobResult = async function(jobId) {
     console.error('Error viewing result:', error);
     alert('Failed to load result: ' + error.message);
   }
-};
+}
 
 // Toggle API key visibility
 function toggleApiKeyVisibility() {
@@ -255,6 +505,12 @@ function isValidUrl(string) {
   }
 }
 
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 function showStatus(message, type) {
   statusMessage.textContent = message;
   statusMessage.className = `status-message ${type}`;
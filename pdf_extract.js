@@ -0,0 +1,240 @@
+// PDF Extract - local text and table extraction from PDF documents
+// Used by the popup for PDF tabs (EPDs, mill certificates, datasheets).
+// The file is parsed by pdf.js (vendor/pdfjs, loaded before this script as
+// pdfjsLib), which handles the stream filters, object streams, encryption
+// without a user password and font encodings, including CJK CMaps. This
+// module lays the text pdf.js positions on each page out into lines and
+// rebuilds tables from text aligned in columns.
+// Depends on TableParser (table_parser.js) for the tables.
+
+'use strict';
+
+const PdfExtract = (() => {
+  // Documents larger than this are left to the backend
+  const MAX_PDF_BYTES = 30 * 1024 * 1024;
+
+  // Horizontal gap (in font sizes) that separates two table cells on a line
+  const CELL_GAP_EM = 1.2;
+
+  // pdf.js files shipped with the extension
+  const WORKER_PATH = 'vendor/pdfjs/pdf.worker.min.js';
+  const CMAPS_PATH = 'vendor/pdfjs/cmaps/';
+
+  // Control characters are what pdf.js gives for glyphs of fonts with no
+  // Unicode mapping (e.g. Identity-H without ToUnicode)
+  const UNMAPPED = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffd]/g;
+
+  /**
+   * Download a PDF and extract it
+   * @param {string} url - http(s) or file URL of the document
+   */
+  async function extractFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not download the PDF (${response.status})`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength > MAX_PDF_BYTES) {
+      throw new Error('PDF is too large to analyse locally');
+    }
+
+    return extract(new Uint8Array(buffer));
+  }
+
+  /**
+   * Extract text lines and tables per page
+   * @param {Uint8Array} bytes - The PDF file
+   * @returns {Promise<{ pageCount: number, pages: Object[] }>}
+   *   pages: [{ page, text, tables, issue }] with 1-based page numbers; issue
+   *   says why a page gave no (or only some) text, and is null otherwise
+   */
+  async function extract(bytes) {
+    // Parsing runs in a worker, unless the page loaded the worker script itself
+    pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(WORKER_PATH);
+
+    const loadingTask = pdfjsLib.getDocument({
+      data: bytes,
+      cMapUrl: chrome.runtime.getURL(CMAPS_PATH),
+      CMapReaderFactory: CMapReader,
+      // Extension pages don't allow eval()
+      isEvalSupported: false,
+      verbosity: pdfjsLib.VerbosityLevel.ERRORS
+    });
+
+    try {
+      const doc = await openDocument(loadingTask);
+      const pages = [];
+
+      for (let index = 0; index < doc.numPages; index++) {
+        try {
+          const page = await doc.getPage(index + 1);
+          const { items } = await page.getTextContent();
+          pages.push(readPage(items, index + 1));
+        } catch (error) {
+          console.warn(`PDF page ${index + 1} could not be read:`, error);
+          pages.push({ page: index + 1, text: '', tables: [], issue: 'could not be read' });
+        }
+      }
+
+      return { pageCount: pages.length, pages };
+    } finally {
+      await loadingTask.destroy();
+    }
+  }
+
+  /**
+   * Wait for pdf.js to open the file, with its errors reworded for the popup
+   */
+  async function openDocument(loadingTask) {
+    try {
+      return await loadingTask.promise;
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        throw new Error('Password-protected PDFs are not supported');
+      }
+      if (error.name === 'InvalidPDFException') {
+        throw new Error('Not a PDF document, or a damaged one');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * pdf.js reads CMaps with XMLHttpRequest unless their URL is http(s);
+   * fetch() reads the extension's own files as well
+   */
+  class CMapReader {
+    constructor({ baseUrl }) {
+      this.baseUrl = baseUrl;
+    }
+
+    async fetch({ name }) {
+      const response = await fetch(`${this.baseUrl}${name}.bcmap`);
+      if (!response.ok) {
+        throw new Error(`Could not load the ${name} CMap (${response.status})`);
+      }
+      return {
+        cMapData: new Uint8Array(await response.arrayBuffer()),
+        compressionType: pdfjsLib.CMapCompressionType.BINARY
+      };
+    }
+  }
+
+  // Layout
+
+  /**
+   * Lines, tables and issue of one page from pdf.js text items
+   */
+  function readPage(items, pageNumber) {
+    let unmapped = 0;
+    const runs = items
+      .filter(item => item.str !== undefined)
+      .map(item => {
+        const [, , c, d, x, y] = item.transform;
+        const text = item.str.replace(UNMAPPED, () => {
+          unmapped++;
+          return '';
+        });
+        return { x, y, endX: x + item.width, size: Math.hypot(c, d) || item.height, text };
+      })
+      // Whitespace items span the gaps between columns, which must stay gaps
+      .filter(run => run.text.trim() && run.size > 0);
+
+    const lines = groupLines(runs);
+    const text = lines.map(line => line.text).join('\n');
+    return {
+      page: pageNumber,
+      text,
+      tables: findTables(lines).map(table => ({ ...table, page: pageNumber })),
+      issue: unmapped > 0 ? 'fonts without a Unicode mapping'
+        : text ? null
+        : 'no text (scanned image?)'
+    };
+  }
+
+  /**
+   * Group runs into lines (top to bottom), joining runs on a line with spaces
+   * and splitting it into cells wherever the gap is wide enough for a column
+   * @returns {Object[]} [{ text, cells: string[] }]
+   */
+  function groupLines(runs) {
+    const lines = [];
+
+    runs
+      .slice()
+      .sort((a, b) => b.y - a.y || a.x - b.x)
+      .forEach(run => {
+        const line = lines.find(candidate => Math.abs(candidate.y - run.y) < Math.min(candidate.size, run.size) * 0.5);
+        if (line) {
+          line.runs.push(run);
+        } else {
+          lines.push({ y: run.y, size: run.size, runs: [run] });
+        }
+      });
+
+    return lines
+      .sort((a, b) => b.y - a.y)
+      .map(line => {
+        const cells = [];
+        let current = '';
+        let lastEnd = null;
+
+        line.runs.sort((a, b) => a.x - b.x).forEach(run => {
+          const gap = lastEnd === null ? 0 : run.x - lastEnd;
+          if (lastEnd !== null && gap > line.size * CELL_GAP_EM) {
+            cells.push(current.trim());
+            current = '';
+          } else if (lastEnd !== null && gap > line.size * 0.15 && !current.endsWith(' ') && !run.text.startsWith(' ')) {
+            current += ' ';
+          }
+          current += run.text;
+          lastEnd = run.endX;
+        });
+        cells.push(current.trim());
+
+        const filled = cells.filter(Boolean);
+        return { text: filled.join(' ').replace(/\s+/g, ' '), cells: filled };
+      })
+      .filter(line => line.text);
+  }
+
+  /**
+   * Consecutive lines with two or more cells are read as a table; the line
+   * just above is its caption when it is a short single cell
+   */
+  function findTables(lines) {
+    const tables = [];
+    let block = [];
+
+    const flush = (endIndex) => {
+      if (block.length >= 2) {
+        const width = Math.max(...block.map(cells => cells.length));
+        const rows = block.map(cells => cells.concat(Array(width - cells.length).fill('')));
+        const table = TableParser.fromRows(rows);
+        if (table && table.rows.length > 0) {
+          const above = lines[endIndex - block.length - 1];
+          table.caption = above && above.cells.length === 1 && above.text.length < 80 ? above.text : null;
+          tables.push(table);
+        }
+      }
+      block = [];
+    };
+
+    lines.forEach((line, index) => {
+      if (line.cells.length >= 2 && line.cells.length <= TableParser.MAX_TABLE_COLUMNS) {
+        block.push(line.cells);
+      } else {
+        flush(index);
+      }
+    });
+    flush(lines.length);
+
+    return tables;
+  }
+
+  return {
+    extract,
+    extractFromUrl
+  };
+})();
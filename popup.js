@@ -1,6 +1,10 @@
 // Popup UI Logic
 
 let currentPageData = null;
+let estimateOptions = {};
+let currentEstimate = null;
+let circularityOverrides = {};
+let currentCircularity = null;
 
 // DOM Elements
 const scanBtn = document.getElementById('scanBtn');
@@ -9,30 +13,187 @@ const jobsBtn = document.getElementById('jobsBtn');
 const optionsBtn = document.getElementById('optionsBtn');
 const mockModeCheckbox = document.getElementById('mockMode');
 const useMockBtn = document.getElementById('useMockBtn');
+const mockScenarioSelect = document.getElementById('mockScenario');
 const extractedText = document.getElementById('extractedText');
 const charCount = document.getElementById('charCount');
 const pageInfo = document.getElementById('pageInfo');
 const submitStatus = document.getElementById('submitStatus');
 const resultsSection = document.getElementById('resultsSection');
+const tablesSection = document.getElementById('tablesSection');
+const includeTablesCheckbox = document.getElementById('includeTables');
+const batchScope = document.getElementById('batchScope');
+const loadTabsBtn = document.getElementById('loadTabsBtn');
+const batchTabList = document.getElementById('batchTabList');
+const batchNameInput = document.getElementById('batchName');
+const batchSubmitBtn = document.getElementById('batchSubmitBtn');
+const batchStatus = document.getElementById('batchStatus');
+const inferenceNote = document.getElementById('inferenceNote');
+const contentSection = document.getElementById('contentSection');
+const chunkPlan = document.getElementById('chunkPlan');
+const forceReanalysisCheckbox = document.getElementById('forceReanalysis');
+const cacheOffer = document.getElementById('cacheOffer');
+const pickRegionsBtn = document.getElementById('pickRegionsBtn');
+const pickedNote = document.getElementById('pickedNote');
+const circularityFields = document.getElementById('circularityFields');
+const bomRows = document.getElementById('bomRows');
+const functionalUnitSelect = document.getElementById('functionalUnit');
+const quantityInput = document.getElementById('quantity');
+const massKgInput = document.getElementById('massKg');
+
+// LCA parameters the page inference can prefill (user_inputs key → input id)
+const INFERRED_FIELDS = {
+  material: 'material',
+  recycled_percent: 'recycledPercent',
+  energy_kwh: 'energyKwh',
+  transport_km: 'transportKm'
+};
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
   // Load mock mode preference
-  const { mockMode = false } = await chrome.storage.local.get(['mockMode']);
+  const { mockMode = false, mockScenario = 'success' } =
+    await chrome.storage.local.get(['mockMode', 'mockScenario']);
   mockModeCheckbox.checked = mockMode;
+  mockScenarioSelect.value = mockScenario;
   toggleMockUI(mockMode);
   
+  await loadDefaultInputs();
+  
+  // Grid region and transport mode for the preliminary estimate
+  const { estimateGrid, estimateTransportMode } =
+    await chrome.storage.local.get(['estimateGrid', 'estimateTransportMode']);
+  estimateOptions = { grid: estimateGrid, transport_mode: estimateTransportMode };
+  updateEstimate();
+  
+  // Calculator values set in earlier sessions
+  const { circularityInputs = {} } = await chrome.storage.local.get(['circularityInputs']);
+  circularityOverrides = circularityInputs;
+  renderCircularityFields();
+  updateCircularity();
+  
   // Update char count on input
   extractedText.addEventListener('input', updateCharCount);
+  
+  await loadPendingSelection();
+  await showPickedRegions();
 });
 
+/**
+ * Apply the default LCA parameters from Options; they also become what
+ * "Reset" on a prefilled field returns to
+ */
+async function loadDefaultInputs() {
+  const { defaultUserInputs = {}, requireSeleniumDefault } =
+    await chrome.storage.local.get(['defaultUserInputs', 'requireSeleniumDefault']);
+  
+  Object.entries(INFERRED_FIELDS).forEach(([field, inputId]) => {
+    if (defaultUserInputs[field] === undefined) return;
+    
+    const input = document.getElementById(inputId);
+    if (input.tagName === 'SELECT') {
+      Array.from(input.options).forEach(option => {
+        option.defaultSelected = option.value === defaultUserInputs[field];
+      });
+    } else {
+      input.defaultValue = defaultUserInputs[field];
+    }
+    input.value = defaultUserInputs[field];
+  });
+  
+  if (FunctionalUnit.UNITS[defaultUserInputs.functional_unit]) {
+    Array.from(functionalUnitSelect.options).forEach(option => {
+      option.defaultSelected = option.value === defaultUserInputs.functional_unit;
+    });
+    functionalUnitSelect.value = defaultUserInputs.functional_unit;
+  }
+  updateFunctionalUnit();
+  
+  document.getElementById('requireSelenium').checked = requireSeleniumDefault !== false;
+}
+
+/**
+ * Pick up a selection sent from the "Analyse selection for LCA" context menu
+ */
+async function loadPendingSelection() {
+  const { pendingSelection } = await chrome.storage.session.get(['pendingSelection']);
+  if (!pendingSelection) return;
+  
+  await chrome.storage.session.remove('pendingSelection');
+  
+  currentPageData = pendingSelection;
+  displayPageData(currentPageData);
+  applyInferredInputs(currentPageData);
+  submitBtn.disabled = false;
+  
+  if (pendingSelection.error) {
+    showStatus('✗ Automatic submit failed: ' + pendingSelection.error, 'error');
+  } else {
+    showStatus('✓ Selection loaded – check the parameters and send it', 'success');
+  }
+}
+
 // Event Listeners
 scanBtn.addEventListener('click', handleScan);
-submitBtn.addEventListener('click', handleSubmit);
-jobsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+submitBtn.addEventListener('click', () => handleSubmit());
+jobsBtn.addEventListener('click', () => chrome.tabs.create({ url: 'jobs.html' }));
 optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
 mockModeCheckbox.addEventListener('change', handleMockModeToggle);
 useMockBtn.addEventListener('click', handleUseMock);
+document.getElementById('useCachedBtn').addEventListener('click', () => {
+  cacheOffer.style.display = 'none';
+  pollJobStatus(cacheOffer.dataset.jobId);
+});
+document.getElementById('reanalyseBtn').addEventListener('click', () => handleSubmit(true));
+document.getElementById('openCachedBtn').addEventListener('click', () => {
+  chrome.tabs.create({ url: `jobs.html#${cacheOffer.dataset.jobId}` });
+});
+mockScenarioSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ mockScenario: mockScenarioSelect.value });
+});
+pickRegionsBtn.addEventListener('click', handlePickRegions);
+document.getElementById('clearPicksBtn').addEventListener('click', handleClearPicks);
+loadTabsBtn.addEventListener('click', loadBatchTabs);
+batchSubmitBtn.addEventListener('click', handleBatchSubmit);
+// Typing over a prefilled value overrides it
+Object.entries(INFERRED_FIELDS).forEach(([field, inputId]) => {
+  document.getElementById(inputId).addEventListener('input', () => clearInferredField(field));
+  document.getElementById(inputId).addEventListener('change', () => clearInferredField(field));
+  document.getElementById(inputId).addEventListener('input', updateEstimate);
+  document.getElementById(inputId).addEventListener('change', updateEstimate);
+  document.getElementById(inputId).addEventListener('input', updateCircularity);
+  document.getElementById(inputId).addEventListener('change', updateCircularity);
+});
+// Accept / Reset on a prefilled value (the hints are re-rendered, so delegated)
+document.querySelector('.parameters-section').addEventListener('click', (event) => {
+  const button = event.target.closest('.inference-actions button');
+  if (!button) return;
+  
+  if (button.dataset.action === 'accept') {
+    clearInferredField(button.dataset.field);
+  } else {
+    resetInferredField(button.dataset.field);
+  }
+});
+circularityFields.addEventListener('input', handleCircularityInput);
+functionalUnitSelect.addEventListener('change', updateFunctionalUnit);
+quantityInput.addEventListener('input', updateEstimate);
+massKgInput.addEventListener('input', updateEstimate);
+document.getElementById('addComponentBtn').addEventListener('click', () => addComponentRow());
+bomRows.addEventListener('input', handleBomInput);
+bomRows.addEventListener('change', handleBomInput);
+bomRows.addEventListener('click', (event) => {
+  if (!event.target.classList.contains('bom-remove')) return;
+  event.target.closest('.bom-row').remove();
+  updateBom();
+});
+document.getElementById('circularityResetBtn').addEventListener('click', async () => {
+  circularityOverrides = {};
+  await chrome.storage.local.remove('circularityInputs');
+  updateCircularity();
+});
+batchTabList.addEventListener('change', () => {
+  batchSubmitBtn.disabled = getSelectedBatchTabIds().length === 0;
+});
 
 // Scan current page
 async function handleScan() {
@@ -46,19 +207,20 @@ async function handleScan() {
       throw new Error('No active tab found');
     }
     
-    // Execute content script to extract page data
-    const [result] = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      function: extractPageContent
-    });
-    
-    if (result?.result) {
-      currentPageData = result.result;
-      displayPageData(currentPageData);
-      submitBtn.disabled = false;
-      showStatus('✓ Page scanned successfully', 'success');
+    // Run the content script's extraction pipeline
+    currentPageData = await extractFromTab(tab.id);
+    displayPageData(currentPageData);
+    applyInferredInputs(currentPageData);
+    submitBtn.disabled = false;
+    if (currentPageData.source_type === 'pdf') {
+      showPdfStatus(currentPageData);
+    } else if (currentPageData.picked_regions) {
+      showStatus('✓ Page scanned using your picked regions' +
+        (currentPageData.extraction_rule ? ` and the ${currentPageData.extraction_rule} site rules` : ''), 'success');
     } else {
-      throw new Error('Failed to extract page content');
+      showStatus(currentPageData.extraction_rule
+        ? `✓ Page scanned using the ${currentPageData.extraction_rule} site rules`
+        : '✓ Page scanned successfully', 'success');
     }
   } catch (error) {
     console.error('Scan error:', error);
@@ -69,41 +231,181 @@ async function handleScan() {
   }
 }
 
-// Function injected into page to extract content
-function extractPageContent() {
+/**
+ * Run the content script's extraction pipeline (content.js + extraction_rules.js)
+ * in a tab. Tabs opened before the extension was installed or reloaded have no
+ * content script yet, so it is injected on demand. PDF tabs are read by
+ * PdfExtract (pdf_extract.js) instead.
+ */
+async function extractFromTab(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  if (isPdfUrl(tab.url)) {
+    return extractPdf(tab.url, tab.title);
+  }
+  
+  let response;
   try {
-    // Extract main text content
-    const rawText = document.body.innerText
-      .replace(/\s+/g, ' ')
-      .trim()
-      .substring(0, 50000); // Limit to 50k chars
-    
-    // Extract metadata
-    const title = document.title || '';
-    const url = window.location.href;
-    const metaDescription = document.querySelector('meta[name="description"]')?.content || '';
-    
-    // Try to extract structured data
-    const structuredData = [];
-    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
-      try {
-        structuredData.push(JSON.parse(script.textContent));
-      } catch (e) {
-        // Skip invalid JSON
-      }
+    response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
+  } catch (error) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['extraction_rules.js', 'numbers.js', 'table_parser.js', 'main_content.js', 'grades.js', 'content.js']
+    });
+    response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
+  }
+  
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to extract page content');
+  }
+  
+  // PDFs served without a .pdf URL are only recognisable by their content type
+  if (response.data.content_type === 'application/pdf') {
+    return extractPdf(response.data.url, response.data.title);
+  }
+  return response.data;
+}
+
+/**
+ * Start the element picker (element_picker.js) in the active tab. The popup
+ * closes as soon as the page is clicked, so the picker saves on its own.
+ */
+async function handlePickRegions() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab?.id || !/^(https?|file):/.test(tab.url || '') || isPdfUrl(tab.url)) {
+      throw new Error('Regions can only be picked on web pages');
+    }
+    
+    // extraction_rules.js is already there unless the content scripts are missing
+    const [{ result: hasRules }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => typeof ExtractionRules !== 'undefined'
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: hasRules ? ['element_picker.js'] : ['extraction_rules.js', 'element_picker.js']
     });
     
-    return {
-      raw_text: rawText,
-      title,
-      url,
-      meta_description: metaDescription,
-      structured_data: structuredData,
-      extracted_at: new Date().toISOString()
-    };
+    window.close();
+  } catch (error) {
+    console.error('Picker error:', error);
+    showStatus('✗ ' + error.message, 'error');
+  }
+}
+
+// Note the regions picked for the active tab's site, if any
+async function showPickedRegions() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let hostname = '';
+  try {
+    hostname = new URL(tab?.url || '').hostname;
+  } catch (error) {
+    // No page URL (e.g. a new tab page)
+  }
+  
+  const picks = hostname ? await ExtractionRules.getPicks(hostname) : null;
+  pickedNote.style.display = picks ? 'flex' : 'none';
+  if (!picks) return;
+  
+  pickedNote.dataset.hostname = hostname;
+  document.getElementById('pickedNoteText').textContent =
+    `🎯 ${picks.include.length} included, ${picks.exclude.length} excluded region(s) applied on ${ExtractionRules.siteKey(hostname)}`;
+}
+
+async function handleClearPicks() {
+  if (!confirm(`Remove the picked regions for ${pickedNote.dataset.hostname}?`)) return;
+  
+  try {
+    await ExtractionRules.removePicks(pickedNote.dataset.hostname);
+    await showPickedRegions();
+    showStatus('✓ Picked regions removed – scan again to read the page as usual', 'success');
+  } catch (error) {
+    console.error('Error clearing picked regions:', error);
+    showStatus('✗ ' + error.message, 'error');
+  }
+}
+
+function isPdfUrl(url) {
+  return /\.pdf($|[?#])/i.test(url || '');
+}
+
+/**
+ * Download and parse a PDF locally into the same shape as a scanned page.
+ * raw_text carries "--- Page N ---" markers; `pages` maps each page to its
+ * character range in raw_text and every table keeps its page number, so
+ * results can cite where the data came from.
+ */
+async function extractPdf(url, title) {
+  let pdf;
+  try {
+    pdf = await PdfExtract.extractFromUrl(url);
   } catch (error) {
-    return { error: error.message };
+    if (url.startsWith('file:') && !(await chrome.extension.isAllowedFileSchemeAccess())) {
+      throw new Error('Enable "Allow access to file URLs" for this extension to analyse local PDFs');
+    }
+    throw error;
+  }
+  
+  let rawText = '';
+  const sections = [];
+  const pages = pdf.pages.map(page => {
+    if (rawText) rawText += '\n\n';
+    sections.push({ heading: `Page ${page.page}`, level: 1, start: rawText.length });
+    rawText += `--- Page ${page.page} ---\n`;
+    const start = rawText.length;
+    rawText += page.text;
+    return { page: page.page, start, end: rawText.length };
+  });
+  
+  if (!pdf.pages.some(page => page.text)) {
+    const issues = [...new Set(pdf.pages.map(page => page.issue))].join(', ');
+    throw new Error(`No text found in this PDF: ${issues || 'it has no pages'}`);
+  }
+  
+  const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  const pdfTitle = title && title !== url ? title : fileName;
+  
+  return {
+    raw_text: rawText,
+    title: pdfTitle,
+    url,
+    source_type: 'pdf',
+    page_count: pdf.pageCount,
+    pages,
+    sections,
+    content_report: {
+      method: 'pdf',
+      kept_chars: rawText.length,
+      dropped_chars: 0,
+      dropped: pdf.pages
+        .filter(page => !page.text)
+        .map(page => ({ label: `Page ${page.page}`, preview: '', chars: 0, reason: page.issue || 'no text' }))
+    },
+    page_type: 'technical_datasheet',
+    fields: {},
+    tables: pdf.pages.flatMap(page => page.tables),
+    grades: Grades.detect({ title: pdfTitle, raw_text: rawText }),
+    extraction_rule: null,
+    extracted_at: new Date().toISOString(),
+    word_count: rawText.split(/\s+/).filter(Boolean).length,
+    char_count: rawText.length
+  };
+}
+
+// Pages that gave no text are listed (with why) so they aren't missed
+const LISTED_BLANK_PAGES = 5;
+
+function showPdfStatus(data) {
+  const blank = data.content_report.dropped;
+  if (blank.length === 0) {
+    showStatus(`✓ PDF read locally (${data.page_count} pages)`, 'success');
+    return;
   }
+  
+  const listed = blank.slice(0, LISTED_BLANK_PAGES).map(page => `${page.label}: ${page.reason}`);
+  if (blank.length > LISTED_BLANK_PAGES) listed.push(`${blank.length - LISTED_BLANK_PAGES} more`);
+  showStatus(`⚠ PDF read locally, but ${blank.length} of ${data.page_count} pages gave no text – ${listed.join('; ')}`, 'warning');
 }
 
 // Display extracted page data
@@ -113,45 +415,496 @@ function displayPageData(data) {
   
   document.getElementById('pageUrl').textContent = `URL: ${data.url}`;
   document.getElementById('pageTitle').textContent = `Title: ${data.title}`;
+  document.getElementById('pageSource').textContent = data.source_type === 'pdf'
+    ? `📄 PDF · ${data.page_count} page${data.page_count === 1 ? '' : 's'}`
+    : data.source_type === 'selection' ? '✂️ Selection only' : '';
   pageInfo.style.display = 'block';
   
+  displayTablesPreview(data.tables || []);
+  displayContentReport(data.content_report);
+  displayGrades(data.grades || []);
+  
   // Hide previous results
   resultsSection.style.display = 'none';
 }
 
-// Update character count
+// Preview of the structured tables that will be sent with the page
+const PREVIEW_ROWS = 5;
+
+function displayTablesPreview(tables) {
+  tablesSection.style.display = tables.length > 0 ? 'block' : 'none';
+  document.getElementById('tablesCount').textContent =
+    `📊 ${tables.length} table${tables.length === 1 ? '' : 's'} detected`;
+  
+  document.getElementById('tablesPreview').innerHTML = tables.map(table => {
+    const columns = table.kind === 'key_value'
+      ? ['Property', 'Value']
+      : table.columns.map(column => column.unit ? `${column.name} (${column.unit})` : column.name);
+    
+    const rows = table.rows.slice(0, PREVIEW_ROWS).map(row => table.kind === 'key_value'
+      ? [row.key, typeof row.value === 'number' && row.unit ? `${row.value} ${row.unit}` : row.value]
+      : table.columns.map(column => row[column.name]));
+    
+    const caption = (table.caption || (table.kind === 'key_value' ? 'Properties' : 'Table')) +
+      (table.page ? ` (page ${table.page})` : '');
+    
+    const more = table.rows.length > PREVIEW_ROWS ? `<div class="text-muted">+ ${table.rows.length - PREVIEW_ROWS} more rows</div>` : '';
+    
+    return `
+      <div class="table-preview">
+        <div class="table-preview-caption">${escapeHtml(caption)}</div>
+        <table>
+          <tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+          ${rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+        </table>
+        ${more}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Prefill the LCA parameters from the page (see LcaInference in
+ * lca_inference.js). Prefilled fields stay highlighted with the snippet they
+ * came from until the user accepts, resets or edits them.
+ */
+function applyInferredInputs(pageData) {
+  Object.keys(INFERRED_FIELDS).forEach(clearInferredField);
+  
+  const inferred = LcaInference.infer(pageData);
+  
+  Object.entries(inferred).forEach(([field, guess]) => {
+    const inputId = INFERRED_FIELDS[field];
+    const input = document.getElementById(inputId);
+    const hint = document.getElementById(`${inputId}Hint`);
+    const level = guess.confidence >= 0.75 ? 'high' : guess.confidence >= 0.5 ? 'medium' : 'low';
+    
+    input.value = guess.value;
+    input.classList.add('inferred');
+    
+    hint.innerHTML = `
+      <div class="inference-snippet" title="${escapeHtml(guess.snippet)}">“${escapeHtml(guess.snippet)}”</div>
+      <div class="inference-meta">
+        <span class="confidence confidence-${level}">${Math.round(guess.confidence * 100)}%</span>
+        ${escapeHtml(guess.source)}
+      </div>
+      <div class="inference-actions">
+        <button class="btn btn-sm btn-secondary" data-action="accept" data-field="${field}">Accept</button>
+        <button class="btn btn-sm btn-secondary" data-action="reset" data-field="${field}">Reset</button>
+      </div>
+    `;
+    hint.style.display = 'block';
+  });
+  
+  inferenceNote.style.display = Object.keys(inferred).length > 0 ? 'block' : 'none';
+  updateEstimate();
+  updateCircularity();
+}
+
+function clearInferredField(field) {
+  const inputId = INFERRED_FIELDS[field];
+  document.getElementById(inputId).classList.remove('inferred');
+  
+  const hint = document.getElementById(`${inputId}Hint`);
+  hint.style.display = 'none';
+  hint.innerHTML = '';
+  
+  if (!document.querySelector('.parameters-section .inferred')) {
+    inferenceNote.style.display = 'none';
+  }
+}
+
+// Back to the form default; Accept just clears the highlight
+function resetInferredField(field) {
+  const input = document.getElementById(INFERRED_FIELDS[field]);
+  if (input.tagName === 'SELECT') {
+    const defaultOption = Array.from(input.options).find(option => option.defaultSelected) || input.options[0];
+    input.value = defaultOption.value;
+  } else {
+    input.value = input.defaultValue;
+  }
+  clearInferredField(field);
+  updateEstimate();
+  updateCircularity();
+}
+
+/**
+ * Quantity label and mass field for the functional unit: for kg and tonnes
+ * the quantity is the mass, for pieces and m² the total mass is asked for
+ */
+function updateFunctionalUnit() {
+  const unit = FunctionalUnit.UNITS[functionalUnitSelect.value];
+  document.getElementById('quantityLabel').textContent = `Quantity (${unit.quantityLabel})`;
+  document.getElementById('massGroup').style.display = unit.kgPerUnit ? 'none' : 'block';
+  updateEstimate();
+}
+
+/**
+ * Instant offline CO₂ estimate from the LCA parameters (EmissionFactors,
+ * emission_factors.js), shown until the backend result arrives
+ */
+function updateEstimate() {
+  const inputs = getUserInputs();
+  currentEstimate = EmissionFactors.estimate(inputs, { ...estimateOptions, mass_kg: inputs.mass_kg });
+  const { grid, transport_mode: mode, mass_kg: mass, mass_declared: massDeclared } = currentEstimate.assumptions;
+  
+  document.getElementById('estimateBox').innerHTML = `
+    <div class="flex justify-between items-center">
+      <span class="estimate-title">⚡ Preliminary estimate</span>
+      <span><strong>${ResultSchema.format(currentEstimate.co2_kg, 2)}</strong> kg CO₂e ${massDeclared ? `for ${mass} kg` : 'per kg'}</span>
+    </div>
+    <div class="estimate-phases">
+      ${Object.entries(currentEstimate.lifecycle_phases)
+        .filter(([, phase]) => phase.co2_kg > 0)
+        .map(([name, phase]) => `
+          <div class="estimate-phase" title="${escapeHtml(phase.notes)}">
+            <span>${escapeHtml(name.replace(/_/g, ' '))}</span>
+            <div class="progress-bar"><div class="progress-bar-fill" style="width: ${phase.percentage}%;"></div></div>
+            <span class="text-mono">${ResultSchema.format(phase.co2_kg, 2)}</span>
+          </div>
+        `).join('')}
+    </div>
+    <div class="text-muted estimate-meta">
+      Offline factors v${EmissionFactors.VERSION} · ${escapeHtml(EmissionFactors.GRIDS[grid].label)} grid ·
+      ${escapeHtml(EmissionFactors.TRANSPORT_MODES[mode].label.toLowerCase())} – the backend result replaces it
+      ${massDeclared ? '' : '· enter the total mass to compare it with the backend total'}
+    </div>
+  `;
+}
+
+// How the backend result compares with the preliminary estimate
+function displayEstimateCheck(check) {
+  const box = document.getElementById('estimateCheck');
+  box.style.display = check ? 'block' : 'none';
+  if (!check) return;
+  
+  const difference = check.difference_percent === null
+    ? 'no preliminary figure to compare with'
+    : `${check.difference_percent > 0 ? '+' : ''}${check.difference_percent}% vs the preliminary ${ResultSchema.format(check.estimate_kg, 2)} kg`;
+  const flaggedPhases = Object.entries(check.phases).filter(([, phase]) => phase.flagged);
+  
+  box.className = `estimate-check ${check.flagged ? 'flagged' : ''}`;
+  box.innerHTML = `
+    <div>${check.flagged ? '⚠ Large difference' : '✓ Close to the estimate'}: backend ${ResultSchema.format(check.backend_kg, 2)} kg CO₂e, ${escapeHtml(difference)}</div>
+    ${flaggedPhases.length > 0 ? `
+      <ul>
+        ${flaggedPhases.map(([name, phase]) => `
+          <li>${escapeHtml(name.replace(/_/g, ' '))}: ${ResultSchema.format(phase.backend_kg, 2)} kg vs ${ResultSchema.format(phase.estimate_kg, 2)} kg estimated</li>
+        `).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
+
+// Bill of materials
+
+/**
+ * Add a bill-of-materials line
+ * @param {Object} component - { name, material, grade, mass_kg, recycled_percent, process }
+ */
+function addComponentRow(component = {}) {
+  const materialOptions = Array.from(document.getElementById('material').options)
+    .map(option => `<option value="${option.value}">${escapeHtml(option.textContent)}</option>`)
+    .join('');
+  const processOptions = Object.entries(EmissionFactors.PROCESSES)
+    .map(([id, process]) => `<option value="${id}">${escapeHtml(process.label)}</option>`)
+    .join('');
+  
+  const row = document.createElement('div');
+  row.className = 'bom-row';
+  row.innerHTML = `
+    <input type="text" class="form-input bom-name" placeholder="Component, e.g. Busbar" title="Component">
+    <select class="form-select bom-material" title="Material">${materialOptions}</select>
+    <button class="btn btn-sm btn-secondary bom-remove" title="Remove component">✕</button>
+    <input type="text" class="form-input bom-grade" list="gradeOptions" placeholder="Grade" title="Grade, e.g. C11000">
+    <input type="number" class="form-input bom-mass" min="0" step="0.01" placeholder="kg" title="Mass (kg)">
+    <input type="number" class="form-input bom-recycled" min="0" max="100" step="any" placeholder="% rec." title="Recycled content (%)">
+    <select class="form-select bom-process" title="Process">${processOptions}</select>
+  `;
+  row.querySelector('.bom-name').value = component.name || '';
+  row.querySelector('.bom-material').value = component.material || document.getElementById('material').value;
+  row.querySelector('.bom-grade').value = component.grade || '';
+  row.querySelector('.bom-mass').value = component.mass_kg ?? '';
+  row.querySelector('.bom-recycled').value = component.recycled_percent ?? document.getElementById('recycledPercent').value;
+  row.querySelector('.bom-process').value = component.process || 'none';
+  
+  bomRows.appendChild(row);
+  row.querySelector('.bom-name').focus();
+  updateBom();
+}
+
+function handleBomInput(event) {
+  // A recognised grade sets the line's material
+  if (event.target.classList.contains('bom-grade')) {
+    const [grade] = Grades.detect({ raw_text: event.target.value });
+    if (grade && grade.base_metal) {
+      event.target.closest('.bom-row').querySelector('.bom-material').value = grade.base_metal;
+    }
+  }
+  updateBom();
+}
+
+function updateBom() {
+  const components = getComponents();
+  const mass = components.reduce((sum, component) => sum + component.mass_kg, 0);
+  document.getElementById('bomSummary').textContent = components.length > 0
+    ? `🧩 Bill of materials (${components.length} component${components.length === 1 ? '' : 's'}, ${ResultSchema.format(mass, 2)} kg)`
+    : '🧩 Bill of materials';
+  updateEstimate();
+  updateCircularity();
+}
+
+// Lines with a name or a mass; empty lines are left out
+function getComponents() {
+  return Array.from(bomRows.querySelectorAll('.bom-row'))
+    .map(row => ({
+      name: row.querySelector('.bom-name').value.trim(),
+      material: row.querySelector('.bom-material').value,
+      grade: row.querySelector('.bom-grade').value.trim() || null,
+      mass_kg: parseFloat(row.querySelector('.bom-mass').value) || 0,
+      recycled_percent: Number(row.querySelector('.bom-recycled').value) || 0,
+      process: row.querySelector('.bom-process').value
+    }))
+    .filter(component => component.name || component.mass_kg > 0);
+}
+
+// Per-component CO₂ and the product total
+function displayComponentResults(breakdown, result) {
+  const box = document.getElementById('componentResults');
+  box.style.display = breakdown ? 'block' : 'none';
+  if (!breakdown) return;
+  
+  const mass = breakdown.components.reduce((sum, component) => sum + (component.mass_kg || 0), 0);
+  box.innerHTML = `
+    <h4 class="mt-md mb-sm">🧩 Components</h4>
+    <table>
+      <thead>
+        <tr><th>Component</th><th>kg</th><th>kg CO₂e</th><th>Share</th><th>Circ.</th></tr>
+      </thead>
+      <tbody>
+        ${breakdown.components.map(component => `
+          <tr title="${escapeHtml([component.material, component.grade].filter(Boolean).join(' · '))}">
+            <td>${escapeHtml(component.name)}</td>
+            <td class="text-mono">${ResultSchema.format(component.mass_kg, 2)}</td>
+            <td class="text-mono">${ResultSchema.format(component.co2_kg, 2)}</td>
+            <td class="text-mono">${component.share_percent}%</td>
+            <td class="text-mono">${ResultSchema.format(component.circularity_score)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td>Product total</td>
+          <td class="text-mono">${mass > 0 ? ResultSchema.format(mass, 2) : '—'}</td>
+          <td class="text-mono">${ResultSchema.format(result.co2_kg, 2)}</td>
+          <td class="text-mono">100%</td>
+          <td class="text-mono">${ResultSchema.format(result.circularity_score)}</td>
+        </tr>
+      </tfoot>
+    </table>
+    ${breakdown.source === 'estimate' ? `
+      <div class="text-muted mt-sm">The backend sent no per-component results; its total is shared out as in the preliminary estimate.</div>
+    ` : ''}
+  `;
+}
+
+// Calculator inputs shown in percent (the rest are ratios)
+function isPercentField(field) {
+  return Circularity.FIELDS[field].unit === '%';
+}
+
+function renderCircularityFields() {
+  circularityFields.innerHTML = Object.entries(Circularity.FIELDS).map(([field, { label, unit }]) => `
+    <div class="form-group">
+      <label class="form-label" for="mci-${field}">${escapeHtml(label)} (${unit})</label>
+      <input type="number" id="mci-${field}" class="form-input" data-field="${field}"
+        min="${unit === '%' ? 0 : 0.1}" ${unit === '%' ? 'max="100" step="1"' : 'step="0.1"'}>
+    </div>
+  `).join('');
+}
+
+/**
+ * Local Material Circularity Indicator (Circularity, circularity.js) for the
+ * current LCA parameters and calculator values
+ */
+function updateCircularity() {
+  const inputs = Circularity.inputsFor(getUserInputs(), circularityOverrides);
+  currentCircularity = Circularity.calculate(inputs);
+  
+  // Refresh the fields, except the one being typed in
+  circularityFields.querySelectorAll('input').forEach(input => {
+    if (input === document.activeElement) return;
+    const value = inputs[input.dataset.field];
+    input.value = isPercentField(input.dataset.field) ? Math.round(value * 100) : value;
+  });
+  
+  const { mci, lfi, utility_factor: utilityFactor } = currentCircularity;
+  document.getElementById('circularitySummary').textContent = `♻️ Circularity Calculator (MCI ${mci.toFixed(2)})`;
+  document.getElementById('circularityResult').innerHTML = `
+    <div class="flex justify-between items-center">
+      <span class="estimate-title">Material Circularity Indicator</span>
+      <strong>${mci.toFixed(2)}</strong>
+    </div>
+    <div class="progress-bar mt-sm"><div class="progress-bar-fill" style="width: ${mci * 100}%;"></div></div>
+    <div class="text-muted estimate-meta">
+      Linear flow index ${lfi.toFixed(2)} · utility factor ${utilityFactor.toFixed(2)} · virgin input ${Math.round(currentCircularity.virgin_input * 100)}%
+    </div>
+  `;
+}
+
+async function handleCircularityInput(event) {
+  const field = event.target.dataset.field;
+  if (!field || event.target.value === '') return;
+  
+  const value = Number(event.target.value) / (isPercentField(field) ? 100 : 1);
+  
+  // Recycled input is the LCA parameter itself
+  if (field === 'recycled_input') {
+    const recycledInput = document.getElementById('recycledPercent');
+    recycledInput.value = Math.round(value * 100);
+    recycledInput.dispatchEvent(new Event('input'));
+    return;
+  }
+  
+  circularityOverrides = { ...circularityOverrides, [field]: value };
+  updateCircularity();
+  await chrome.storage.local.set({ circularityInputs: circularityOverrides });
+}
+
+// How the backend circularity compares with the local MCI, and why
+function displayCircularityCheck(check) {
+  const box = document.getElementById('circularityCheck');
+  box.style.display = check ? 'block' : 'none';
+  if (!check) return;
+  
+  const reasons = Circularity.explain(check);
+  
+  box.className = `estimate-check ${check.flagged ? 'flagged' : ''}`;
+  box.innerHTML = `
+    <div>${check.flagged ? '⚠ Circularity differs' : '✓ Circularity agrees'}: backend MCI ${check.backend_mci.toFixed(2)}, ${check.local_mci.toFixed(2)} calculated here</div>
+    ${reasons.length > 0 ? `
+      <ul>
+        ${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
+
+// Grades shown after a scan at most
+const MAX_GRADES_SHOWN = 5;
+
+// Alloy and grade designations found on the page, with their cross-references
+function displayGrades(grades) {
+  // Detected grades are offered for the bill of materials too
+  document.getElementById('gradeOptions').innerHTML = grades
+    .map(grade => `<option value="${escapeHtml(Grades.label(grade))}">`)
+    .join('');
+  
+  const gradesBox = document.getElementById('gradesBox');
+  gradesBox.style.display = grades.length > 0 ? 'block' : 'none';
+  if (grades.length === 0) return;
+  
+  const hidden = grades.length - MAX_GRADES_SHOWN;
+  gradesBox.innerHTML = `
+    <div class="grades-title">🔩 Detected grades</div>
+    <ul class="grades-list">
+      ${grades.slice(0, MAX_GRADES_SHOWN).map(grade => `
+        <li title="${escapeHtml(grade.snippet)}">
+          <strong>${escapeHtml(Grades.label(grade))}</strong>
+          <span class="text-muted">${escapeHtml(grade.family)}${grade.count > 1 ? ` · ${grade.count}×` : ''}</span>
+          <div class="grade-standards">
+            ${grade.known ? escapeHtml(Grades.formatStandards(grade)) : `${escapeHtml(grade.id)} – not in the cross-reference`}
+          </div>
+        </li>
+      `).join('')}
+    </ul>
+    ${hidden > 0 ? `<div class="text-muted">+${hidden} more sent with the page</div>` : ''}
+  `;
+}
+
+// What the extractor kept as main content and which blocks it dropped
+function displayContentReport(report) {
+  contentSection.style.display = report ? 'block' : 'none';
+  if (!report) return;
+  
+  const methods = {
+    rule: 'site rule',
+    picked: 'picked regions',
+    scored: 'main content detection',
+    full: 'whole page',
+    pdf: 'PDF text'
+  };
+  
+  document.getElementById('contentSummary').textContent =
+    `🧹 Kept ${report.kept_chars.toLocaleString()} chars` +
+    (report.dropped.length > 0 ? ` · dropped ${report.dropped_chars.toLocaleString()}` : '');
+  
+  document.getElementById('contentReport').innerHTML = `
+    <div class="text-muted">Kept by ${escapeHtml(methods[report.method] || report.method)}</div>
+    ${report.dropped.length > 0 ? `
+      <ul>
+        ${report.dropped.map(block => `
+          <li title="${escapeHtml(block.preview)}">
+            ${escapeHtml(block.label)} <span class="text-muted">– ${escapeHtml(block.reason)}, ${block.chars.toLocaleString()} chars</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : '<div class="text-muted">Nothing was dropped</div>'}
+  `;
+}
+
+// Section offsets only match the text as it was extracted, not after edits
+function getSections(text) {
+  return currentPageData && text === (currentPageData.raw_text || '').trim()
+    ? (currentPageData.sections || [])
+    : [];
+}
+
+// Update character count, and show how long texts will be split for upload
 function updateCharCount() {
+  const text = extractedText.value.trim();
   const count = extractedText.value.length;
-  charCount.textContent = `${count.toLocaleString()} chars`;
+  const chunks = TextChunker.needsChunking(text) ? TextChunker.chunk(text, getSections(text)) : [];
+  
+  charCount.textContent = `${count.toLocaleString()} chars` + (chunks.length > 0 ? ` · ${chunks.length} parts` : '');
   
   if (count > 20000) {
     charCount.style.color = 'var(--warning)';
   } else {
     charCount.style.color = 'var(--gray-500)';
   }
+  
+  chunkPlan.style.display = chunks.length > 0 ? 'block' : 'none';
+  chunkPlan.innerHTML = chunks.length > 0 ? `
+    📦 Sent in ${chunks.length} parts, nothing is cut off:
+    <ol>
+      ${chunks.map(chunk => `
+        <li>${escapeHtml(chunk.headings.length > 0 ? chunk.headings.slice(0, 3).join(', ') + (chunk.headings.length > 3 ? ', …' : '') : 'Introduction')}
+          <span class="text-muted">(${chunk.text.length.toLocaleString()} chars)</span></li>
+      `).join('')}
+    </ol>
+  ` : '';
 }
 
 // Handle form submission
-async function handleSubmit() {
+/**
+ * Send the scanned page to the backend
+ * @param {boolean} force - Skip reuse of an earlier result for the same analysis
+ */
+async function handleSubmit(force = forceReanalysisCheckbox.checked) {
   try {
     setButtonLoading(submitBtn, true, 'Submitting...');
     submitStatus.style.display = 'none';
+    cacheOffer.style.display = 'none';
     resultsSection.style.display = 'none';
     
     // Gather form data
     const payload = {
-      url: currentPageData?.url || '',
+      ...getPagePayload(currentPageData || {}),
       raw_text: extractedText.value.trim(),
-      title: currentPageData?.title || '',
-      user_inputs: {
-        material: document.getElementById('material').value,
-        recycled_percent: parseInt(document.getElementById('recycledPercent').value) || 0,
-        energy_kwh: parseInt(document.getElementById('energyKwh').value) || 0,
-        transport_km: parseInt(document.getElementById('transportKm').value) || 0
-      },
-      options: {
-        require_selenium: document.getElementById('requireSelenium').checked
-      }
+      sections: getSections(extractedText.value.trim()),
+      user_inputs: getUserInputs(),
+      options: getSubmitOptions()
     };
     
     // Validate
@@ -159,20 +912,28 @@ async function handleSubmit() {
       throw new Error('No content to analyze. Please scan a page first.');
     }
     
-    // Check mock mode
+    // Mock mode runs the job against the built-in mock backend
     const mockMode = mockModeCheckbox.checked;
     
     // Send to background service worker
     const response = await chrome.runtime.sendMessage({
       action: 'submitJob',
       payload,
-      mockMode
+      mockMode,
+      force
     });
     
     if (response.success) {
-      if (mockMode) {
-        showStatus('✓ Mock response loaded', 'success');
-        displayResults(response.result);
+      if (response.cached) {
+        showCacheOffer(response.cachedJobId, response.completedAt);
+      } else if (response.waiting) {
+        showStatus(`⏳ Waiting for a free backend slot (#${response.position} in line). ID: ${response.jobId}`, 'info');
+        pollJobStatus(response.jobId);
+      } else if (response.queued) {
+        showStatus('📥 Backend unreachable – submission queued and will be sent when it is back. ID: ' + response.jobId, 'info');
+      } else if (response.retrying) {
+        showStatus(`⚠ Backend unavailable, retry ${response.retries} scheduled. ID: ${response.jobId}`, 'info');
+        pollJobStatus(response.jobId);
       } else {
         showStatus('✓ Job submitted! ID: ' + response.jobId, 'success');
         // Poll for results
@@ -189,6 +950,177 @@ async function handleSubmit() {
   }
 }
 
+// The same analysis finished earlier: offer its result instead of a new run
+function showCacheOffer(jobId, completedAt) {
+  cacheOffer.dataset.jobId = jobId;
+  document.getElementById('cacheOfferText').textContent =
+    `♻ This page was analysed with the same inputs on ${new Date(completedAt).toLocaleString()} (job ${jobId}).`;
+  cacheOffer.style.display = 'block';
+}
+
+// Page fields sent along with the text
+function getPagePayload(pageData) {
+  return {
+    url: pageData.url || '',
+    title: pageData.title || '',
+    page_type: pageData.page_type || null,
+    extraction_rule: pageData.extraction_rule || null,
+    picked_regions: pageData.picked_regions || null,
+    fields: pageData.fields || {},
+    sections: pageData.sections || [],
+    product: pageData.product || null,
+    grades: pageData.grades || [],
+    tables: includeTablesCheckbox.checked ? (pageData.tables || []) : [],
+    source_type: pageData.source_type || 'html',
+    ...(pageData.source_type === 'pdf' ? { page_count: pageData.page_count, pages: pageData.pages } : {}),
+    ...(pageData.source_type === 'selection' ? { selection_text: pageData.selection_text } : {})
+  };
+}
+
+// Read the LCA parameters form
+function getUserInputs() {
+  const components = getComponents();
+  // functional_unit, quantity and mass_kg (worked out for kg and tonnes)
+  const { assumed, ...functionalUnit } = FunctionalUnit.declared({
+    functional_unit: functionalUnitSelect.value,
+    quantity: parseFloat(quantityInput.value),
+    mass_kg: parseFloat(massKgInput.value)
+  });
+  return {
+    material: document.getElementById('material').value,
+    // Number(), not parseInt(): 12.5 kWh must stay 12.5
+    recycled_percent: Number(document.getElementById('recycledPercent').value) || 0,
+    energy_kwh: Number(document.getElementById('energyKwh').value) || 0,
+    transport_km: Number(document.getElementById('transportKm').value) || 0,
+    ...functionalUnit,
+    ...(components.length > 0 ? { components } : {})
+  };
+}
+
+function getSubmitOptions() {
+  return {
+    require_selenium: document.getElementById('requireSelenium').checked
+  };
+}
+
+// List scannable tabs for batch mode
+async function loadBatchTabs() {
+  try {
+    let tabs = await chrome.tabs.query({ currentWindow: true });
+    
+    if (batchScope.value === 'group') {
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!activeTab || activeTab.groupId === -1) {
+        throw new Error('The current tab is not in a tab group');
+      }
+      tabs = tabs.filter(tab => tab.groupId === activeTab.groupId);
+    }
+    
+    // Only web pages can be scripted
+    tabs = tabs.filter(tab => /^https?:/.test(tab.url || ''));
+    
+    if (tabs.length === 0) {
+      batchTabList.innerHTML = '<p class="text-muted" style="font-size: 12px;">No web pages found</p>';
+      batchSubmitBtn.disabled = true;
+      return;
+    }
+    
+    batchTabList.innerHTML = tabs.map(tab => `
+      <label class="batch-tab" title="${escapeHtml(tab.url)}">
+        <input type="checkbox" value="${tab.id}" checked>
+        <span>${escapeHtml(tab.title || tab.url)}</span>
+      </label>
+    `).join('');
+    batchSubmitBtn.disabled = false;
+    batchStatus.style.display = 'none';
+  } catch (error) {
+    console.error('Load tabs error:', error);
+    showBatchStatus('✗ ' + error.message, 'error');
+  }
+}
+
+function getSelectedBatchTabIds() {
+  return Array.from(batchTabList.querySelectorAll('input[type="checkbox"]:checked'))
+    .map(input => parseInt(input.value));
+}
+
+// Scan every selected tab and submit them as one batch
+async function handleBatchSubmit() {
+  const tabIds = getSelectedBatchTabIds();
+  
+  try {
+    batchSubmitBtn.disabled = true;
+    const userInputs = getUserInputs();
+    const options = getSubmitOptions();
+    const payloads = [];
+    const skipped = [];
+    
+    for (const [index, tabId] of tabIds.entries()) {
+      showBatchStatus(`⏳ Scanning tab ${index + 1} of ${tabIds.length}...`, 'info');
+      
+      try {
+        const pageData = await extractFromTab(tabId);
+        
+        if (!pageData.raw_text) {
+          throw new Error('No content');
+        }
+        
+        payloads.push({
+          ...getPagePayload(pageData),
+          raw_text: pageData.raw_text,
+          user_inputs: userInputs,
+          options
+        });
+      } catch (error) {
+        console.warn(`Batch scan of tab ${tabId} failed:`, error);
+        skipped.push(tabId);
+      }
+    }
+    
+    if (payloads.length === 0) {
+      throw new Error('None of the selected tabs could be scanned');
+    }
+    
+    showBatchStatus(`⏳ Submitting ${payloads.length} pages...`, 'info');
+    
+    const response = await chrome.runtime.sendMessage({
+      action: 'submitBatch',
+      name: batchNameInput.value.trim(),
+      payloads,
+      mockMode: mockModeCheckbox.checked
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Batch submission failed');
+    }
+    
+    const problems = skipped.length + response.failed;
+    showBatchStatus(
+      `✓ Batch submitted: ${response.jobIds.length} jobs` +
+        (problems > 0 ? ` (${skipped.length} not scanned, ${response.failed} failed)` : '') +
+        '. Track it on the Jobs page.',
+      problems > 0 ? 'info' : 'success'
+    );
+  } catch (error) {
+    console.error('Batch submit error:', error);
+    showBatchStatus('✗ ' + error.message, 'error');
+  } finally {
+    batchSubmitBtn.disabled = getSelectedBatchTabIds().length === 0;
+  }
+}
+
+function showBatchStatus(message, type = 'info') {
+  batchStatus.textContent = message;
+  batchStatus.className = `status-message ${type}`;
+  batchStatus.style.display = 'block';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 // Poll job status
 async function pollJobStatus(jobId) {
   const maxAttempts = 20;
@@ -198,21 +1130,35 @@ async function pollJobStatus(jobId) {
     attempts++;
     
     try {
-      const response = await chrome.runtime.sendMessage({
-        action: 'getJobStatus',
-        jobId
-      });
+      const job = await JobStore.get(jobId);
       
-      if (response.success) {
-        const status = response.status;
+      if (job) {
+        const status = job.status;
         
         if (status === 'done') {
+          const { result, warnings } = ResultSchema.forJob(job);
           showStatus('✓ Analysis complete!', 'success');
-          displayResults(response.result);
+          displayResults(result, warnings, job);
         } else if (status === 'error') {
-          showStatus('✗ Analysis failed: ' + (response.error || 'Unknown error'), 'error');
+          showStatus('✗ Analysis failed: ' + (job.error || 'Unknown error'), 'error');
+        } else if (status === 'cancelled') {
+          showStatus('⊘ Analysis cancelled', 'info');
+        } else if (status === 'waiting') {
+          showStatus('⏳ Waiting for a free backend slot...', 'info');
+          
+          if (attempts < maxAttempts) {
+            setTimeout(poll, 2000);
+          } else {
+            showStatus('⏱ Still waiting for a slot. Check Jobs page.', 'info');
+          }
+        } else if (status === 'queued') {
+          showStatus('📥 Backend unreachable – submission queued. Check Jobs page.', 'info');
         } else if (status === 'running' || status === 'pending') {
-          showStatus(`⏳ Processing... (${status})`, 'info');
+          if (job.nextRetryAt) {
+            showStatus(`⏳ Retrying submission (${job.retries})...`, 'info');
+          } else {
+            showStatus(`⏳ Processing... (${status})`, 'info');
+          }
           
           if (attempts < maxAttempts) {
             setTimeout(poll, 2000); // Poll every 2 seconds
@@ -221,7 +1167,7 @@ async function pollJobStatus(jobId) {
           }
         }
       } else {
-        throw new Error(response.error || 'Failed to check status');
+        throw new Error('Job not found');
       }
     } catch (error) {
       console.error('Poll error:', error);
@@ -232,26 +1178,39 @@ async function pollJobStatus(jobId) {
   poll();
 }
 
-// Display analysis results
-function displayResults(result) {
-  if (!result) return;
+/**
+ * Display analysis results (normalised by ResultSchema; missing values are null)
+ * @param {Object} checks - { estimate, estimateCheck, circularityCheck, intensity } as stored on the job
+ */
+function displayResults(result, warnings = [], { estimate = null, estimateCheck = null, circularityCheck = null, intensity = null } = {}) {
+  if (!result && warnings.length === 0) return;
+  result = result || {};
   
   // Show results section
   resultsSection.style.display = 'block';
+  displayEstimateCheck(estimateCheck);
+  displayComponentResults(EmissionFactors.breakdown(result, estimate), result);
+  displayCircularityCheck(circularityCheck);
   
   // Update metrics
-  const circularityScore = result.circularity_score || 0;
-  document.getElementById('circularityScore').textContent = circularityScore;
-  document.getElementById('circularityProgress').style.width = circularityScore + '%';
+  const circularityScore = result.circularity_score;
+  document.getElementById('circularityScore').textContent = ResultSchema.format(circularityScore);
+  document.getElementById('circularityProgress').style.width = (circularityScore ?? 0) + '%';
   
-  const co2 = result.co2_kg || 0;
-  document.getElementById('co2Value').textContent = co2.toFixed(2);
+  document.getElementById('co2Value').textContent = ResultSchema.format(result.co2_kg, 2);
+  document.getElementById('co2Intensity').textContent = intensity ? FunctionalUnit.format(intensity) : '';
+  document.getElementById('recycledValue').textContent = ResultSchema.format(result.recycled_percent);
   
-  const recycled = result.recycled_percent || 0;
-  document.getElementById('recycledValue').textContent = recycled;
+  // Validation warnings
+  const warningsBox = document.getElementById('resultWarnings');
+  warningsBox.innerHTML = warnings.length > 0
+    ? `⚠ Some result fields are missing or invalid:<ul>${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>`
+    : '';
+  warningsBox.style.display = warnings.length > 0 ? 'block' : 'none';
   
   // Recommendations
   const recommendations = result.recommendations || [];
+  document.getElementById('recommendationsSection').style.display = 'none';
   if (recommendations.length > 0) {
     const recommendationsSection = document.getElementById('recommendationsSection');
     const recommendationsList = document.getElementById('recommendationsList');
@@ -279,6 +1238,7 @@ async function handleMockModeToggle() {
 
 function toggleMockUI(enabled) {
   useMockBtn.style.display = enabled ? 'inline-flex' : 'none';
+  mockScenarioSelect.parentElement.style.display = enabled ? 'flex' : 'none';
 }
 
 // Use mock response directly
@@ -289,7 +1249,12 @@ async function handleUseMock() {
     });
     
     if (response.success) {
-      displayResults(response.result);
+      displayResults(response.result, response.warnings, {
+        estimate: currentEstimate,
+        intensity: FunctionalUnit.normalize(response.result, getUserInputs()),
+        estimateCheck: EmissionFactors.compare(currentEstimate, response.result),
+        circularityCheck: Circularity.compare(currentCircularity, response.result)
+      });
       showStatus('✓ Mock response loaded', 'success');
     } else {
       throw new Error('Failed to load mock response');
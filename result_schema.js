@@ -0,0 +1,321 @@
+// Result Schema - validation and normalisation of backend results
+// Shared by the service worker (importScripts) and the extension pages
+// (<script src="result_schema.js">). Results are checked against a versioned
+// schema; values with units are converted to the schema's units and anything
+// missing or invalid becomes null plus a warning, never a silent zero.
+// Depends on Numbers (numbers.js) for reading number text.
+
+'use strict';
+
+const ResultSchema = (() => {
+  // Bump when the schema changes so stored results are re-validated on view
+  const VERSION = 2;
+
+  // Conversion factors into the schema unit, by unit kind and unit symbol
+  const UNITS = {
+    plain: { '': 1 },
+    mass: { '': 1, kg: 1, g: 0.001, t: 1000, tonne: 1000, tonnes: 1000, lb: 0.453592, lbs: 0.453592 },
+    energy: { '': 1, kwh: 1, wh: 0.001, mwh: 1000, mj: 1 / 3.6, gj: 1000 / 3.6 },
+    distance: { '': 1, km: 1, m: 0.001, mi: 1.609344 },
+    percent: { '': 1, '%': 1 },
+    ratio: { '': 1, '%': 0.01 }
+  };
+
+  // Allowed range per unit kind; mass, energy and distance can't be negative
+  const RANGES = {
+    mass: { min: 0 },
+    energy: { min: 0 },
+    distance: { min: 0 },
+    percent: { min: 0, max: 100 },
+    ratio: { min: 0, max: 1 }
+  };
+
+  const str = (extra = {}) => ({ type: 'string', ...extra });
+  const num = (unit, extra = {}) => ({ type: 'number', unit, ...extra });
+  const obj = (fields, extra = {}) => ({ type: 'object', fields, ...extra });
+  const list = (items, extra = {}) => ({ type: 'list', items, ...extra });
+  const map = (values, extra = {}) => ({ type: 'map', values, ...extra });
+
+  // Schema v2 - the top-level fields plus the raw_json sections the backend sends;
+  // v2 added per-component results for bill-of-materials submissions
+  const SCHEMA = obj({
+    schema_version: num('plain'),
+    job_id: str(),
+    material: str({ required: true }),
+    co2_kg: num('mass', { required: true }),
+    circularity_score: num('percent', { required: true }),
+    recycled_percent: num('percent', { required: true }),
+    recommendations: list(str()),
+    components: list(obj({
+      name: str({ required: true }),
+      material: str(),
+      grade: str(),
+      mass_kg: num('mass'),
+      recycled_percent: num('percent'),
+      co2_kg: num('mass'),
+      circularity_score: num('percent')
+    })),
+    raw_json: obj({
+      analysis_metadata: obj({
+        analyzed_at: str(),
+        model_version: str(),
+        confidence_score: num('ratio')
+      }),
+      material_composition: obj({
+        primary_material: str(),
+        alloy_type: str(),
+        recycled_content: num('percent'),
+        virgin_content: num('percent'),
+        trace_elements: map(num('percent'))
+      }),
+      energy_analysis: obj({
+        total_energy_kwh: num('energy'),
+        renewable_percentage: num('percent'),
+        grid_intensity_gco2_kwh: num('plain', { min: 0 }),
+        primary_energy_sources: map(num('percent')),
+        energy_by_phase: map(num('percent'))
+      }),
+      transport_analysis: obj({
+        distance_km: num('distance'),
+        mode: str(),
+        emissions_kg: num('mass'),
+        routes: list(obj({
+          segment: str(),
+          distance_km: num('distance'),
+          mode: str(),
+          emissions_kg: num('mass')
+        }))
+      }),
+      // Older backends send each phase as a bare kg CO₂e number
+      lifecycle_phases: map(obj({
+        co2_kg: num('mass', { required: true }),
+        percentage: num('percent'),
+        notes: str()
+      }, { shorthand: 'co2_kg' })),
+      circularity_metrics: obj({
+        material_circularity_indicator: num('ratio'),
+        recyclability_score: num('ratio'),
+        recycled_input_rate: num('ratio'),
+        utility_factor: num('plain', { min: 0 }),
+        end_of_life_recovery_rate: num('ratio')
+      }),
+      improvement_scenarios: list(obj({
+        scenario: str({ required: true }),
+        co2_reduction_kg: num('plain'),
+        co2_reduction_percent: num('plain', { max: 100 }),
+        circularity_score_improvement: num('plain')
+      })),
+      data_sources: list(str())
+    })
+  }, { required: true });
+
+  /**
+   * Validate and normalise a backend result
+   * @param {*} raw - Parsed /lca/result response
+   * @returns {{ result: Object|null, warnings: string[], schemaVersion: number }}
+   */
+  function normalize(raw) {
+    const warnings = [];
+
+    if (raw === null || raw === undefined) {
+      return { result: null, warnings: ['No result returned by the backend'], schemaVersion: VERSION };
+    }
+
+    const result = validate(raw, SCHEMA, 'result', warnings);
+
+    if (result && typeof result.schema_version === 'number' && result.schema_version > VERSION) {
+      warnings.unshift(`Result uses schema version ${result.schema_version}; this extension understands version ${VERSION}`);
+    }
+
+    return { result, warnings, schemaVersion: VERSION };
+  }
+
+  /**
+   * Result and warnings for a stored job, re-validating results stored
+   * before the current schema version
+   */
+  function forJob(job) {
+    if (job.resultSchemaVersion === VERSION) {
+      return { result: job.result, warnings: job.resultWarnings || [] };
+    }
+    return normalize(job.result);
+  }
+
+  function validate(value, spec, path, warnings) {
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        warnings.push(`${displayPath(path)}: missing`);
+        return null;
+      }
+      return value;
+    }
+
+    switch (spec.type) {
+      case 'string':
+        if (typeof value === 'string') return value.trim();
+        if (typeof value === 'number') return String(value);
+        return invalid(value, path, warnings);
+
+      case 'number':
+        return validateNumber(value, spec, path, warnings);
+
+      case 'list':
+        return validateList(value, spec, path, warnings);
+
+      case 'map':
+        return validateMap(value, spec, path, warnings);
+
+      case 'object':
+        return validateObject(value, spec, path, warnings);
+
+      default:
+        return value;
+    }
+  }
+
+  function validateNumber(value, spec, path, warnings) {
+    let number = parseMeasure(value, spec.unit);
+
+    if (Number.isNaN(number)) {
+      if (isAmbiguous(value)) {
+        warnings.push(`${displayPath(path)}: ${JSON.stringify(value)} is ambiguous (thousands separator or decimal comma), ignored`);
+        return null;
+      }
+      return invalid(value, path, warnings);
+    }
+
+    // A bare 67 where a 0-1 ratio belongs is almost certainly a percentage
+    if (spec.unit === 'ratio' && typeof value === 'number' && number > 1 && number <= 100) {
+      warnings.push(`${displayPath(path)}: ${value} read as a percentage (${number / 100})`);
+      number = number / 100;
+    }
+
+    const { min, max } = { ...RANGES[spec.unit], ...pick(spec, ['min', 'max']) };
+    if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+      warnings.push(`${displayPath(path)}: ${JSON.stringify(value)} is out of range`);
+      return null;
+    }
+
+    return number;
+  }
+
+  function validateList(value, spec, path, warnings) {
+    if (!Array.isArray(value)) {
+      if (spec.items.type !== 'string' || typeof value !== 'string') {
+        return invalid(value, path, warnings);
+      }
+      warnings.push(`${displayPath(path)}: expected a list, got a single value`);
+      value = [value];
+    }
+
+    return value
+      .map((item, index) => validate(item, { ...spec.items, required: true }, `${path}[${index}]`, warnings))
+      .filter(item => item !== null);
+  }
+
+  function validateMap(value, spec, path, warnings) {
+    if (!isPlainObject(value)) {
+      return invalid(value, path, warnings);
+    }
+
+    const normalized = {};
+    Object.entries(value).forEach(([key, item]) => {
+      normalized[key] = validate(item, { ...spec.values, required: true }, `${path}.${key}`, warnings);
+    });
+    return normalized;
+  }
+
+  function validateObject(value, spec, path, warnings) {
+    if (spec.shorthand && (typeof value === 'number' || typeof value === 'string')) {
+      value = { [spec.shorthand]: value };
+    }
+
+    if (!isPlainObject(value)) {
+      return invalid(value, path, warnings);
+    }
+
+    // Fields the schema doesn't know about are kept as they are
+    const normalized = { ...value };
+    Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+      const field = validate(value[key], fieldSpec, `${path}.${key}`, warnings);
+      if (field !== undefined) {
+        normalized[key] = field;
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Parse a number or a "123,45 kg" style string into the unit kind's base unit
+   * @returns {number} NaN if the value or its unit isn't understood, or the
+   *   number is ambiguous ("1,234")
+   */
+  function parseMeasure(value, unit = 'plain') {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : NaN;
+    }
+    if (typeof value !== 'string') {
+      return NaN;
+    }
+
+    const match = splitMeasure(value);
+    if (!match) {
+      return NaN;
+    }
+
+    const factor = UNITS[unit][match.unit.toLowerCase()];
+    return factor === undefined ? NaN : Numbers.parse(match.number) * factor;
+  }
+
+  /**
+   * Display helper: fixed decimals for numbers, a dash for missing values
+   */
+  function format(value, digits = null) {
+    if (typeof value !== 'number') return '—';
+    return digits === null ? String(value) : value.toFixed(digits);
+  }
+
+  // Helpers
+
+  // "-1,234.5 kg CO2e" -> { number: '-1,234.5', unit: 'kg' }
+  function splitMeasure(text) {
+    const match = text.trim()
+      .replace(/\s*(co2e?|co₂e?)$/i, '')
+      .match(/^(-?\d[\d.,]*)\s*([a-z%]*)$/i);
+    return match ? { number: match[1], unit: match[2] } : null;
+  }
+
+  function isAmbiguous(value) {
+    const match = typeof value === 'string' && splitMeasure(value);
+    return Boolean(match) && Numbers.isAmbiguous(match.number);
+  }
+
+  function invalid(value, path, warnings) {
+    warnings.push(`${displayPath(path)}: invalid value ${JSON.stringify(value)}`);
+    return null;
+  }
+
+  function displayPath(path) {
+    return path.replace(/^result\.?/, '') || 'result';
+  }
+
+  function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  function pick(source, keys) {
+    const picked = {};
+    keys.filter(key => source[key] !== undefined).forEach(key => {
+      picked[key] = source[key];
+    });
+    return picked;
+  }
+
+  return {
+    VERSION,
+    normalize,
+    forJob,
+    format,
+    parseMeasure
+  };
+})();
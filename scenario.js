@@ -0,0 +1,390 @@
+// What-if scenario page logic
+// Opened as scenario.html#<jobId> for a done job. Slider changes are applied
+// to the backend result: each lifecycle phase is scaled by how much the local
+// estimate (EmissionFactors) for that phase changes, and the circularity
+// score moves with the local MCI (Circularity).
+
+// DOM Elements
+const recycledSlider = document.getElementById('recycledSlider');
+const renewableSlider = document.getElementById('renewableSlider');
+const gridSlider = document.getElementById('gridSlider');
+const distanceSlider = document.getElementById('distanceSlider');
+const transportModeSelect = document.getElementById('transportMode');
+const scenarioNameInput = document.getElementById('scenarioName');
+const scenarioRows = document.getElementById('scenarioRows');
+
+// Renewable electricity intensity, g CO₂e/kWh
+const RENEWABLE_G_PER_KWH = EmissionFactors.GRIDS.renewable.factor * 1000;
+
+// State
+let job = null;
+let result = null;
+let baseline = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  const jobId = decodeURIComponent(location.hash.slice(1));
+
+  try {
+    job = jobId ? await JobStore.get(jobId) : null;
+    if (!job || job.status !== 'done') {
+      throw new Error(job ? `Job ${jobId} has no result yet` : `Job ${jobId || '(none)'} not found`);
+    }
+
+    result = ResultSchema.forJob(job).result;
+    if (!result || typeof result.co2_kg !== 'number') {
+      throw new Error(`Job ${jobId} has no CO₂ result to start from`);
+    }
+  } catch (error) {
+    console.error('Error loading job:', error);
+    const loadError = document.getElementById('loadError');
+    loadError.textContent = '✗ ' + error.message;
+    loadError.style.display = 'block';
+    return;
+  }
+
+  baseline = getBaseline();
+
+  document.getElementById('jobInfo').textContent = `${job.id} · ${job.url || 'No URL'}`;
+  document.getElementById('backLink').href = `jobs.html#${job.id}`;
+  transportModeSelect.innerHTML = Object.entries(EmissionFactors.TRANSPORT_MODES)
+    .map(([id, mode]) => `<option value="${id}">${escapeHtml(mode.label)}</option>`)
+    .join('');
+  distanceSlider.max = Math.max(1000, Math.ceil(baseline.transport_km * 3 / 100) * 100);
+  gridSlider.max = Math.max(1000, Math.ceil(baseline.grid_intensity / 100) * 100);
+
+  setSliders(baseline);
+  document.getElementById('scenarioContent').style.display = 'block';
+  renderScenarios();
+});
+
+// Event Listeners
+[recycledSlider, renewableSlider, gridSlider, distanceSlider, transportModeSelect].forEach(control => {
+  control.addEventListener('input', update);
+});
+document.getElementById('resetScenarioBtn').addEventListener('click', () => setSliders(baseline));
+document.getElementById('saveScenarioBtn').addEventListener('click', saveScenario);
+
+// Load / Delete buttons on saved scenarios (re-rendered, so delegated here)
+scenarioRows.addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-index]');
+  if (!button) return;
+
+  const index = Number(button.dataset.index);
+  if (button.dataset.action === 'load') {
+    loadScenario(index);
+  } else if (button.dataset.action === 'delete') {
+    deleteScenario(index);
+  }
+});
+
+/**
+ * Starting values: the job's user_inputs, filled in from the result where
+ * the backend reports them. The backend's grid intensity is taken as the mix
+ * at its renewable share, so the rest of the grid is worked back from it.
+ */
+function getBaseline() {
+  const inputs = (job.payload && job.payload.user_inputs) || {};
+  const raw = result.raw_json || {};
+  const energy = raw.energy_analysis || {};
+  const transport = raw.transport_analysis || {};
+  const assumptions = (job.estimate && job.estimate.assumptions) || {};
+
+  const renewable = energy.renewable_percentage ?? 0;
+  // The factor the job was estimated with, which may be a custom mix. Estimates
+  // stored by an older library may name a grid or mode it no longer has.
+  const gridFactor = assumptions.grid_factor ??
+    (EmissionFactors.GRIDS[assumptions.grid] || EmissionFactors.GRIDS[EmissionFactors.DEFAULTS.grid]).factor;
+  const unit = FunctionalUnit.declared(inputs);
+  const components = (inputs.components || []).filter(component => Number(component.mass_kg) > 0);
+  const componentMass = components.reduce((sum, component) => sum + Number(component.mass_kg), 0);
+  const mix = energy.grid_intensity_gco2_kwh ?? gridFactor * 1000;
+  const share = renewable / 100;
+  const rest = share < 1 ? Math.max(0, (mix - share * RENEWABLE_G_PER_KWH) / (1 - share)) : mix;
+
+  return {
+    material: inputs.material || result.material,
+    energy_kwh: inputs.energy_kwh ?? energy.total_energy_kwh ?? 0,
+    // A bill of materials starts from its mass-weighted recycled share
+    recycled_percent: components.length > 0
+      ? Math.round(components.reduce((sum, component) =>
+        sum + (Number(component.recycled_percent) || 0) * Number(component.mass_kg), 0) / componentMass)
+      : inputs.recycled_percent ?? result.recycled_percent ?? 0,
+    renewable_percent: renewable,
+    grid_intensity: Math.round(rest),
+    transport_km: inputs.transport_km ?? transport.distance_km ?? 0,
+    // Energy and transport are absolute, so the material must be for the whole product
+    mass_kg: assumptions.mass_kg ?? (unit.assumed ? null : unit.mass_kg),
+    components,
+    transport_mode: EmissionFactors.TRANSPORT_MODES[transport.mode]
+      ? transport.mode
+      : EmissionFactors.TRANSPORT_MODES[assumptions.transport_mode]
+        ? assumptions.transport_mode
+        : EmissionFactors.DEFAULTS.transport_mode
+  };
+}
+
+function setSliders(values) {
+  recycledSlider.value = values.recycled_percent;
+  renewableSlider.value = values.renewable_percent;
+  gridSlider.value = values.grid_intensity;
+  distanceSlider.value = values.transport_km;
+  transportModeSelect.value = values.transport_mode;
+  update();
+}
+
+function getScenarioInputs() {
+  const recycled = Number(recycledSlider.value);
+  return {
+    ...baseline,
+    recycled_percent: recycled,
+    components: scaleRecycled(baseline.components, baseline.recycled_percent, recycled),
+    renewable_percent: Number(renewableSlider.value),
+    grid_intensity: Number(gridSlider.value),
+    transport_km: Number(distanceSlider.value),
+    transport_mode: transportModeSelect.value
+  };
+}
+
+/**
+ * CO₂ and circularity for scenario inputs, relative to the backend result
+ * @returns {Object} { co2_kg, circularity_score, phases: { phase: { backend_kg, co2_kg } },
+ *   co2_reduction_kg, co2_reduction_percent, circularity_score_improvement }
+ */
+function evaluate(values) {
+  const before = localEstimate(baseline);
+  const after = localEstimate(values);
+  const backendPhases = (result.raw_json && result.raw_json.lifecycle_phases) || {};
+
+  const phases = {};
+  let co2 = result.co2_kg;
+  if (Object.keys(backendPhases).length > 0) {
+    Object.entries(backendPhases).forEach(([name, { co2_kg: backendKg }]) => {
+      const from = before.lifecycle_phases[name];
+      const to = after.lifecycle_phases[name];
+      let scenarioKg = backendKg;
+      if (from && to) {
+        scenarioKg = from.co2_kg > 0
+          ? backendKg * to.co2_kg / from.co2_kg
+          : Math.max(0, backendKg + to.co2_kg - from.co2_kg);
+      }
+      phases[name] = { backend_kg: backendKg, co2_kg: scenarioKg };
+      co2 += scenarioKg - backendKg;
+    });
+  } else if (before.co2_kg > 0) {
+    co2 = result.co2_kg * after.co2_kg / before.co2_kg;
+  }
+
+  const mciChange = localMci(values) - localMci(baseline);
+  const score = typeof result.circularity_score === 'number'
+    ? Math.min(100, Math.max(0, result.circularity_score + mciChange * 100))
+    : null;
+
+  return {
+    co2_kg: round(co2, 2),
+    circularity_score: score === null ? null : round(score, 1),
+    phases,
+    co2_reduction_kg: round(result.co2_kg - co2, 2),
+    co2_reduction_percent: result.co2_kg > 0 ? round((result.co2_kg - co2) / result.co2_kg * 100, 1) : 0,
+    circularity_score_improvement: round(mciChange * 100, 1)
+  };
+}
+
+function localEstimate(values) {
+  const share = values.renewable_percent / 100;
+  const mix = (1 - share) * values.grid_intensity + share * RENEWABLE_G_PER_KWH;
+  return EmissionFactors.estimate(values, {
+    grid_factor: mix / 1000,
+    transport_mode: values.transport_mode,
+    mass_kg: values.mass_kg
+  });
+}
+
+/**
+ * Move every component's recycled share the way the slider moved the
+ * mass-weighted one: up by the same share of its own headroom to 100%, or
+ * down in proportion, so the weighted share follows the slider
+ */
+function scaleRecycled(components, from, to) {
+  if (to === from) return components;
+  return components.map(component => {
+    const percent = Number(component.recycled_percent) || 0;
+    return {
+      ...component,
+      recycled_percent: to > from
+        ? percent + (100 - percent) * (to - from) / (100 - from)
+        : percent * to / from
+    };
+  });
+}
+
+// The job's own calculator values, with the scenario's recycled share
+// (mass-weighted over the components of a bill of materials)
+function localMci(values) {
+  const { recycled_input, ...overrides } = (job.circularity && job.circularity.inputs) || {};
+  return Circularity.calculate(Circularity.inputsFor(values, overrides)).mci;
+}
+
+// Recompute on every slider move
+function update() {
+  const values = getScenarioInputs();
+  const outcome = evaluate(values);
+
+  document.getElementById('recycledValue').textContent = `${values.recycled_percent}%`;
+  document.getElementById('renewableValue').textContent = `${values.renewable_percent}%`;
+  document.getElementById('gridValue').textContent = `${values.grid_intensity} g CO₂e/kWh`;
+  document.getElementById('distanceValue').textContent = `${values.transport_km} km`;
+
+  document.getElementById('co2Result').textContent = ResultSchema.format(outcome.co2_kg, 2);
+  showChange('co2Change', -outcome.co2_reduction_kg, `kg CO₂e (${formatSigned(-outcome.co2_reduction_percent)}%)`, true);
+  document.getElementById('circularityResult').textContent = ResultSchema.format(outcome.circularity_score);
+  showChange('circularityChange', outcome.circularity_score_improvement, 'points', false);
+
+  document.getElementById('phaseRows').innerHTML = Object.entries(outcome.phases).map(([name, phase]) => `
+    <tr>
+      <td>${escapeHtml(name.replace(/_/g, ' '))}</td>
+      <td>${ResultSchema.format(phase.backend_kg, 2)}</td>
+      <td>${ResultSchema.format(phase.co2_kg, 2)}</td>
+      <td>${formatSigned(phase.co2_kg - phase.backend_kg)}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('baselineNote').textContent =
+    `Backend: ${ResultSchema.format(result.co2_kg, 2)} kg CO₂e, circularity ${ResultSchema.format(result.circularity_score)} ` +
+    `at ${baseline.recycled_percent}% recycled${baseline.components.length > 0 ? ` over ${baseline.components.length} components` : ''}, ` +
+    `${baseline.renewable_percent}% renewable, ` +
+    `${baseline.transport_km} km by ${EmissionFactors.TRANSPORT_MODES[baseline.transport_mode].label.toLowerCase()}.`;
+}
+
+// Lower is better for CO₂, higher for circularity
+function showChange(elementId, change, unit, lowerIsBetter) {
+  const element = document.getElementById(elementId);
+  element.textContent = `${formatSigned(change)} ${unit}`;
+  element.className = 'metric-change';
+  if (Math.abs(change) >= 0.005) {
+    element.classList.add((change < 0) === lowerIsBetter ? 'better' : 'worse');
+  }
+}
+
+// Save the current sliders as a named scenario on the job
+async function saveScenario() {
+  const name = scenarioNameInput.value.trim();
+  if (!name) {
+    alert('Please enter a scenario name');
+    scenarioNameInput.focus();
+    return;
+  }
+
+  const values = getScenarioInputs();
+  const { phases, ...outcome } = evaluate(values);
+  const scenario = {
+    scenario: name,
+    inputs: {
+      recycled_percent: values.recycled_percent,
+      renewable_percent: values.renewable_percent,
+      grid_intensity: values.grid_intensity,
+      transport_km: values.transport_km,
+      transport_mode: values.transport_mode
+    },
+    ...outcome,
+    library_version: EmissionFactors.VERSION,
+    savedAt: new Date().toISOString()
+  };
+
+  try {
+    // A scenario saved under the same name is replaced
+    const updated = await JobStore.update(job.id, (stored) => {
+      stored.scenarios = (stored.scenarios || []).filter(saved => saved.scenario !== name).concat(scenario);
+    });
+    if (!updated) throw new Error('Job no longer exists');
+    job = updated;
+    scenarioNameInput.value = '';
+    renderScenarios();
+  } catch (error) {
+    console.error('Error saving scenario:', error);
+    alert('Failed to save scenario');
+  }
+}
+
+// Backend suggestions first, then the saved scenarios
+function renderScenarios() {
+  const suggestions = (result.raw_json && result.raw_json.improvement_scenarios) || [];
+  const saved = job.scenarios || [];
+  if (suggestions.length === 0 && saved.length === 0) {
+    scenarioRows.innerHTML = '<tr><td colspan="5" class="text-muted">No scenarios yet – move the sliders and save one.</td></tr>';
+    return;
+  }
+
+  scenarioRows.innerHTML = [
+    ...suggestions.map(suggestion => `
+      <tr>
+        <td>${escapeHtml(suggestion.scenario)}</td>
+        <td><span class="badge badge-pending">Backend</span></td>
+        <td>${formatReduction(suggestion)}</td>
+        <td>${suggestion.circularity_score_improvement != null ? `${formatSigned(suggestion.circularity_score_improvement)} pts` : '—'}</td>
+        <td></td>
+      </tr>
+    `),
+    ...saved.map((scenario, index) => `
+      <tr class="saved">
+        <td>${escapeHtml(scenario.scenario)}</td>
+        <td><span class="badge badge-running">Saved</span></td>
+        <td>${formatReduction(scenario)}</td>
+        <td>${formatSigned(scenario.circularity_score_improvement)} pts</td>
+        <td>
+          <button class="btn btn-sm btn-secondary" data-action="load" data-index="${index}">Load</button>
+          <button class="btn btn-sm btn-secondary" data-action="delete" data-index="${index}">Delete</button>
+        </td>
+      </tr>
+    `)
+  ].join('');
+}
+
+// Put a saved scenario back on the sliders
+function loadScenario(index) {
+  const scenario = job.scenarios[index];
+  setSliders({ ...baseline, ...scenario.inputs });
+  scenarioNameInput.value = scenario.scenario;
+}
+
+async function deleteScenario(index) {
+  const scenario = job.scenarios[index];
+  if (!confirm(`Delete scenario "${scenario.scenario}"?`)) return;
+
+  try {
+    const updated = await JobStore.update(job.id, (stored) => {
+      stored.scenarios = (stored.scenarios || []).filter(saved => saved.scenario !== scenario.scenario);
+    });
+    if (!updated) throw new Error('Job no longer exists');
+    job = updated;
+    renderScenarios();
+  } catch (error) {
+    console.error('Error deleting scenario:', error);
+    alert('Failed to delete scenario');
+  }
+}
+
+// Utility functions
+
+function formatReduction(scenario) {
+  if (scenario.co2_reduction_kg == null && scenario.co2_reduction_percent == null) return '—';
+  const kg = scenario.co2_reduction_kg != null ? `${ResultSchema.format(scenario.co2_reduction_kg, 2)} kg` : '';
+  const percent = scenario.co2_reduction_percent != null ? `${scenario.co2_reduction_percent}%` : '';
+  return kg && percent ? `${kg} (${percent})` : kg || percent;
+}
+
+function formatSigned(value) {
+  const rounded = round(value, 2);
+  return `${rounded > 0 ? '+' : ''}${rounded}`;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -3,12 +3,70 @@
 
 'use strict';
 
+importScripts('job_store.js', 'mock_backend.js', 'numbers.js', 'result_schema.js', 'text_chunker.js', 'emission_factors.js', 'circularity.js', 'functional_unit.js');
+
 // Configuration
 const CONFIG = {
   MAX_RETRIES: 3,
   POLL_INTERVAL_MS: 2000,
   POLL_MAX_ATTEMPTS: 60,
-  BACKOFF_MULTIPLIER: 1.5
+  BACKOFF_MULTIPLIER: 1.5,
+  HEALTH_CHECK_INTERVAL_MIN: 1,
+  PING_TIMEOUT_MS: 5000,
+  STREAM_STALE_MS: 60000,
+  MAX_JOB_LOGS: 50
+};
+
+// Job statuses that still need polling
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+// Job statuses the user can cancel (waiting and queued jobs never reached the backend)
+const CANCELLABLE_STATUSES = [...ACTIVE_STATUSES, 'waiting', 'queued'];
+
+// Scheduler order: interactive single-page submissions jump ahead of batch work
+const PRIORITY_RANK = { interactive: 0, batch: 1 };
+
+// Concurrency defaults per backend (overridable in Options)
+const DEFAULT_MAX_CONCURRENT_JOBS = 3;
+const DEFAULT_MAX_CONCURRENT_POLLS = 2;
+
+// Alarm name prefixes for per-job status polling and submit retries
+const POLL_ALARM_PREFIX = 'poll:';
+const RETRY_ALARM_PREFIX = 'retry:';
+
+// Daily alarm that applies job retention settings
+const PRUNE_ALARM = 'pruneJobs';
+
+// Periodic backend health check while offline submissions are queued
+const HEALTH_CHECK_ALARM = 'healthCheck';
+
+// Retention defaults (overridable in Options)
+const DEFAULT_JOB_RETENTION_DAYS = 30;
+const DEFAULT_MAX_STORED_JOBS = 500;
+
+// How long a finished result is reused for identical submissions (overridable in Options, 0 = never)
+const DEFAULT_RESULT_CACHE_HOURS = 24;
+
+// Query parameters that don't change a page's content, ignored in fingerprints
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref)$/i;
+
+// HTTP statuses worth retrying; everything else (400, 401, 403...) is permanent
+const TRANSIENT_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// "Analyse selection for LCA" context menu entry
+const SELECTION_MENU_ID = 'analyseSelection';
+
+// Session storage key the popup picks a captured selection up from
+const PENDING_SELECTION_KEY = 'pendingSelection';
+
+// Form defaults used when a selection is submitted straight away (overridable in Options)
+const DEFAULT_USER_INPUTS = {
+  material: 'aluminium',
+  recycled_percent: 30,
+  energy_kwh: 100,
+  transport_km: 50,
+  functional_unit: 'kg',
+  quantity: 1
 };
 
 // Message handlers
@@ -20,13 +78,49 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
+// Alarm handler - drives job polling so it survives service worker suspension
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(POLL_ALARM_PREFIX)) {
+    pollJobStatus(alarm.name.slice(POLL_ALARM_PREFIX.length));
+  } else if (alarm.name.startsWith(RETRY_ALARM_PREFIX)) {
+    retrySubmit(alarm.name.slice(RETRY_ALARM_PREFIX.length));
+  } else if (alarm.name === PRUNE_ALARM) {
+    pruneJobs();
+  } else if (alarm.name === HEALTH_CHECK_ALARM) {
+    flushQueue();
+  }
+});
+
+// Resume polling for unfinished jobs when the browser starts or the extension updates
+chrome.runtime.onStartup.addListener(initializeJobs);
+chrome.runtime.onInstalled.addListener(async () => {
+  chrome.alarms.create(PRUNE_ALARM, { periodInMinutes: 24 * 60 });
+  // Menu items outlive updates and reloads: recreate them so changes apply
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: SELECTION_MENU_ID,
+    title: 'Analyse selection for LCA',
+    contexts: ['selection']
+  });
+  initializeJobs();
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === SELECTION_MENU_ID) {
+    analyseSelection(info, tab);
+  }
+});
+
 /**
  * Main message handler
  */
 async function handleMessage(request, sender) {
   switch (request.action) {
     case 'submitJob':
-      return await submitJob(request.payload, request.mockMode);
+      return await submitJob(request.payload, request.mockMode, {}, { force: request.force });
+    
+    case 'submitBatch':
+      return await submitBatch(request.name, request.payloads, request.mockMode);
     
     case 'getJobStatus':
       return await getJobStatus(request.jobId);
@@ -34,6 +128,15 @@ async function handleMessage(request, sender) {
     case 'cancelJob':
       return await cancelJob(request.jobId);
     
+    case 'resubmitJob':
+      return await resubmitJob(request.jobId, request.userInputs, request.force);
+    
+    case 'flushQueue':
+      return await flushQueue();
+    
+    case 'discardQueue':
+      return await discardQueue();
+    
     case 'getMockResponse':
       return await getMockResponse();
     
@@ -44,22 +147,20 @@ async function handleMessage(request, sender) {
 
 /**
  * Submit a new LCA analysis job
+ * @param {Object} payload - Submit payload from the popup
+ * @param {boolean} mockMode - Run the job against the in-process mock backend
+ * @param {Object} links - Extra job fields, e.g. { resubmittedFrom, batchId, priority }
+ * @param {Object} cache - Result reuse for identical submissions:
+ *   force - always run a new analysis
+ *   reuse - 'offer' returns { cached: true, cachedJobId } without creating a job,
+ *           'link' stores a new done job carrying the earlier result
  */
-async function submitJob(payload, mockMode = false) {
+async function submitJob(payload, mockMode = false, links = {}, { force = false, reuse = 'offer' } = {}) {
   try {
-    // Check mock mode
-    if (mockMode) {
-      const mockResult = await getMockResponse();
-      return {
-        success: true,
-        mockMode: true,
-        jobId: generateJobId(),
-        result: mockResult.result
-      };
-    }
-    
-    // Get backend configuration
-    const { backendUrl, apiKey } = await chrome.storage.local.get(['backendUrl', 'apiKey']);
+    // Get backend configuration - mock mode needs none
+    const { backendUrl, apiKey } = mockMode
+      ? { backendUrl: MockBackend.BASE_URL, apiKey: MockBackend.API_KEY }
+      : await chrome.storage.local.get(['backendUrl', 'apiKey']);
     
     if (!backendUrl) {
       throw new Error('Backend URL not configured. Please set it in Options.');
@@ -69,147 +170,1101 @@ async function submitJob(payload, mockMode = false) {
       throw new Error('API Key not configured. Please set it in Options.');
     }
     
+    // Identical analysis done before: offer or reuse its result
+    const fingerprint = await fingerprintPayload(payload);
+    const cachedJob = force ? null : await findCachedJob(fingerprint, backendUrl);
+    
+    if (cachedJob && reuse === 'offer') {
+      return {
+        success: true,
+        cached: true,
+        cachedJobId: cachedJob.id,
+        completedAt: cachedJob.completedAt || cachedJob.updatedAt
+      };
+    }
+    
     // Generate job ID
     const jobId = generateJobId();
+    // Jobs without a functional unit have no known mass: the estimate is then per kg
+    const functionalUnit = FunctionalUnit.declared(payload.user_inputs);
     
-    // Create job object
+    // Create job object - it waits for a free slot before it is sent
     const job = {
       id: jobId,
       url: payload.url,
+      backendUrl,
+      fingerprint,
+      estimate: EmissionFactors.estimate(payload.user_inputs, {
+        ...await getEstimateOptions(),
+        mass_kg: functionalUnit.assumed ? null : functionalUnit.mass_kg
+      }),
+      circularity: Circularity.calculate(Circularity.inputsFor(payload.user_inputs, await getCircularityInputs())),
+      priority: 'interactive',
       payload: {
         ...payload,
         job_id: jobId
       },
-      status: 'pending',
+      status: 'waiting',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       retries: 0,
+      pollAttempts: 0,
       error: null,
-      result: null
+      result: null,
+      ...links
     };
     
+    if (cachedJob) {
+      Object.assign(job, {
+        status: 'done',
+        progress: 100,
+        result: cachedJob.result,
+        resultWarnings: cachedJob.resultWarnings || [],
+        resultSchemaVersion: cachedJob.resultSchemaVersion,
+        estimateCheck: EmissionFactors.compare(job.estimate, cachedJob.result),
+        intensity: FunctionalUnit.normalize(cachedJob.result, payload.user_inputs),
+        circularityCheck: Circularity.compare(job.circularity, cachedJob.result),
+        completedAt: cachedJob.completedAt || cachedJob.updatedAt,
+        reusedFrom: cachedJob.reusedFrom || cachedJob.id
+      });
+    }
+    
     // Save job to storage
     await saveJob(job);
     
-    // Submit to backend
+    if (links.resubmittedFrom) {
+      await updateJob(links.resubmittedFrom, { resubmittedAs: jobId });
+    }
+    
+    await runScheduler();
+    return await describeSubmission(jobId);
+  } catch (error) {
+    console.error('Submit job error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Handle the "Analyse selection for LCA" context menu: capture the selection
+ * and either submit it with the default inputs or hand it to the popup
+ */
+async function analyseSelection(info, tab) {
+  try {
+    const { selectionAction = 'popup', selectionScope = 'selection' } =
+      await chrome.storage.local.get(['selectionAction', 'selectionScope']);
+    
+    const selection = await captureSelection(info, tab, selectionScope);
+    
+    if (selectionAction === 'submit') {
+      try {
+        await submitSelection(selection);
+        await flashBadge(tab?.id, '✓', '#10b981');
+        return;
+      } catch (error) {
+        // Let the user fix things up in the popup instead
+        selection.error = error.message;
+      }
+    }
+    
+    await chrome.storage.session.set({ [PENDING_SELECTION_KEY]: selection });
+    await openPopup();
+  } catch (error) {
+    console.error('Selection analysis error:', error);
+    await flashBadge(tab?.id, '!', '#ef4444');
+  }
+}
+
+/**
+ * Ask the content script in the selection's frame for the selection and page
+ * metadata. Pages it can't run in (PDF viewer, browser pages) fall back to the
+ * plain selected text from the context menu.
+ */
+async function captureSelection(info, tab, scope) {
+  const message = { action: 'extractSelection', scope };
+  const target = { frameId: info.frameId || 0 };
+  
+  if (tab?.id !== undefined && tab.id >= 0) {
     try {
-      const response = await fetch(`${backendUrl}/lca/submit`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(job.payload)
-      });
+      let response;
+      try {
+        response = await chrome.tabs.sendMessage(tab.id, message, target);
+      } catch (error) {
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id, frameIds: [target.frameId] },
+          files: ['extraction_rules.js', 'numbers.js', 'table_parser.js', 'main_content.js', 'grades.js', 'content.js']
+        });
+        response = await chrome.tabs.sendMessage(tab.id, message, target);
+      }
       
-      if (!response.ok) {
-        throw new Error(`Backend returned ${response.status}: ${response.statusText}`);
+      if (response?.success) {
+        return response.data;
+      }
+    } catch (error) {
+      console.warn('Content script unavailable for selection, using menu text:', error);
+    }
+  }
+  
+  const rawText = (info.selectionText || '').trim();
+  if (!rawText) {
+    throw new Error('Nothing is selected');
+  }
+  
+  return {
+    raw_text: rawText,
+    selection_text: rawText,
+    source_type: 'selection',
+    title: tab?.title || '',
+    url: info.frameUrl || info.pageUrl || tab?.url || '',
+    page_type: null,
+    fields: {},
+    tables: [],
+    extraction_rule: null,
+    extracted_at: new Date().toISOString(),
+    char_count: rawText.length
+  };
+}
+
+/**
+ * Submit a captured selection with the saved default inputs
+ */
+async function submitSelection(selection) {
+  const { defaultUserInputs = {}, requireSeleniumDefault, mockMode = false } =
+    await chrome.storage.local.get(['defaultUserInputs', 'requireSeleniumDefault', 'mockMode']);
+  
+  const payload = {
+    url: selection.url,
+    title: selection.title,
+    page_type: selection.page_type,
+    extraction_rule: null,
+    fields: {},
+    product: selection.product || null,
+    grades: selection.grades || [],
+    tables: [],
+    source_type: 'selection',
+    raw_text: selection.raw_text,
+    selection_text: selection.selection_text,
+    user_inputs: { ...DEFAULT_USER_INPUTS, ...defaultUserInputs },
+    options: {
+      require_selenium: requireSeleniumDefault !== false
+    }
+  };
+  
+  return await submitJob(payload, mockMode, {}, { reuse: 'link' });
+}
+
+/**
+ * Open the action popup; where that isn't allowed, open it in a small window
+ */
+async function openPopup() {
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    await chrome.windows.create({
+      url: chrome.runtime.getURL('popup.html'),
+      type: 'popup',
+      width: 420,
+      height: 640
+    });
+  }
+}
+
+// Short-lived badge on the tab's action icon
+async function flashBadge(tabId, text, color) {
+  if (tabId === undefined || tabId < 0) return;
+  
+  await chrome.action.setBadgeBackgroundColor({ tabId, color });
+  await chrome.action.setBadgeText({ tabId, text });
+  setTimeout(() => {
+    chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+  }, 4000);
+}
+
+/**
+ * Grid region and transport mode for preliminary estimates (set in Options)
+ */
+async function getEstimateOptions() {
+  const { estimateGrid, estimateTransportMode } =
+    await chrome.storage.local.get(['estimateGrid', 'estimateTransportMode']);
+  return { grid: estimateGrid, transport_mode: estimateTransportMode };
+}
+
+/**
+ * Circularity calculator values set in the popup (collection rates, yields, lifetime...)
+ */
+async function getCircularityInputs() {
+  const { circularityInputs = {} } = await chrome.storage.local.get(['circularityInputs']);
+  return circularityInputs;
+}
+
+/**
+ * Fingerprint of everything an analysis depends on: the normalised text, URL
+ * and user inputs
+ */
+async function fingerprintPayload(payload) {
+  const text = (payload.raw_text || '').replace(/\s+/g, ' ').trim();
+  const inputs = payload.user_inputs || {};
+  const sortedInputs = Object.keys(inputs).sort().map(key => [key, inputs[key]]);
+  
+  return await TextChunker.sha256(JSON.stringify([text, normalizeUrl(payload.url), sortedInputs]));
+}
+
+// Same page, whatever the fragment, tracking parameters or trailing slash
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    Array.from(parsed.searchParams.keys())
+      .filter(key => TRACKING_PARAMS.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    return parsed.origin + parsed.pathname.replace(/\/+$/, '') + parsed.search;
+  } catch (error) {
+    return url || '';
+  }
+}
+
+/**
+ * Newest finished job with the same fingerprint on the same backend, still
+ * within the configured cache lifetime
+ */
+async function findCachedJob(fingerprint, backendUrl) {
+  const { resultCacheHours = DEFAULT_RESULT_CACHE_HOURS } = await chrome.storage.local.get(['resultCacheHours']);
+  if (!(resultCacheHours > 0)) {
+    return null;
+  }
+  
+  const cutoff = Date.now() - resultCacheHours * 60 * 60 * 1000;
+  const jobs = await JobStore.list({ fingerprint });
+  
+  return jobs.find(job =>
+    job.status === 'done' &&
+    job.result &&
+    job.backendUrl === backendUrl &&
+    new Date(job.completedAt || job.updatedAt).getTime() >= cutoff
+  ) || null;
+}
+
+/**
+ * Summarise where a freshly submitted job ended up for the caller
+ */
+async function describeSubmission(jobId) {
+  const job = await getJobById(jobId);
+  
+  if (job.status === 'error') {
+    throw new Error(job.error || 'Submission failed');
+  }
+  
+  const response = {
+    success: true,
+    jobId,
+    status: job.status,
+    backendJobId: job.backendJobId
+  };
+  
+  if (job.reusedFrom) {
+    response.reusedFrom = job.reusedFrom;
+  }
+  
+  if (job.status === 'waiting') {
+    const waitingJobs = sortBySchedule(await JobStore.list({ status: 'waiting' }));
+    response.waiting = true;
+    response.position = waitingJobs.findIndex(waitingJob => waitingJob.id === jobId) + 1;
+  } else if (job.status === 'queued') {
+    response.queued = true;
+  } else if (job.status === 'pending' && job.nextRetryAt) {
+    response.retrying = true;
+    response.retries = job.retries;
+    response.nextRetryAt = job.nextRetryAt;
+  }
+  
+  return response;
+}
+
+// Scheduler runs are chained so two runs never hand out the same slot
+let schedulerChain = Promise.resolve();
+
+/**
+ * Dispatch waiting jobs while the backend has free slots.
+ * Triggered on submit, whenever a job leaves the in-flight set and on startup.
+ */
+function runScheduler() {
+  schedulerChain = schedulerChain
+    .then(dispatchWaitingJobs)
+    .catch(error => console.error('Scheduler error:', error));
+  return schedulerChain;
+}
+
+async function dispatchWaitingJobs() {
+  const { backendUrl, maxConcurrentJobs = DEFAULT_MAX_CONCURRENT_JOBS } =
+    await chrome.storage.local.get(['backendUrl', 'maxConcurrentJobs']);
+  
+  // Slots are counted per backend, so mock jobs never hold up real ones
+  const inFlight = new Map();
+  (await JobStore.list({ status: ACTIVE_STATUSES })).forEach(job => {
+    const jobBackend = job.backendUrl || backendUrl;
+    inFlight.set(jobBackend, (inFlight.get(jobBackend) || 0) + 1);
+  });
+  
+  const waitingJobs = sortBySchedule(await JobStore.list({ status: 'waiting' }));
+  
+  for (const waitingJob of waitingJobs) {
+    const jobBackend = waitingJob.backendUrl || backendUrl;
+    if ((inFlight.get(jobBackend) || 0) >= maxConcurrentJobs) continue;
+    
+    // Claim the job; skipped if it was cancelled in the meantime
+    const job = await updateJob(waitingJob.id, {
+      status: 'pending',
+      backendUrl: jobBackend,
+      dispatchedAt: new Date().toISOString()
+    }, ['waiting']);
+    if (!job) continue;
+    
+    inFlight.set(jobBackend, (inFlight.get(jobBackend) || 0) + 1);
+    try {
+      await sendJob(job);
+    } catch (error) {
+      console.error(`Dispatch of job ${job.id} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Order jobs by priority, then oldest first
+ */
+function sortBySchedule(jobs) {
+  return jobs.slice().sort((a, b) =>
+    (PRIORITY_RANK[a.priority] ?? 0) - (PRIORITY_RANK[b.priority] ?? 0) ||
+    new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Submit several scanned pages as one batch of linked jobs
+ * @param {string} name - Batch label shown on the jobs page
+ * @param {Object[]} payloads - One submit payload per page, sharing user_inputs
+ * @param {boolean} mockMode - Run the batch against the mock backend
+ */
+async function submitBatch(name, payloads, mockMode = false) {
+  if (!Array.isArray(payloads) || payloads.length === 0) {
+    throw new Error('No pages selected for the batch');
+  }
+  
+  const batch = {
+    id: generateBatchId(),
+    name: name || `Batch of ${payloads.length} pages`,
+    createdAt: new Date().toISOString(),
+    jobIds: []
+  };
+  await JobStore.putBatch(batch);
+  
+  const errors = [];
+  for (const payload of payloads) {
+    try {
+      await submitJob(payload, mockMode, { batchId: batch.id, priority: 'batch' }, { reuse: 'link' });
+    } catch (error) {
+      errors.push(`${payload.url}: ${error.message}`);
+    }
+  }
+  
+  // Failed submissions are stored as error jobs too, so read the IDs back
+  batch.jobIds = (await JobStore.list({ batchId: batch.id })).map(job => job.id).reverse();
+  
+  if (batch.jobIds.length === 0) {
+    await JobStore.removeBatch(batch.id);
+    throw new Error(errors[0] || 'Batch submission failed');
+  }
+  
+  await JobStore.putBatch(batch);
+  
+  return {
+    success: true,
+    batchId: batch.id,
+    jobIds: batch.jobIds,
+    failed: errors.length,
+    errors
+  };
+}
+
+/**
+ * POST a stored job to the backend and start polling.
+ * An unreachable backend moves the job to the offline queue; other transient
+ * failures schedule a retry alarm until CONFIG.MAX_RETRIES is reached;
+ * permanent failures mark the job as error straight away.
+ */
+async function sendJob(job) {
+  const { backendUrl, apiKey } = await getBackendConfig(job);
+  
+  try {
+    if (!backendUrl) {
+      throw new Error('Backend URL not configured. Please set it in Options.');
+    }
+    
+    // Long texts go up in section-aligned chunks instead of one request
+    const data = TextChunker.needsChunking(job.payload.raw_text)
+      ? await submitChunked(job, backendUrl, apiKey)
+      : await postJson(backendUrl, apiKey, '/lca/submit', job.payload);
+    const backendJobId = data.job_id || job.id;
+    
+    // Update job status (unless it was cancelled while the request was in flight)
+    const updated = await updateJob(job.id, {
+      status: 'pending',
+      backendJobId,
+      chunkCount: data.chunk_count || null,
+      error: null,
+      nextRetryAt: null
+    }, ACTIVE_STATUSES);
+    
+    // Start polling for status, plus the live stream where supported
+    if (updated) {
+      schedulePoll(job.id, 0);
+      openJobStream(job.id);
+    } else {
+      await cancelLateSubmission(job.id, backendJobId);
+    }
+    
+    return {
+      success: true,
+      jobId: job.id,
+      backendJobId
+    };
+  } catch (error) {
+    // Backend unreachable: hold the job until the health check sees it again
+    if (isNetworkError(error)) {
+      const updated = await updateJob(job.id, {
+        status: 'queued',
+        error: error.message,
+        queuedAt: job.queuedAt || new Date().toISOString()
+      }, ['pending']);
+      
+      if (updated) {
+        await ensureHealthCheck();
       }
       
-      const data = await response.json();
+      console.warn(`Backend unreachable, job ${job.id} queued`);
+      return {
+        success: true,
+        jobId: job.id,
+        queued: true
+      };
+    }
+    
+    const retries = job.retries || 0;
+    
+    if (isTransientError(error) && retries < CONFIG.MAX_RETRIES) {
+      const delay = error.retryAfterMs ||
+        CONFIG.POLL_INTERVAL_MS * Math.pow(CONFIG.BACKOFF_MULTIPLIER, retries + 1);
+      const nextRetryAt = new Date(Date.now() + delay).toISOString();
       
-      // Update job status
-      job.status = 'pending';
-      job.backendJobId = data.job_id || jobId;
-      job.updatedAt = new Date().toISOString();
-      await updateJob(job);
+      const updated = await updateJob(job.id, {
+        error: error.message,
+        retries: retries + 1,
+        nextRetryAt
+      }, ['pending']);
       
-      // Start polling for status
-      pollJobStatus(job.id, backendUrl, apiKey);
+      if (updated) {
+        chrome.alarms.create(RETRY_ALARM_PREFIX + job.id, { when: Date.now() + delay });
+      }
       
+      console.warn(`Submit of job ${job.id} failed (${error.message}), retry ${retries + 1}/${CONFIG.MAX_RETRIES} scheduled`);
       return {
         success: true,
         jobId: job.id,
-        backendJobId: job.backendJobId
+        retrying: true,
+        retries: retries + 1,
+        nextRetryAt
       };
-    } catch (error) {
-      // Update job with error
-      job.status = 'error';
-      job.error = error.message;
-      job.updatedAt = new Date().toISOString();
-      await updateJob(job);
-      
-      throw error;
     }
-  } catch (error) {
-    console.error('Submit job error:', error);
+    
+    // Update job with error
+    await updateJob(job.id, {
+      status: 'error',
+      error: error.message,
+      errorType: isTransientError(error) ? 'transient' : 'permanent',
+      nextRetryAt: null
+    }, ['pending']);
+    
     throw error;
   }
 }
 
 /**
- * Poll job status until complete or max attempts reached
+ * A job cancelled while its submit was in flight was cancelled under its
+ * local ID: now that the backend's job ID is known, cancel that one too
  */
-async function pollJobStatus(jobId, backendUrl, apiKey, attempt = 0) {
-  if (attempt >= CONFIG.POLL_MAX_ATTEMPTS) {
-    console.log(`Max poll attempts reached for job ${jobId}`);
-    const job = await getJobById(jobId);
-    if (job && (job.status === 'pending' || job.status === 'running')) {
-      job.status = 'error';
-      job.error = 'Timeout: Job did not complete in time';
-      job.updatedAt = new Date().toISOString();
-      await updateJob(job);
+async function cancelLateSubmission(jobId, backendJobId) {
+  const job = await getJobById(jobId);
+  
+  if (!job || job.status !== 'cancelled') {
+    return;
+  }
+  
+  const backendCancelled = await requestBackendCancel({ ...job, backendJobId });
+  await updateJob(jobId, { backendJobId, backendCancelled }, ['cancelled']);
+}
+
+/**
+ * Multi-part submission for texts over TextChunker.CHUNK_SIZE: announce the
+ * job with the chunk list and hashes, upload each chunk, then complete it.
+ * A failure anywhere restarts the whole upload on retry.
+ * @returns {Promise<Object>} { job_id, chunk_count }
+ */
+async function submitChunked(job, backendUrl, apiKey) {
+  const upload = await TextChunker.prepare(job.payload.raw_text, job.payload.sections);
+  
+  const announced = await postJson(backendUrl, apiKey, '/lca/submit', {
+    ...job.payload,
+    raw_text: null,
+    chunked: {
+      count: upload.chunks.length,
+      total_chars: upload.total_chars,
+      sha256: upload.sha256,
+      chunks: upload.chunks.map(({ text, ...chunk }) => chunk)
     }
+  });
+  const backendJobId = announced.job_id || job.id;
+  
+  for (const chunk of upload.chunks) {
+    await postJson(backendUrl, apiKey, `/lca/submit/${backendJobId}/chunks/${chunk.index}`, chunk);
+  }
+  
+  await postJson(backendUrl, apiKey, `/lca/submit/${backendJobId}/complete`, {
+    count: upload.chunks.length,
+    sha256: upload.sha256
+  });
+  
+  console.log(`Job ${job.id} uploaded in ${upload.chunks.length} chunks`);
+  return { job_id: backendJobId, chunk_count: upload.chunks.length };
+}
+
+/**
+ * Authenticated JSON POST to the backend
+ * @throws {Error} Backend error (see createBackendError) for non-2xx responses
+ */
+async function postJson(backendUrl, apiKey, path, body) {
+  const response = await backendFetch(backendUrl, path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify(body)
+  });
+  
+  if (!response.ok) {
+    throw createBackendError(response, 'Backend returned');
+  }
+  
+  return await response.json();
+}
+
+/**
+ * Retry alarm handler - resend a job whose submission failed transiently
+ */
+async function retrySubmit(jobId) {
+  const job = await getJobById(jobId);
+  
+  if (!job || job.status !== 'pending' || job.backendJobId) {
     return;
   }
   
   try {
-    const job = await getJobById(jobId);
-    if (!job) return;
+    await sendJob(job);
+  } catch (error) {
+    console.error(`Retry of job ${jobId} failed:`, error);
+  }
+}
+
+/**
+ * Start the periodic health check that drains the offline queue
+ */
+async function ensureHealthCheck() {
+  const existing = await chrome.alarms.get(HEALTH_CHECK_ALARM);
+  if (!existing) {
+    chrome.alarms.create(HEALTH_CHECK_ALARM, { periodInMinutes: CONFIG.HEALTH_CHECK_INTERVAL_MIN });
+  }
+}
+
+/**
+ * Check whether the backend answers GET /lca/ping
+ */
+async function pingBackend() {
+  const { backendUrl } = await chrome.storage.local.get(['backendUrl']);
+  if (!backendUrl) return false;
+  
+  try {
+    const response = await backendFetch(backendUrl, '/lca/ping', {
+      signal: AbortSignal.timeout(CONFIG.PING_TIMEOUT_MS)
+    });
+    if (!response.ok) return false;
     
-    // Skip if job already done or error
-    if (job.status === 'done' || job.status === 'error') {
-      return;
+    const data = await response.json();
+    return data.ok === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+let queueFlush = null;
+
+/**
+ * Send queued jobs oldest first once the backend is reachable again.
+ * Concurrent calls (alarm plus "flush now") share one run.
+ */
+async function flushQueue() {
+  if (!queueFlush) {
+    queueFlush = drainQueue().finally(() => {
+      queueFlush = null;
+    });
+  }
+  return queueFlush;
+}
+
+async function drainQueue() {
+  // JobStore lists newest first
+  const queuedJobs = (await JobStore.list({ status: 'queued' })).reverse();
+  
+  if (queuedJobs.length === 0) {
+    await chrome.alarms.clear(HEALTH_CHECK_ALARM);
+    return { success: true, online: null, flushed: 0, remaining: 0 };
+  }
+  
+  if (!(await pingBackend())) {
+    return { success: true, online: false, flushed: 0, remaining: queuedJobs.length };
+  }
+  
+  // Hand the queue back to the scheduler, which sends it oldest first within
+  // each priority; jobs go back to queued if the backend drops out again
+  let flushed = 0;
+  for (const queuedJob of queuedJobs) {
+    if (await updateJob(queuedJob.id, { status: 'waiting', error: null }, ['queued'])) {
+      flushed++;
+    }
+  }
+  await runScheduler();
+  
+  const remaining = (await JobStore.list({ status: 'queued' })).length;
+  if (remaining === 0) {
+    await chrome.alarms.clear(HEALTH_CHECK_ALARM);
+  }
+  
+  console.log(`Flushed ${flushed} queued jobs, ${remaining} remaining`);
+  return { success: true, online: true, flushed, remaining };
+}
+
+/**
+ * Delete every queued submission
+ */
+async function discardQueue() {
+  const queuedJobs = await JobStore.list({ status: 'queued' });
+  
+  for (const job of queuedJobs) {
+    await JobStore.remove(job.id);
+  }
+  await chrome.alarms.clear(HEALTH_CHECK_ALARM);
+  
+  return { success: true, discarded: queuedJobs.length };
+}
+
+/**
+ * Resubmit a finished job as a new, linked job
+ * @param {string} jobId - Job to copy the stored payload from
+ * @param {Object} userInputs - Optional replacement for payload.user_inputs
+ */
+async function resubmitJob(jobId, userInputs, force = false) {
+  const original = await getJobById(jobId);
+  
+  if (!original) {
+    throw new Error('Job not found');
+  }
+  
+  const { job_id, ...payload } = original.payload || {};
+  if (userInputs) {
+    payload.user_inputs = { ...payload.user_inputs, ...userInputs };
+  }
+  
+  const mockMode = original.backendUrl === MockBackend.BASE_URL;
+  return await submitJob(payload, mockMode, { resubmittedFrom: original.id }, { force, reuse: 'link' });
+}
+
+/**
+ * Poll job status once and schedule the next check.
+ * The attempt counter lives on the stored job so polling can resume after the
+ * service worker has been suspended or the browser restarted.
+ */
+async function pollJobStatus(jobId) {
+  const job = await getJobById(jobId);
+  if (!job) return;
+  
+  // Skip if job already done or error
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    return;
+  }
+  
+  const attempt = job.pollAttempts || 0;
+  
+  // A live stream is delivering updates - just keep the safety net armed
+  // without spending poll attempts, so long jobs don't time out
+  if (isStreamLive(job)) {
+    schedulePoll(jobId, 0);
+    return;
+  }
+  
+  if (attempt >= CONFIG.POLL_MAX_ATTEMPTS) {
+    console.log(`Max poll attempts reached for job ${jobId}`);
+    await updateJob(jobId, {
+      status: 'error',
+      error: 'Timeout: Job did not complete in time'
+    }, ACTIVE_STATUSES);
+    return;
+  }
+  
+  const { backendUrl, apiKey } = await getBackendConfig(job);
+  const { maxConcurrentPolls = DEFAULT_MAX_CONCURRENT_POLLS } =
+    await chrome.storage.local.get(['maxConcurrentPolls']);
+  
+  // Too many status requests in flight for this backend - try again shortly
+  // without spending an attempt
+  const backendPolls = activePolls.get(backendUrl) || 0;
+  if (backendPolls >= maxConcurrentPolls) {
+    schedulePoll(jobId, 0);
+    return;
+  }
+  activePolls.set(backendUrl, backendPolls + 1);
+  
+  try {
+    if (!backendUrl) {
+      throw new Error('Backend URL not configured');
     }
     
     const backendJobId = job.backendJobId || job.id;
     
     // Query status
-    const response = await fetch(`${backendUrl}/lca/status/${backendJobId}`, {
+    const response = await backendFetch(backendUrl, `/lca/status/${backendJobId}`, {
       headers: {
         'Authorization': `Bearer ${apiKey}`
       }
     });
     
     if (!response.ok) {
-      throw new Error(`Status check failed: ${response.status}`);
+      throw createBackendError(response, 'Status check failed:');
     }
     
     const statusData = await response.json();
+    const updated = await applyStatusUpdate(job, statusData, { pollAttempts: attempt + 1 });
+    
+    // Continue polling if still running, and try to upgrade to a live stream
+    if (updated && ACTIVE_STATUSES.includes(updated.status)) {
+      schedulePoll(jobId, attempt + 1);
+      openJobStream(jobId);
+    }
+  } catch (error) {
+    console.error(`Poll error for job ${jobId}:`, error);
+    
+    // Permanent failures (e.g. revoked API key) won't fix themselves
+    if (!isTransientError(error)) {
+      await updateJob(jobId, {
+        status: 'error',
+        error: error.message,
+        errorType: 'permanent'
+      }, ACTIVE_STATUSES);
+      return;
+    }
+    
+    // Retry with backoff
+    const updated = await updateJob(jobId, { pollAttempts: attempt + 1 }, ACTIVE_STATUSES);
+    if (updated) {
+      schedulePoll(jobId, attempt + 1);
+    }
+  } finally {
+    activePolls.set(backendUrl, (activePolls.get(backendUrl) || 1) - 1);
+  }
+}
+
+// Status requests currently in flight, per backend URL
+const activePolls = new Map();
+
+/**
+ * Apply a status report (from polling or the stream) to a stored job,
+ * fetching the result once the backend reports done
+ * @returns {Promise<Object|null>} The updated job, or null if it had already finished
+ */
+async function applyStatusUpdate(job, statusData, extraChanges = {}) {
+  const changes = { ...extraChanges };
+  
+  if (statusData.status) {
+    changes.status = statusData.status;
+  }
+  if (statusData.progress !== undefined) {
+    changes.progress = statusData.progress;
+  }
+  
+  if (statusData.status === 'done') {
+    const { result, warnings, schemaVersion } = ResultSchema.normalize(await fetchJobResult(job));
+    changes.completedAt = new Date().toISOString();
+    changes.result = result;
+    changes.resultWarnings = warnings;
+    changes.resultSchemaVersion = schemaVersion;
+    changes.estimateCheck = EmissionFactors.compare(job.estimate, result);
+    changes.intensity = FunctionalUnit.normalize(result, (job.payload && job.payload.user_inputs) || {});
+    changes.circularityCheck = Circularity.compare(job.circularity, result);
     
-    // Update job
-    job.status = statusData.status;
-    job.progress = statusData.progress;
-    job.updatedAt = new Date().toISOString();
+    if (warnings.length > 0) {
+      console.warn(`Result for job ${job.id} failed validation:`, warnings);
+    }
+    if (changes.estimateCheck && changes.estimateCheck.flagged) {
+      console.warn(`Result for job ${job.id} differs from the preliminary estimate by ${changes.estimateCheck.difference_percent}%`);
+    }
+    if (changes.circularityCheck && changes.circularityCheck.flagged) {
+      console.warn(`Circularity for job ${job.id} differs from the local MCI:`, Circularity.explain(changes.circularityCheck));
+    }
+  } else if (statusData.status === 'error') {
+    changes.error = statusData.error || 'Unknown error';
+  }
+  
+  // Skipped if the job was cancelled while this update was in flight
+  const updated = await updateJob(job.id, changes, ACTIVE_STATUSES);
+  
+  if (updated && !ACTIVE_STATUSES.includes(updated.status)) {
+    closeJobStream(job.id);
+    await chrome.alarms.clear(POLL_ALARM_PREFIX + job.id);
+  }
+  
+  return updated;
+}
+
+/**
+ * Fetch the finished result for a job
+ * @returns {Promise<Object|null>} null if the result endpoint failed
+ */
+async function fetchJobResult(job) {
+  const { backendUrl, apiKey } = await getBackendConfig(job);
+  
+  const resultResponse = await backendFetch(backendUrl, `/lca/result/${job.backendJobId || job.id}`, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`
+    }
+  });
+  
+  return resultResponse.ok ? await resultResponse.json() : null;
+}
+
+// Live status streams by job ID (in memory; reopened by the poll alarm after suspension)
+const activeStreams = new Map();
+
+// Backends that answered the stream endpoint with "not supported"
+const streamUnsupportedBackends = new Set();
+
+/**
+ * Subscribe to GET /lca/stream/{job_id} (Server-Sent Events) for live
+ * status, progress and log events. Polling stays armed as the fallback and
+ * takes over whenever the stream is unavailable or drops.
+ */
+async function openJobStream(jobId) {
+  if (activeStreams.has(jobId)) return;
+  
+  const { streamingEnabled = true } = await chrome.storage.local.get(['streamingEnabled']);
+  if (!streamingEnabled) return;
+  
+  const job = await getJobById(jobId);
+  if (!job || !ACTIVE_STATUSES.includes(job.status) || activeStreams.has(jobId)) return;
+  
+  const { backendUrl, apiKey } = await getBackendConfig(job);
+  if (!backendUrl || streamUnsupportedBackends.has(backendUrl)) return;
+  
+  const controller = new AbortController();
+  activeStreams.set(jobId, controller);
+  
+  try {
+    const response = await backendFetch(backendUrl, `/lca/stream/${job.backendJobId || job.id}`, {
+      headers: {
+        'Accept': 'text/event-stream',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      signal: controller.signal
+    });
+    
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      if ([404, 405, 406, 501].includes(response.status) || response.ok) {
+        streamUnsupportedBackends.add(backendUrl);
+        console.log('Backend has no status stream, using polling');
+      }
+      return;
+    }
+    
+    await readEventStream(response.body, (event) => handleStreamEvent(job, event));
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.warn(`Status stream for job ${jobId} dropped, falling back to polling:`, error);
+    }
+  } finally {
+    activeStreams.delete(jobId);
+  }
+}
+
+/**
+ * Stop a job's live stream, if any
+ */
+function closeJobStream(jobId) {
+  const controller = activeStreams.get(jobId);
+  if (controller) {
+    controller.abort();
+    activeStreams.delete(jobId);
+  }
+}
+
+/**
+ * Parse a text/event-stream body and call onEvent({ event, data }) per message
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let pending = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
     
-    if (statusData.status === 'done') {
-      // Fetch result
-      const resultResponse = await fetch(`${backendUrl}/lca/result/${backendJobId}`, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
+    // A trailing \r may be the first half of a \r\n split across chunks
+    pending += decoder.decode(value, { stream: true });
+    const end = pending.endsWith('\r') ? pending.length - 1 : pending.length;
+    buffer += pending.slice(0, end).replace(/\r\n?/g, '\n');
+    pending = pending.slice(end);
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      
+      let event = 'message';
+      const dataLines = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
         }
       });
       
-      if (resultResponse.ok) {
-        job.result = await resultResponse.json();
+      if (dataLines.length > 0) {
+        await onEvent({ event, data: dataLines.join('\n') });
       }
-    } else if (statusData.status === 'error') {
-      job.error = statusData.error || 'Unknown error';
     }
+  }
+}
+
+/**
+ * Apply one stream event (status, progress or log) to the stored job
+ */
+async function handleStreamEvent(job, { event, data }) {
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch (error) {
+    payload = { message: data };
+  }
+  
+  const now = new Date().toISOString();
+  
+  if (event === 'status' || event === 'message') {
+    await applyStatusUpdate(job, payload, { streamEventAt: now });
+  } else if (event === 'progress') {
+    await updateJob(job.id, { progress: payload.progress, streamEventAt: now }, ACTIVE_STATUSES);
+  } else if (event === 'log') {
+    await JobStore.update(job.id, storedJob => {
+      if (!ACTIVE_STATUSES.includes(storedJob.status)) return false;
+      
+      const logs = storedJob.logs || [];
+      logs.push({
+        at: payload.at || now,
+        level: payload.level || 'info',
+        message: payload.message || ''
+      });
+      storedJob.logs = logs.slice(-CONFIG.MAX_JOB_LOGS);
+      storedJob.streamEventAt = now;
+      storedJob.updatedAt = now;
+    });
+  }
+}
+
+/**
+ * Whether a job received a stream event recently enough to skip polling
+ */
+function isStreamLive(job) {
+  return activeStreams.has(job.id) && job.streamEventAt &&
+    Date.now() - new Date(job.streamEventAt).getTime() < CONFIG.STREAM_STALE_MS;
+}
+
+/**
+ * Schedule the next status check for a job via chrome.alarms.
+ * Alarms survive service worker suspension, unlike setTimeout. Note that
+ * Chrome clamps alarm delays to 30 seconds for packed extensions.
+ */
+function schedulePoll(jobId, attempt) {
+  const delay = CONFIG.POLL_INTERVAL_MS * Math.pow(CONFIG.BACKOFF_MULTIPLIER, Math.min(attempt, 5));
+  chrome.alarms.create(POLL_ALARM_PREFIX + jobId, { when: Date.now() + delay });
+}
+
+/**
+ * Startup/install hook: apply retention, then resume unfinished jobs.
+ * Opening the job store also migrates any legacy `jobs` storage array.
+ */
+async function initializeJobs() {
+  await pruneJobs();
+  await resumeUnfinishedJobs();
+}
+
+/**
+ * Remove old finished jobs according to the retention settings
+ */
+async function pruneJobs() {
+  try {
+    const {
+      jobRetentionDays = DEFAULT_JOB_RETENTION_DAYS,
+      maxStoredJobs = DEFAULT_MAX_STORED_JOBS
+    } = await chrome.storage.local.get(['jobRetentionDays', 'maxStoredJobs']);
     
-    await updateJob(job);
-    
-    // Continue polling if still running
-    if (job.status === 'running' || job.status === 'pending') {
-      const delay = CONFIG.POLL_INTERVAL_MS * Math.pow(CONFIG.BACKOFF_MULTIPLIER, Math.min(attempt, 5));
-      setTimeout(() => pollJobStatus(jobId, backendUrl, apiKey, attempt + 1), delay);
+    const removed = await JobStore.prune({ retentionDays: jobRetentionDays, maxJobs: maxStoredJobs });
+    if (removed > 0) {
+      console.log(`Pruned ${removed} old jobs`);
     }
   } catch (error) {
-    console.error(`Poll error for job ${jobId}:`, error);
+    console.error('Prune jobs error:', error);
+  }
+}
+
+/**
+ * Re-arm polling for every job left pending or running in storage
+ */
+async function resumeUnfinishedJobs() {
+  try {
+    const unfinishedJobs = await JobStore.list({ status: ACTIVE_STATUSES });
     
-    // Retry with backoff
-    const delay = CONFIG.POLL_INTERVAL_MS * Math.pow(CONFIG.BACKOFF_MULTIPLIER, attempt);
-    setTimeout(() => pollJobStatus(jobId, backendUrl, apiKey, attempt + 1), delay);
+    for (const job of unfinishedJobs) {
+      // Jobs the backend never accepted go back through the retry path
+      if (!job.backendJobId) {
+        const existingRetry = await chrome.alarms.get(RETRY_ALARM_PREFIX + job.id);
+        if (!existingRetry) {
+          console.log(`Resuming submission for job ${job.id}`);
+          chrome.alarms.create(RETRY_ALARM_PREFIX + job.id, { when: Date.now() + CONFIG.POLL_INTERVAL_MS });
+        }
+        continue;
+      }
+      
+      const existing = await chrome.alarms.get(POLL_ALARM_PREFIX + job.id);
+      if (!existing) {
+        console.log(`Resuming polling for job ${job.id} at attempt ${job.pollAttempts || 0}`);
+        schedulePoll(job.id, job.pollAttempts || 0);
+      }
+    }
+    
+    const queuedJobs = await JobStore.list({ status: 'queued' });
+    if (queuedJobs.length > 0) {
+      await ensureHealthCheck();
+    }
+    
+    await runScheduler();
+  } catch (error) {
+    console.error('Resume jobs error:', error);
   }
 }
 
@@ -229,7 +1284,9 @@ async function getJobStatus(jobId) {
       status: job.status,
       progress: job.progress,
       result: job.result,
-      error: job.error
+      error: job.error,
+      retries: job.retries,
+      nextRetryAt: job.nextRetryAt || null
     };
   } catch (error) {
     console.error('Get job status error:', error);
@@ -239,6 +1296,9 @@ async function getJobStatus(jobId) {
 
 /**
  * Cancel a job
+ * Asks the backend to stop the job via POST /lca/cancel/{job_id}. Backends
+ * that don't implement cancellation (404/405/501) or can't be reached still
+ * get the job cancelled locally, so polling stops either way.
  */
 async function cancelJob(jobId) {
   try {
@@ -248,13 +1308,28 @@ async function cancelJob(jobId) {
       throw new Error('Job not found');
     }
     
-    // Frontend-only cancel (no backend API for cancellation in spec)
-    job.status = 'error';
-    job.error = 'Cancelled by user';
-    job.updatedAt = new Date().toISOString();
-    await updateJob(job);
+    if (!CANCELLABLE_STATUSES.includes(job.status)) {
+      throw new Error(`Job is already ${job.status}`);
+    }
+    
+    // Waiting and queued jobs never reached the backend, so there is nothing to cancel there
+    const backendCancelled = ['waiting', 'queued'].includes(job.status) ? true : await requestBackendCancel(job);
+    
+    const updated = await updateJob(jobId, {
+      status: 'cancelled',
+      error: null,
+      cancelledAt: new Date().toISOString(),
+      backendCancelled
+    }, CANCELLABLE_STATUSES);
     
-    return { success: true };
+    if (!updated) {
+      throw new Error('Job finished before it could be cancelled');
+    }
+    await chrome.alarms.clear(POLL_ALARM_PREFIX + jobId);
+    await chrome.alarms.clear(RETRY_ALARM_PREFIX + jobId);
+    closeJobStream(jobId);
+    
+    return { success: true, backendCancelled };
   } catch (error) {
     console.error('Cancel job error:', error);
     throw error;
@@ -262,81 +1337,171 @@ async function cancelJob(jobId) {
 }
 
 /**
- * Get mock response for testing
+ * Send the cancel request to the backend
+ * @returns {Promise<boolean>} true if the backend confirmed the cancellation
+ */
+async function requestBackendCancel(job) {
+  const { backendUrl, apiKey } = await getBackendConfig(job);
+  
+  if (!backendUrl) {
+    return false;
+  }
+  
+  try {
+    const response = await backendFetch(backendUrl, `/lca/cancel/${job.backendJobId || job.id}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+    
+    if (response.ok) {
+      return true;
+    }
+    
+    if (![404, 405, 501].includes(response.status)) {
+      console.warn(`Backend cancel for job ${job.id} returned ${response.status}`);
+    }
+    return false;
+  } catch (error) {
+    console.warn(`Backend cancel for job ${job.id} failed, cancelling locally:`, error);
+    return false;
+  }
+}
+
+/**
+ * Get mock response for testing (the success fixture from _mock/)
  */
 async function getMockResponse() {
-  // Return hardcoded mock response
-  // In production, this could load from _mock/mock_response.json
+  const fixture = await MockBackend.loadFixture('mock_response.json');
+  const { result, warnings } = ResultSchema.normalize({ ...fixture, job_id: 'mock-' + Date.now() });
   return {
     success: true,
-    result: {
-      job_id: 'mock-' + Date.now(),
-      material: 'aluminium',
-      co2_kg: 123.45,
-      circularity_score: 67,
-      recycled_percent: 30,
-      recommendations: [
-        'Increase recycled content to 50% to reduce CO₂ emissions by 25%',
-        'Switch to renewable energy sources for production',
-        'Optimize transportation routes to reduce distance by 20%',
-        'Implement closed-loop recycling system'
-      ],
-      raw_json: {
-        material_composition: {
-          primary_material: 'aluminium',
-          alloy_type: '6061',
-          recycled_content: 30,
-          virgin_content: 70
-        },
-        energy_analysis: {
-          total_energy_kwh: 100,
-          renewable_percentage: 45,
-          grid_intensity_gco2_kwh: 400
-        },
-        transport_analysis: {
-          distance_km: 50,
-          mode: 'truck',
-          emissions_kg: 15.5
-        },
-        lifecycle_phases: {
-          extraction: 45.2,
-          processing: 52.8,
-          transport: 15.5,
-          use_phase: 0,
-          end_of_life: 10.0
-        }
-      }
-    }
+    result,
+    warnings
   };
 }
 
-// Job storage helpers
+// Job storage helpers (backed by JobStore in job_store.js)
 
 async function saveJob(job) {
-  const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-  jobs.push(job);
-  await chrome.storage.local.set({ jobs });
+  await JobStore.put(job);
 }
 
-async function updateJob(updatedJob) {
-  const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-  const index = jobs.findIndex(j => j.id === updatedJob.id);
+/**
+ * Apply changes to a stored job atomically.
+ * A job leaving the in-flight set frees a slot, so the scheduler runs again.
+ * @param {string} jobId - Job to update
+ * @param {Object} changes - Fields to merge into the job
+ * @param {string[]} onlyIf - Only write if the job is still in one of these statuses
+ * @returns {Promise<Object|null>} The updated job, or null if missing/skipped
+ */
+async function updateJob(jobId, changes, onlyIf = null) {
+  let wasInFlight = false;
+  
+  const updated = await JobStore.update(jobId, job => {
+    if (onlyIf && !onlyIf.includes(job.status)) {
+      return false;
+    }
+    wasInFlight = ACTIVE_STATUSES.includes(job.status);
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  });
   
-  if (index !== -1) {
-    jobs[index] = updatedJob;
-    await chrome.storage.local.set({ jobs });
+  if (updated && wasInFlight && !ACTIVE_STATUSES.includes(updated.status)) {
+    runScheduler();
   }
+  
+  return updated;
 }
 
 async function getJobById(jobId) {
-  const { jobs = [] } = await chrome.storage.local.get(['jobs']);
-  return jobs.find(j => j.id === jobId);
+  return JobStore.get(jobId);
 }
 
 // Utility functions
 
+/**
+ * Backend a job talks to: the one it was submitted to (mock jobs keep the mock
+ * backend), falling back to the configured URL. The API key always comes from
+ * settings, except for the mock backend.
+ */
+async function getBackendConfig(job) {
+  if (job.backendUrl === MockBackend.BASE_URL) {
+    return { backendUrl: MockBackend.BASE_URL, apiKey: MockBackend.API_KEY };
+  }
+  
+  const { backendUrl, apiKey } = await chrome.storage.local.get(['backendUrl', 'apiKey']);
+  return { backendUrl: job.backendUrl || backendUrl, apiKey };
+}
+
+/**
+ * fetch() a backend path; the mock backend is answered in-process. Only the
+ * fetch() call itself can fail with a network error: it is tagged here, so
+ * errors thrown by the code around it still fail the job.
+ */
+async function backendFetch(backendUrl, path, options = {}) {
+  if (backendUrl === MockBackend.BASE_URL) {
+    return MockBackend.fetch(path, options);
+  }
+  
+  try {
+    return await fetch(`${backendUrl}${path}`, options);
+  } catch (error) {
+    // Aborted requests (closed streams, ping timeouts) are not outages
+    if (error.name !== 'AbortError' && error.name !== 'TimeoutError') {
+      error.network = true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build an Error for a non-OK backend response, tagged with the HTTP status,
+ * whether it is worth retrying and any Retry-After delay
+ */
+function createBackendError(response, prefix) {
+  const error = new Error(`${prefix} ${response.status}${response.statusText ? ': ' + response.statusText : ''}`);
+  error.status = response.status;
+  error.transient = TRANSIENT_HTTP_STATUSES.includes(response.status);
+  error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+  return error;
+}
+
+/**
+ * The backend couldn't be reached at all (tagged by backendFetch)
+ */
+function isNetworkError(error) {
+  return error.network === true;
+}
+
+/**
+ * Network failures and tagged 5xx/429 are transient
+ */
+function isTransientError(error) {
+  return isNetworkError(error) || error.transient === true;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 function generateJobId() {
   return 'job-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
 }
 
+function generateBatchId() {
+  return 'batch-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
 console.log('LCA Service Worker loaded');
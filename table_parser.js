@@ -0,0 +1,125 @@
+// Table Parser - turns rows of cell text into structured datasheet tables
+// Shared by the content script (HTML tables and definition lists) and the
+// popup's PDF extractor (pdf_extract.js), so both send the same `tables` shape.
+// Numbers are read with Numbers (numbers.js), like backend results are.
+
+'use strict';
+
+const TableParser = (() => {
+  // Limits that keep layout tables and huge grids out of the payload
+  const MAX_TABLE_ROWS = 200;
+  const MAX_TABLE_COLUMNS = 20;
+
+  /**
+   * Build a table from rows of cell text.
+   * Two-column tables become key/value rows; wider tables become grids with
+   * one object per row, keyed by column header. Units are taken from headers
+   * like "Density (g/cm³)" or from the cells.
+   * @param {string[][]} rows - Cell text per row
+   * @param {Object} options - { explicitHeader: first row is known to be a header }
+   * @returns {Object|null} { kind, columns?, rows } or null if it isn't a data table
+   */
+  function fromRows(rows, { explicitHeader = false } = {}) {
+    rows = rows.filter(cells => cells.some(Boolean));
+
+    if (rows.length === 0 || rows.some(cells => cells.length > MAX_TABLE_COLUMNS)) return null;
+
+    const width = Math.max(...rows.map(cells => cells.length));
+
+    // Two columns: property / value pairs, minus any "Property | Value" header
+    if (width === 2) {
+      return fromPairs((explicitHeader ? rows.slice(1) : rows)
+        .filter(cells => cells.length === 2 && cells[0]));
+    }
+
+    if (rows.length < 2) return null;
+
+    // Otherwise a text-only first row above a row with numbers is a header too
+    const hasHeader = explicitHeader ||
+      (rows[0].every(text => !isNumeric(text)) && rows[1].some(text => isNumeric(text)));
+
+    const columns = rows[0].map((text, index) => {
+      const { label, unit } = splitUnit((hasHeader && text) || `Column ${index + 1}`);
+      return { name: label, unit };
+    });
+
+    const bodyRows = (hasHeader ? rows.slice(1) : rows).slice(0, MAX_TABLE_ROWS);
+    return {
+      kind: 'grid',
+      columns,
+      rows: bodyRows.map(cells => {
+        const row = {};
+        columns.forEach((column, index) => {
+          const text = cells[index] || '';
+          const { value, unit } = parseValue(text);
+          if (typeof value === 'number' && unit && !column.unit) {
+            column.unit = unit;
+          }
+          row[column.name] = typeof value === 'number' && (!unit || unit === column.unit) ? value : text;
+        });
+        return row;
+      })
+    };
+  }
+
+  /**
+   * Build a key/value table from [key, value] text pairs
+   */
+  function fromPairs(pairs) {
+    return {
+      kind: 'key_value',
+      rows: pairs.slice(0, MAX_TABLE_ROWS).map(([key, value]) => parseKeyValue(key, value))
+    };
+  }
+
+  /**
+   * One key/value row; the unit comes from the value or from the key
+   */
+  function parseKeyValue(keyText, valueText) {
+    const { label, unit: keyUnit } = splitUnit(keyText.replace(/:$/, ''));
+    const { value, unit } = parseValue(valueText);
+    return { key: label, value, unit: unit || (typeof value === 'number' ? keyUnit : null), text: valueText };
+  }
+
+  /**
+   * Split "Density (g/cm³)", "Tensile strength [MPa]" or "Elongation in %"
+   * into label and unit
+   */
+  function splitUnit(text) {
+    const bracketed = text.match(/^(.*?)\s*[([]\s*([^)\]]{1,12})\s*[)\]]$/);
+    if (bracketed && bracketed[1]) {
+      return { label: bracketed[1].trim(), unit: bracketed[2].trim() };
+    }
+    const suffixed = text.match(/^(.*?)\s+in\s+(%|[a-zA-Zµ°/²³]{1,8})$/);
+    if (suffixed) {
+      return { label: suffixed[1].trim(), unit: suffixed[2] };
+    }
+    return { label: text.trim(), unit: null };
+  }
+
+  /**
+   * "2,70 g/cm³" → { value: 2.7, unit: 'g/cm³' }; anything else, including
+   * ambiguous numbers like "1,200", stays text
+   */
+  function parseValue(text) {
+    const match = text.match(/^([-+]?\d[\d.,]*)\s*(%|[a-zA-Zµ°][a-zA-Z0-9µ°/²³·.]*)?$/);
+    if (!match) {
+      return { value: text, unit: null };
+    }
+
+    const number = Numbers.parse(match[1]);
+    return Number.isNaN(number) ? { value: text, unit: null } : { value: number, unit: match[2] || null };
+  }
+
+  function isNumeric(text) {
+    return typeof parseValue(text).value === 'number';
+  }
+
+  return {
+    MAX_TABLE_COLUMNS,
+    fromRows,
+    fromPairs,
+    parseValue,
+    splitUnit
+  };
+})();
@@ -0,0 +1,96 @@
+// In-memory stand-in for the chrome.* extension APIs the scripts use.
+// Storage areas, alarms and context menus keep state the tests can inspect;
+// events record their listeners so tests can fire them.
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+function createStorageArea(data) {
+  return {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(data);
+
+      const defaults = typeof keys === 'string' ? { [keys]: undefined }
+        : Array.isArray(keys) ? Object.fromEntries(keys.map(key => [key, undefined]))
+        : keys;
+      const items = {};
+      Object.entries(defaults).forEach(([key, fallback]) => {
+        const value = key in data ? data[key] : fallback;
+        if (value !== undefined) items[key] = structuredClone(value);
+      });
+      return items;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  };
+}
+
+/**
+ * @param {Object} options - { local, session } initial storage contents
+ */
+export function createChrome({ local = {}, session = {} } = {}) {
+  const alarms = new Map();
+  const menuItems = new Map();
+  const menuErrors = [];
+
+  return {
+    alarms: {
+      all: alarms,
+      create: (name, info) => { alarms.set(name, info); },
+      clear: async name => alarms.delete(name),
+      get: async name => alarms.has(name) ? { name, ...alarms.get(name) } : undefined,
+      onAlarm: createEvent()
+    },
+    runtime: {
+      id: 'test-extension',
+      getURL: path => `chrome-extension://test-extension/${path}`,
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent()
+    },
+    contextMenus: {
+      items: menuItems,
+      // Like Chrome, a duplicate id is reported (as runtime.lastError) rather than thrown
+      errors: menuErrors,
+      create: (item, callback) => {
+        if (menuItems.has(item.id)) {
+          menuErrors.push(`Cannot create item with duplicate id ${item.id}`);
+        } else {
+          menuItems.set(item.id, item);
+        }
+        if (callback) callback();
+      },
+      removeAll: async () => { menuItems.clear(); },
+      onClicked: createEvent()
+    },
+    action: {
+      setBadgeText: async () => {},
+      setBadgeBackgroundColor: async () => {},
+      openPopup: async () => {}
+    },
+    storage: {
+      local: createStorageArea(local),
+      session: createStorageArea(session)
+    },
+    tabs: {
+      sendMessage: async () => ({})
+    },
+    scripting: {
+      executeScript: async () => []
+    },
+    windows: {
+      create: async () => ({})
+    }
+  };
+}
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './sandbox.js';
+
+const { Circularity } = load(['circularity.js']);
+
+const LINEAR = {
+  recycled_input: 0,
+  reused_input: 0,
+  collection_rate: 0,
+  reuse_rate: 0,
+  recycling_yield: 1,
+  feedstock_yield: 1,
+  lifetime_ratio: 1,
+  intensity_ratio: 1
+};
+
+describe('Circularity.calculate', () => {
+  it('scores a fully linear product 0.1 and a fully circular one 1', () => {
+    const linear = Circularity.calculate(LINEAR);
+    assert.equal(linear.lfi, 1);
+    assert.equal(linear.utility_factor, 0.9);
+    assert.equal(linear.mci, 0.1);
+
+    const circular = Circularity.calculate({ ...LINEAR, recycled_input: 1, collection_rate: 1 });
+    assert.equal(circular.lfi, 0);
+    assert.equal(circular.mci, 1);
+  });
+
+  it('halves the virgin input and waste with half recycled in and half collected', () => {
+    const half = Circularity.calculate({ ...LINEAR, recycled_input: 0.5, collection_rate: 0.5 });
+
+    assert.equal(half.virgin_input, 0.5);
+    assert.equal(half.waste, 0.5);
+    assert.equal(half.mci, 0.55);
+  });
+
+  it('counts the waste of making recycled feedstock and of recycling at end of life', () => {
+    // W = 1 + (W_F 0.5) / 2, LFI = (0.5 + 1.25) / (2 + 0.5 / 2)
+    const lossyFeedstock = Circularity.calculate({ ...LINEAR, recycled_input: 0.5, feedstock_yield: 0.5 });
+    assert.equal(lossyFeedstock.waste, 1.25);
+    assert.equal(lossyFeedstock.mci, 0.3);
+
+    // W = 0 + (W_C 0.5) / 2, LFI = (1 + 0.25) / (2 - 0.5 / 2)
+    const lossyRecycling = Circularity.calculate({ ...LINEAR, collection_rate: 1, recycling_yield: 0.5 });
+    assert.equal(lossyRecycling.waste, 0.25);
+    assert.equal(lossyRecycling.lfi, 0.714);
+  });
+
+  it('scales the linear flow by the utility factor', () => {
+    assert.equal(Circularity.calculate({ ...LINEAR, lifetime_ratio: 2 }).mci, 0.55);
+    assert.equal(Circularity.calculate({ ...LINEAR, lifetime_ratio: 0.5 }).mci, 0);
+  });
+
+  it('keeps inputs in range', () => {
+    const { inputs } = Circularity.calculate({
+      ...LINEAR,
+      recycled_input: 1.4,
+      reused_input: 0.3,
+      collection_rate: -1,
+      feedstock_yield: 0,
+      lifetime_ratio: 'n/a'
+    });
+
+    assert.equal(inputs.recycled_input, 1);
+    assert.equal(inputs.reused_input, 0);
+    assert.equal(inputs.collection_rate, 0);
+    assert.equal(inputs.feedstock_yield, 0.01);
+    assert.equal(inputs.lifetime_ratio, 1);
+  });
+});
+
+describe('Circularity.inputsFor', () => {
+  it('takes recycled content from the LCA inputs and the rest from material defaults', () => {
+    const inputs = Circularity.inputsFor({ material: 'steel', recycled_percent: 40 }, { lifetime_ratio: '2', unknown: 5 });
+
+    assert.equal(inputs.recycled_input, 0.4);
+    assert.equal(inputs.collection_rate, Circularity.MATERIAL_DEFAULTS.steel.collection_rate);
+    assert.equal(inputs.lifetime_ratio, 2);
+    assert.ok(!('unknown' in inputs));
+    assert.equal(Circularity.inputsFor({ material: 'balsa' }).collection_rate, Circularity.MATERIAL_DEFAULTS.other.collection_rate);
+  });
+
+  it('weights the recycled content of components by mass', () => {
+    const inputs = Circularity.inputsFor({
+      recycled_percent: 90,
+      components: [
+        { mass_kg: 3, recycled_percent: 100 },
+        { mass_kg: 1, recycled_percent: 0 },
+        { mass_kg: 0, recycled_percent: 0 }
+      ]
+    });
+
+    assert.equal(inputs.recycled_input, 0.75);
+  });
+});
+
+describe('Circularity.compare', () => {
+  const local = Circularity.calculate({ ...LINEAR, recycled_input: 0.3, collection_rate: 0.5 });
+
+  it('explains the gap by the inputs the backend reports', () => {
+    const backend = Circularity.calculate({ ...local.inputs, recycled_input: 0.8, lifetime_ratio: 1.5 });
+    const check = Circularity.compare(local, {
+      raw_json: {
+        circularity_metrics: {
+          material_circularity_indicator: backend.mci,
+          recycled_input_rate: 0.8,
+          end_of_life_recovery_rate: 0.5,
+          utility_factor: backend.utility_factor
+        }
+      }
+    });
+
+    assert.equal(check.backend_mci, backend.mci);
+    assert.equal(check.difference, Math.round((backend.mci - local.mci) * 1000) / 1000);
+    assert.equal(check.flagged, true);
+    assert.deepEqual([...check.explanations].map(explanation => explanation.field), ['recycled_input', 'lifetime_ratio']);
+    assert.equal(check.explanations[0].effect, 0.225);
+    assert.equal(check.explanations[1].backend, backend.utility_factor);
+    assert.equal(check.unexplained, 0);
+
+    const lines = Circularity.explain(check);
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0], 'Recycled input: backend 80% vs 30% here (+0.23 MCI)');
+    assert.equal(lines[1], 'Utility factor: backend 0.60 vs 0.90 here (+0.18 MCI)');
+  });
+
+  it('falls back to the circularity score and reports what the inputs leave unexplained', () => {
+    const check = Circularity.compare(local, { circularity_score: local.mci * 100 + 5 });
+
+    assert.equal(check.flagged, false);
+    assert.equal(check.explanations.length, 0);
+    assert.equal(check.unexplained, 0.05);
+    assert.match(Circularity.explain(check)[0], /^\+0\.05 MCI not explained/);
+  });
+
+  it('needs a backend MCI', () => {
+    assert.equal(Circularity.compare(local, { co2_kg: 1 }), null);
+    assert.equal(Circularity.compare(null, { circularity_score: 50 }), null);
+    assert.equal(Circularity.explain(null).length, 0);
+  });
+});
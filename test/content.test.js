@@ -0,0 +1,160 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentScripts } from './content_env.js';
+
+// A datasheet whose first section is hidden, so removing it shifts the
+// :nth-of-type positions of the sections after it
+const SHEET = `
+  <main>
+    <section class="hidden"><h2>Discontinued grade</h2><p>Aluminium 6063-T5, no longer stocked.</p></section>
+    <section>
+      <h2>Specifications</h2>
+      <p class="advertisement">Summer sale on all extrusions!</p>
+      <p>Aluminium 6061-T6 extrusion, density 2.70 g/cm3, 75 % recycled content.</p>
+      <p>Price list valid until the end of the month.</p>
+    </section>
+    <section><h2>Reviews</h2><p>Great service, fast delivery of the profiles.</p></section>
+  </main>`;
+
+function withPicks(picks) {
+  return { local: { pickedSelectors: { 'supplier.example': { updatedAt: new Date().toISOString(), ...picks } } } };
+}
+
+describe('picked regions', () => {
+  it('reads the picked region even when a sibling before it is filtered out', async () => {
+    const { window } = loadContentScripts(SHEET, withPicks({
+      include: ['body > main > section:nth-of-type(2)'],
+      exclude: ['body > main > section:nth-of-type(2) > p:nth-of-type(3)']
+    }));
+
+    const { raw_text, content_report, picked_regions } = await window.lcaExtractor.extractPageContent();
+
+    assert.match(raw_text, /Specifications/);
+    assert.match(raw_text, /6061-T6/);
+    assert.doesNotMatch(raw_text, /Price list|Reviews|Discontinued|Summer sale/);
+    assert.equal(content_report.method, 'picked');
+    assert.equal(picked_regions.include, 1);
+    assert.equal(picked_regions.exclude, 1);
+  });
+
+  it('excludes the picked block, not the one that moves into its place', async () => {
+    const { window } = loadContentScripts(SHEET, withPicks({
+      include: [],
+      exclude: ['body > main > section:nth-of-type(3)']
+    }));
+
+    const { raw_text } = await window.lcaExtractor.extractPageContent();
+
+    assert.match(raw_text, /6061-T6/);
+    assert.doesNotMatch(raw_text, /Reviews|Discontinued/);
+  });
+});
+
+describe('site rules', () => {
+  const PRODUCT = `
+    <div class="layout">
+      <article>
+        <h1>Aluminium flat bar 6082-T6</h1>
+        <p>Flat bar in 6082-T6, mill finish, 30 % recycled content, made in Europe.</p>
+        <p class="price">Price per metre: 12.40 EUR excluding delivery.</p>
+        <div class="related"><p>Customers also bought: steel angle, copper busbar.</p></div>
+      </article>
+      <aside><p>Newsletter: sign up for weekly offers on metals.</p></aside>
+    </div>`;
+  const RULE = {
+    id: 'supplier',
+    name: 'Supplier',
+    domains: ['supplier.example'],
+    include: ['article'],
+    exclude: ['.related'],
+    fields: { product_name: 'h1' },
+    pageType: 'technical_datasheet'
+  };
+
+  it('reads the rule\'s content areas, fields and page type', async () => {
+    const { window } = loadContentScripts(PRODUCT, { url: 'https://www.supplier.example/bar', local: { extractionRules: [RULE] } });
+
+    const pageData = await window.lcaExtractor.extractPageContent();
+
+    assert.match(pageData.raw_text, /mill finish/);
+    assert.match(pageData.raw_text, /Price per metre/);
+    assert.doesNotMatch(pageData.raw_text, /Customers also bought|Newsletter/);
+    assert.equal(pageData.fields.product_name, 'Aluminium flat bar 6082-T6');
+    assert.equal(pageData.page_type, 'technical_datasheet');
+    assert.equal(pageData.extraction_rule, 'supplier');
+    assert.equal(pageData.content_report.method, 'rule');
+  });
+
+  it('adds picked excludes to the rule and lets picked includes replace its own', async () => {
+    const { window } = loadContentScripts(PRODUCT, {
+      local: { extractionRules: [RULE], ...withPicks({ include: [], exclude: ['.price'] }).local }
+    });
+    const layered = await window.lcaExtractor.extractPageContent();
+
+    assert.match(layered.raw_text, /mill finish/);
+    assert.doesNotMatch(layered.raw_text, /Price per metre|Customers also bought/);
+    assert.equal(layered.content_report.method, 'rule');
+
+    const picked = loadContentScripts(PRODUCT, {
+      local: { extractionRules: [RULE], ...withPicks({ include: ['aside'], exclude: [] }).local }
+    });
+    const replaced = await picked.window.lcaExtractor.extractPageContent();
+
+    assert.match(replaced.raw_text, /Newsletter/);
+    assert.doesNotMatch(replaced.raw_text, /mill finish/);
+    assert.equal(replaced.content_report.method, 'picked');
+    assert.equal(replaced.extraction_rule, 'supplier');
+  });
+
+  it('reports blocks the rule and the picks removed', async () => {
+    const { window } = loadContentScripts(PRODUCT, {
+      local: { extractionRules: [RULE], ...withPicks({ include: [], exclude: ['.price'] }).local }
+    });
+
+    const { content_report } = await window.lcaExtractor.extractPageContent();
+
+    const reasons = [...content_report.dropped].map(block => block.reason).sort();
+    assert.deepEqual(reasons, ['picked', 'site rule']);
+  });
+});
+
+// Lets the picker finish loading its saved picks
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('element picker', () => {
+  const SPECS = `
+    <main>
+      <h1>Copper busbar C11000</h1>
+      <div class="spec"><p>Dimensions: 10 x 100 mm, lengths up to 4 m, tin plated on request.</p></div>
+      <div class="spec"><p>Cu-ETP copper, 100 % IACS conductivity, 45 % recycled content.</p><p class="note">Ask for a quote today.</p></div>
+      <div class="spec"><p>Reviews: five stars from 23 customers who bought this busbar.</p></div>
+    </main>`;
+
+  it('stores picked regions for the site and the next scan reads only them', async () => {
+    const { window, chrome } = loadContentScripts(SPECS, { scripts: ['element_picker.js'] });
+    const { document } = window;
+    await settle();
+    const pick = (el) => {
+      el.dispatchEvent(new window.MouseEvent('mousemove', { bubbles: true }));
+      el.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+    };
+    const [, material] = document.querySelectorAll('div.spec');
+
+    pick(material);
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'e', bubbles: true }));
+    pick(material.querySelector('.note'));
+    const toolbar = document.documentElement.lastElementChild.shadowRoot;
+    toolbar.querySelector('.save').click();
+    await settle();
+
+    const saved = chrome.storage.local.data.pickedSelectors['supplier.example'];
+    assert.deepEqual([...saved.include], ['div.spec:nth-of-type(2)']);
+    assert.equal(saved.exclude.length, 1);
+    assert.equal(document.querySelector(saved.exclude[0]), material.querySelector('.note'));
+
+    const { raw_text } = await window.lcaExtractor.extractPageContent();
+    assert.match(raw_text, /IACS conductivity/);
+    assert.doesNotMatch(raw_text, /Dimensions|Reviews|Ask for a quote/);
+    window.close();
+  });
+});
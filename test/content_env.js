@@ -0,0 +1,45 @@
+// Loads the content scripts, in manifest order, into a jsdom page against the
+// chrome stub. They share the page's global scope like scripts injected by
+// the browser do, so their top-level consts are read back by name.
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { JSDOM } from 'jsdom';
+import { createChrome } from './chrome_stub.js';
+
+const ROOT = new URL('../', import.meta.url);
+const MANIFEST = JSON.parse(readFileSync(new URL('manifest.json', ROOT), 'utf8'));
+
+const quietConsole = { ...console, log() {} };
+
+// jsdom has no CSS.escape: backslash-escape what isn't an identifier
+// character, and a leading digit as a code point, as browsers do
+function cssEscape(value) {
+  return String(value)
+    .replace(/[^\w\u00a0-\uffff-]/g, char => `\\${char}`)
+    .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `);
+}
+
+/**
+ * @param {string} html - Page markup
+ * @param {Object} options - { url, local, scripts }: page URL, storage contents
+ *   and scripts the popup injects on demand (element_picker.js), run last
+ * @returns {Object} { window, chrome, page } - page resolves page globals
+ */
+export function loadContentScripts(html, { url = 'https://supplier.example/sheet', local = {}, scripts = [] } = {}) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const chrome = createChrome({ local });
+  window.chrome = chrome;
+  window.console = quietConsole;
+  window.CSS = { escape: cssEscape };
+
+  const context = dom.getInternalVMContext();
+  const run = (file) => vm.runInContext(readFileSync(new URL(file, ROOT), 'utf8'), context, { filename: file });
+  [...MANIFEST.content_scripts[0].js, ...scripts].forEach(run);
+
+  const page = new Proxy(window, {
+    get: (target, name) => vm.runInContext(String(name), context)
+  });
+  return { window, chrome, page };
+}
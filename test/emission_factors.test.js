@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './sandbox.js';
+
+const { EmissionFactors } = load(['emission_factors.js']);
+
+const INPUTS = { material: 'aluminium', recycled_percent: 50, energy_kwh: 10, transport_km: 1000 };
+
+describe('EmissionFactors.estimate', () => {
+  it('mixes primary and secondary factors and adds energy and transport', () => {
+    const estimate = EmissionFactors.estimate(INPUTS, { grid: 'eu', transport_mode: 'rail', mass_kg: 2 });
+    const phases = estimate.lifecycle_phases;
+
+    assert.equal(phases.extraction.co2_kg, 2 * (0.5 * 2.3 + 0.5 * 0.1));
+    assert.equal(phases.processing.co2_kg, 2 * (0.5 * 13.8 + 0.5 * 0.45) + 10 * 0.25);
+    assert.equal(phases.transport.co2_kg, 2 / 1000 * 1000 * 0.028);
+    assert.equal(phases.end_of_life.co2_kg, 0.08);
+    assert.equal(phases.use_phase.co2_kg, 0);
+    assert.equal(estimate.co2_kg, 19.286);
+    assert.equal(estimate.library_version, EmissionFactors.VERSION);
+  });
+
+  it('falls back to the default grid, transport mode and generic metal', () => {
+    const { assumptions } = EmissionFactors.estimate({ material: 'unobtainium' }, { grid: 'mars', transport_mode: 'teleport', mass_kg: 1 });
+    assert.equal(assumptions.material, 'other');
+    assert.equal(assumptions.grid, EmissionFactors.DEFAULTS.grid);
+    assert.equal(assumptions.transport_mode, EmissionFactors.DEFAULTS.transport_mode);
+  });
+
+  it('uses a custom grid factor', () => {
+    const estimate = EmissionFactors.estimate({ energy_kwh: 100 }, { grid_factor: 0.1, mass_kg: 1 });
+    assert.equal(estimate.assumptions.grid_factor, 0.1);
+    assert.match(estimate.lifecycle_phases.processing.notes, /custom mix/);
+  });
+
+  it('marks the estimate as per kg when no mass is declared', () => {
+    const perKg = EmissionFactors.estimate(INPUTS);
+    const declared = EmissionFactors.estimate(INPUTS, { mass_kg: 1 });
+
+    assert.equal(perKg.assumptions.mass_declared, false);
+    assert.equal(declared.assumptions.mass_declared, true);
+    assert.equal(perKg.co2_kg, declared.co2_kg);
+  });
+
+  it('costs each component of a bill of materials', () => {
+    const estimate = EmissionFactors.estimate({
+      energy_kwh: 10,
+      transport_km: 100,
+      components: [
+        { name: 'Frame', material: 'steel', mass_kg: 3, recycled_percent: 100, process: 'forging' },
+        { name: 'Cable', material: 'copper', mass_kg: 1 },
+        { name: 'Label', mass_kg: 0 }
+      ]
+    });
+
+    assert.equal(estimate.assumptions.material, 'components');
+    assert.equal(estimate.assumptions.mass_kg, 4);
+    assert.equal(estimate.assumptions.mass_declared, true);
+    assert.deepEqual(estimate.components.map(component => component.name), ['Frame', 'Cable']);
+    const sum = estimate.components.reduce((total, component) => total + component.co2_kg, 0);
+    assert.ok(Math.abs(sum - estimate.co2_kg) < 0.01);
+  });
+});
+
+describe('EmissionFactors.compare', () => {
+  const preliminary = EmissionFactors.estimate(INPUTS, { mass_kg: 1 });
+
+  it('flags totals and sizeable phases that differ by half or more', () => {
+    const check = EmissionFactors.compare(preliminary, {
+      co2_kg: preliminary.co2_kg * 2,
+      raw_json: {
+        lifecycle_phases: {
+          extraction: { co2_kg: preliminary.lifecycle_phases.extraction.co2_kg },
+          processing: { co2_kg: preliminary.lifecycle_phases.processing.co2_kg * 2 },
+          // Under 5% of the estimate, so not flagged however far off
+          transport: { co2_kg: preliminary.lifecycle_phases.transport.co2_kg * 3 }
+        }
+      }
+    });
+
+    assert.equal(check.difference_percent, 100);
+    assert.equal(check.flagged, true);
+    assert.equal(check.phases.extraction.flagged, false);
+    assert.equal(check.phases.processing.flagged, true);
+    assert.equal(check.phases.transport.flagged, false);
+    assert.ok(!('end_of_life' in check.phases));
+  });
+
+  it('accepts a close result', () => {
+    const check = EmissionFactors.compare(preliminary, { co2_kg: preliminary.co2_kg * 1.2 });
+    assert.equal(check.flagged, false);
+  });
+
+  it('does not compare a per-kg estimate with a product total', () => {
+    assert.equal(EmissionFactors.compare(EmissionFactors.estimate(INPUTS), { co2_kg: 123.45 }), null);
+  });
+
+  it('needs a backend total', () => {
+    assert.equal(EmissionFactors.compare(preliminary, { co2_kg: null }), null);
+    assert.equal(EmissionFactors.compare(null, { co2_kg: 1 }), null);
+  });
+});
+
+describe('EmissionFactors.breakdown', () => {
+  const preliminary = EmissionFactors.estimate({
+    components: [{ name: 'A', material: 'steel', mass_kg: 1 }, { name: 'B', material: 'steel', mass_kg: 3 }]
+  });
+
+  it('prefers the backend components', () => {
+    const breakdown = EmissionFactors.breakdown({
+      co2_kg: 10,
+      components: [{ name: 'A', co2_kg: 4 }, { name: 'B', co2_kg: 6, circularity_score: 50 }]
+    }, preliminary);
+
+    assert.equal(breakdown.source, 'backend');
+    assert.equal(breakdown.components[1].share_percent, 60);
+    assert.equal(breakdown.components[1].circularity_score, 50);
+  });
+
+  it('shares the backend total out like the estimate otherwise', () => {
+    const breakdown = EmissionFactors.breakdown({ co2_kg: 100 }, preliminary);
+
+    assert.equal(breakdown.source, 'estimate');
+    assert.equal(breakdown.components[0].co2_kg, 25);
+    assert.equal(breakdown.components[1].share_percent, 75);
+  });
+
+  it('has nothing to show for a single material', () => {
+    assert.equal(EmissionFactors.breakdown({ co2_kg: 100 }, EmissionFactors.estimate(INPUTS)), null);
+  });
+});
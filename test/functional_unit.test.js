@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './sandbox.js';
+
+const { FunctionalUnit } = load(['numbers.js', 'result_schema.js', 'functional_unit.js']);
+
+describe('FunctionalUnit.declared', () => {
+  it('takes the mass from mass units and from mass_kg otherwise', () => {
+    assert.equal(FunctionalUnit.declared({ functional_unit: 'kg', quantity: 250 }).mass_kg, 250);
+    assert.equal(FunctionalUnit.declared({ functional_unit: 't', quantity: 2.5, mass_kg: 1 }).mass_kg, 2500);
+    assert.equal(FunctionalUnit.declared({ functional_unit: 'piece', quantity: 100, mass_kg: 12 }).mass_kg, 12);
+    assert.equal(FunctionalUnit.declared({ functional_unit: 'm2', quantity: 40 }).mass_kg, null);
+  });
+
+  it('assumes 1 kg for jobs without a functional unit', () => {
+    const unit = FunctionalUnit.declared({ material: 'steel', quantity: 5 });
+
+    assert.equal(unit.assumed, true);
+    assert.equal(unit.functional_unit, 'kg');
+    assert.equal(unit.quantity, 5);
+    assert.equal(FunctionalUnit.declared().mass_kg, 1);
+  });
+
+  it('falls back to a quantity of one', () => {
+    assert.equal(FunctionalUnit.declared({ functional_unit: 'piece', quantity: -3 }).quantity, 1);
+    assert.equal(FunctionalUnit.declared({ functional_unit: 'piece', quantity: 'many' }).quantity, 1);
+  });
+});
+
+describe('FunctionalUnit.normalize', () => {
+  it('divides the total by the quantity and the mass', () => {
+    const intensity = FunctionalUnit.normalize({ co2_kg: 300 }, { functional_unit: 'piece', quantity: 100, mass_kg: 40 });
+
+    assert.equal(intensity.co2_per_unit, 3);
+    assert.equal(intensity.co2_per_kg, 7.5);
+    assert.equal(intensity.unit_label, 'per piece');
+    assert.equal(intensity.assumed, false);
+  });
+
+  it('converts tonnes to kilograms', () => {
+    const intensity = FunctionalUnit.normalize({ co2_kg: 8200 }, { functional_unit: 't', quantity: 2 });
+
+    assert.equal(intensity.co2_per_unit, 4100);
+    assert.equal(intensity.co2_per_kg, 4.1);
+  });
+
+  it('has no per-kg figure without a mass, and nothing without a total', () => {
+    assert.equal(FunctionalUnit.normalize({ co2_kg: 90 }, { functional_unit: 'm2', quantity: 30 }).co2_per_kg, null);
+    assert.equal(FunctionalUnit.normalize({ co2_kg: null }, { functional_unit: 'kg' }), null);
+    assert.equal(FunctionalUnit.normalize(null, {}), null);
+  });
+});
+
+describe('FunctionalUnit.forJob', () => {
+  it('prefers the stored intensity and works it out for older jobs', () => {
+    const stored = { co2_per_unit: 1, functional_unit: 'kg' };
+    assert.equal(FunctionalUnit.forJob({ intensity: stored, result: { co2_kg: 5 } }), stored);
+
+    const older = FunctionalUnit.forJob({
+      result: { material: 'steel', co2_kg: '1,5 t' },
+      payload: { user_inputs: { functional_unit: 'piece', quantity: 10, mass_kg: 50 } }
+    });
+    assert.equal(older.co2_per_unit, 150);
+    assert.equal(older.co2_per_kg, 30);
+
+    assert.equal(FunctionalUnit.forJob({ status: 'running', result: null }), null);
+  });
+});
+
+describe('FunctionalUnit.format', () => {
+  it('shows the per-unit figure, and per kg for units that are not mass', () => {
+    const format = (result, inputs) => FunctionalUnit.format(FunctionalUnit.normalize(result, inputs));
+
+    assert.equal(format({ co2_kg: 41.149 }, { functional_unit: 'kg' }), '41.15 kg CO₂e per kg');
+    assert.equal(format({ co2_kg: 8200 }, { functional_unit: 't', quantity: 2 }), '4100.00 kg CO₂e per tonne · 4.10 per kg');
+    assert.equal(format({ co2_kg: 90 }, { functional_unit: 'm2', quantity: 30 }), '3.00 kg CO₂e per m²');
+    assert.equal(FunctionalUnit.format(null), '—');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './sandbox.js';
+
+const { Grades } = load(['grades.js']);
+
+const detect = (raw_text, title = '') => [...Grades.detect({ title, raw_text })];
+const ids = (raw_text) => detect(raw_text).map(grade => grade.id);
+
+describe('Grades.detect', () => {
+  it('reports every designation of one grade under a single identifier', () => {
+    const [grade, ...others] = detect(
+      'Extrusion in 6061-T6 (EN AW-6061, AA 6061). Also listed as UNS A96061 and W.-Nr. 3.3211.'
+    );
+
+    assert.equal(others.length, 0);
+    assert.equal(grade.id, 'AA 6061');
+    assert.equal(grade.temper, 'T6');
+    assert.equal(grade.base_metal, 'aluminium');
+    assert.equal(grade.count, 5);
+    assert.equal(grade.known, true);
+    assert.deepEqual([...grade.matched].sort(), ['3.3211', '6061-T6', 'AA 6061', 'EN AW-6061', 'UNS A96061']);
+  });
+
+  it('cross-references steel and copper designations', () => {
+    assert.deepEqual(ids('AISI 316L / 1.4404 / X2CrNiMo17-12-2 / 316L tube'), ['AISI 316L']);
+    assert.deepEqual(ids('Cu-ETP (CW004A, C11000) busbar'), ['UNS C11000']);
+    assert.deepEqual(ids('Beams in S355J2+N, formerly St52-3'), ['EN S355J2']);
+    assert.deepEqual(ids('42CrMo4 shafts, C45 steel pins'), ['EN 42CrMo4', 'EN C45']);
+  });
+
+  it('recognises designations missing from the cross-reference by their pattern', () => {
+    const grades = detect('Duplex UNS S32750, W.-Nr. 1.4539 and EN AW-6005A-T5 profiles');
+    const byId = Object.fromEntries(grades.map(grade => [grade.id, grade]));
+
+    assert.equal(byId['UNS S32750'].family, 'stainless steel');
+    assert.equal(byId['EN 1.4539'].family, 'stainless steel');
+    assert.equal(byId['EN AW-6005A'].base_metal, 'aluminium');
+    assert.equal(byId['EN AW-6005A'].temper, 'T5');
+    assert.ok(grades.every(grade => !grade.known));
+  });
+
+  it('ignores numbers that only look like grades', () => {
+    assert.deepEqual(ids('Results for 2024 H1, catalogue page 1.2345, C45 connector, order S12345'), []);
+  });
+
+  it('lists the most mentioned grade first, with the text around its first mention', () => {
+    const grades = detect('Frame: 304 stainless. Fasteners in AISI 316, 316 washers per AISI 316.', 'Product sheet');
+
+    assert.deepEqual(grades.map(grade => grade.id), ['AISI 316', 'AISI 304']);
+    assert.equal(grades[0].count, 2);
+    assert.match(grades[1].snippet, /^Product sheet Frame: 304 stainless/);
+  });
+});
+
+describe('Grades formatting', () => {
+  it('labels a grade with its temper and lists its cross-references', () => {
+    const [grade] = detect('5083 H111 plate');
+
+    assert.equal(Grades.label(grade), '5083-H111');
+    assert.equal(Grades.formatStandards(grade), 'AA 5083 · EN AW-5083 · EN AW-AlMg4.5Mn0.7 · UNS A95083 · DIN 3.3547');
+    assert.equal(Grades.lookup('en', '1.4301').aisi, '304');
+    assert.equal(Grades.lookup('aisi', '999'), null);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { createChrome } from './chrome_stub.js';
+import { load } from './sandbox.js';
+
+const DAY = 86400000;
+const quietConsole = { ...console, log() {} };
+
+/**
+ * A JobStore on its own context; pass the same indexedDB to share a database
+ * the way the service worker and the extension pages do
+ */
+function loadJobStore({ local = {}, indexedDB = new IDBFactory(), navigator = {} } = {}) {
+  const chrome = createChrome({ local });
+  const { JobStore } = load(['job_store.js'], { chrome, indexedDB, navigator, console: quietConsole });
+  return { JobStore, chrome, indexedDB };
+}
+
+function job(id, { ageDays = 0, ...fields } = {}) {
+  const createdAt = new Date(Date.now() - ageDays * DAY).toISOString();
+  return { id, url: 'https://supplier.example/', status: 'done', createdAt, updatedAt: createdAt, ...fields };
+}
+
+describe('JobStore migration', () => {
+  it('moves the legacy storage array into IndexedDB once', async () => {
+    const { JobStore, chrome } = loadJobStore({
+      local: { jobs: [job('a'), job('b', { status: 'running' }), null, { status: 'done' }] }
+    });
+
+    const jobs = await JobStore.list();
+
+    assert.deepEqual(jobs.map(stored => stored.id).sort(), ['a', 'b']);
+    assert.equal((await JobStore.get('b')).status, 'running');
+    assert.ok(!('jobs' in chrome.storage.local.data));
+  });
+
+  it('never overwrites a job another context already stored', async () => {
+    const first = loadJobStore();
+    await first.JobStore.put(job('a', { status: 'done', result: { co2_kg: 1 } }));
+
+    const second = loadJobStore({ indexedDB: first.indexedDB, local: { jobs: [job('a', { status: 'pending' })] } });
+
+    assert.equal((await second.JobStore.get('a')).status, 'done');
+  });
+});
+
+describe('JobStore queries', () => {
+  it('lists newest first and filters by status, batch, URL and fingerprint', async () => {
+    const { JobStore } = loadJobStore();
+    await JobStore.put(job('old', { ageDays: 2, batchId: 'batch-1', fingerprint: 'f1' }));
+    await JobStore.put(job('new', { status: 'error', batchId: 'batch-1' }));
+    await JobStore.put(job('other', { ageDays: 1, status: 'running', url: 'https://other.example/' }));
+
+    const ids = async (filter) => [...await JobStore.list(filter)].map(stored => stored.id);
+    assert.deepEqual(await ids(), ['new', 'other', 'old']);
+    assert.deepEqual(await ids({ status: ['done', 'error'] }), ['new', 'old']);
+    assert.deepEqual(await ids({ batchId: 'batch-1', status: 'done' }), ['old']);
+    assert.deepEqual(await ids({ url: 'https://other.example/' }), ['other']);
+    assert.deepEqual(await ids({ fingerprint: 'f1' }), ['old']);
+  });
+
+  it('updates in place, or skips the write when the mutator returns false', async () => {
+    const { JobStore } = loadJobStore();
+    await JobStore.put(job('a', { status: 'running' }));
+
+    const updated = await JobStore.update('a', stored => { stored.status = 'done'; });
+    const skipped = await JobStore.update('a', stored => { stored.status = 'error'; return false; });
+
+    assert.equal(updated.status, 'done');
+    assert.equal(skipped, null);
+    assert.equal((await JobStore.get('a')).status, 'done');
+    assert.equal(await JobStore.update('missing', () => {}), null);
+  });
+});
+
+describe('JobStore.prune', () => {
+  it('removes finished jobs past the retention window but keeps active ones', async () => {
+    const { JobStore } = loadJobStore();
+    await JobStore.put(job('expired', { ageDays: 40 }));
+    await JobStore.put(job('cancelled', { ageDays: 40, status: 'cancelled' }));
+    await JobStore.put(job('stuck', { ageDays: 40, status: 'running' }));
+    await JobStore.put(job('recent', { ageDays: 5 }));
+
+    assert.equal(await JobStore.prune({ retentionDays: 30 }), 2);
+    assert.deepEqual((await JobStore.list()).map(stored => stored.id), ['recent', 'stuck']);
+  });
+
+  it('keeps the newest jobs up to the limit', async () => {
+    const { JobStore } = loadJobStore();
+    for (let index = 0; index < 5; index++) {
+      await JobStore.put(job(`job-${index}`, { ageDays: index, status: index === 4 ? 'queued' : 'done' }));
+    }
+
+    assert.equal(await JobStore.prune({ maxJobs: 2 }), 2);
+    assert.deepEqual((await JobStore.list()).map(stored => stored.id), ['job-0', 'job-1', 'job-4']);
+  });
+
+  it('drops batches whose jobs are all gone', async () => {
+    const { JobStore } = loadJobStore();
+    await JobStore.put(job('a', { ageDays: 40, batchId: 'gone' }));
+    await JobStore.put(job('b', { ageDays: 1, batchId: 'kept' }));
+    await JobStore.putBatch({ id: 'gone', jobIds: ['a'], createdAt: job('a', { ageDays: 40 }).createdAt });
+    await JobStore.putBatch({ id: 'kept', jobIds: ['b'], createdAt: job('b', { ageDays: 1 }).createdAt });
+    await JobStore.putBatch({ id: 'empty', jobIds: [], createdAt: job('c', { ageDays: 1 }).createdAt });
+
+    await JobStore.prune();
+
+    assert.deepEqual((await JobStore.listBatches()).map(batch => batch.id), ['kept']);
+  });
+
+  it('keeps a new batch that has no jobs yet', async () => {
+    const { JobStore } = loadJobStore();
+    await JobStore.putBatch({ id: 'filling', jobIds: [], createdAt: new Date().toISOString() });
+
+    await JobStore.prune();
+
+    assert.ok(await JobStore.getBatch('filling'));
+  });
+
+  it('trims the oldest quarter of finished jobs when storage is nearly full', async () => {
+    const { JobStore } = loadJobStore({
+      navigator: { storage: { estimate: async () => ({ usage: 90, quota: 100 }) } }
+    });
+    for (let index = 0; index < 8; index++) {
+      await JobStore.put(job(`job-${index}`, { ageDays: index }));
+    }
+
+    assert.equal(await JobStore.prune(), 2);
+    assert.equal((await JobStore.list()).length, 6);
+    assert.equal(await JobStore.get('job-7'), undefined);
+    assert.equal(await JobStore.get('job-6'), undefined);
+  });
+});
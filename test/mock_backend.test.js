@@ -0,0 +1,131 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createChrome } from './chrome_stub.js';
+import { load } from './sandbox.js';
+
+const MINUTE = 60000;
+
+let clock;
+let chrome;
+let MockBackend;
+let TextChunker;
+
+// Date.now() follows the test clock; latency delays resolve straight away
+class TestDate extends Date {
+  static now() {
+    return clock;
+  }
+}
+
+beforeEach(() => {
+  clock = Date.UTC(2024, 0, 1);
+  chrome = createChrome();
+  ({ MockBackend, TextChunker } = load(['text_chunker.js', 'mock_backend.js'], {
+    chrome,
+    Date: TestDate,
+    setTimeout: callback => setImmediate(callback),
+    fetch: async url => new Response(await readFile(new URL(`../_mock/${url.split('/_mock/')[1]}`, import.meta.url)))
+  }));
+});
+
+async function request(path, body) {
+  const response = await MockBackend.fetch(path, body === undefined ? {} : { method: 'POST', body: JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('MockBackend', () => {
+  it('moves a job through pending and running to done', async () => {
+    await request('/lca/submit', { job_id: 'job-1', user_inputs: {} });
+    assert.equal((await request('/lca/status/job-1')).body.status, 'pending');
+    assert.equal((await request('/lca/result/job-1')).status, 409);
+
+    clock += 10000;
+    const running = (await request('/lca/status/job-1')).body;
+    assert.equal(running.status, 'running');
+    assert.ok(running.progress > 0 && running.progress < 100);
+
+    clock += 10000;
+    assert.equal((await request('/lca/status/job-1')).body.status, 'done');
+    const result = await request('/lca/result/job-1');
+    assert.equal(result.body.job_id, 'job-1');
+    assert.equal(typeof result.body.co2_kg, 'number');
+  });
+
+  it('follows the selected scenario', async () => {
+    chrome.storage.local.data.mockScenario = 'unauthorized';
+    assert.equal((await request('/lca/submit', { job_id: 'job-1' })).status, 401);
+
+    chrome.storage.local.data.mockScenario = 'backend_error';
+    await request('/lca/submit', { job_id: 'job-2' });
+    clock += MINUTE;
+    const status = (await request('/lca/status/job-2')).body;
+    assert.equal(status.status, 'error');
+    assert.match(status.error, /Simulated/);
+  });
+
+  it('cancels jobs', async () => {
+    await request('/lca/submit', { job_id: 'job-1' });
+    assert.equal((await request('/lca/cancel/job-1', {})).body.status, 'cancelled');
+    assert.equal((await request('/lca/status/job-1')).body.status, 'cancelled');
+    assert.equal((await request('/lca/status/job-9')).status, 404);
+  });
+
+  it('shares the CO₂ out over bill-of-materials components by mass', async () => {
+    await request('/lca/submit', {
+      job_id: 'job-1',
+      user_inputs: { components: [{ name: 'Body', mass_kg: 3 }, { name: 'Lid', mass_kg: 1 }] }
+    });
+    clock += MINUTE;
+
+    const { co2_kg, components } = (await request('/lca/result/job-1')).body;
+    assert.deepEqual(components.map(component => component.name), ['Body', 'Lid']);
+    assert.equal(components[0].co2_kg, Math.round(co2_kg * 0.75 * 100) / 100);
+  });
+
+  it('keeps every chunk when uploads overlap', async () => {
+    const text = 'x'.repeat(100000);
+    const upload = await TextChunker.prepare(text);
+    await request('/lca/submit', {
+      job_id: 'job-1',
+      chunked: { chunks: upload.chunks.map(({ index, sha256 }) => ({ index, sha256 })) }
+    });
+
+    const responses = await Promise.all(upload.chunks.map(chunk =>
+      request(`/lca/submit/job-1/chunks/${chunk.index}`, { text: chunk.text })));
+    assert.ok(responses.every(response => response.status === 200));
+
+    const complete = await request('/lca/submit/job-1/complete', {});
+    assert.equal(complete.status, 200);
+    assert.equal(complete.body.status, 'accepted');
+  });
+
+  it('rejects chunks that do not match their hash', async () => {
+    await request('/lca/submit', { job_id: 'job-1', chunked: { chunks: [{ index: 0, sha256: 'abc' }] } });
+    assert.equal((await request('/lca/submit/job-1/chunks/0', { text: 'tampered' })).status, 422);
+    assert.equal((await request('/lca/submit/job-1/complete', {})).status, 400);
+  });
+
+  it('forgets jobs some time after they finish', async () => {
+    await request('/lca/submit', { job_id: 'finished' });
+    chrome.storage.local.data.mockScenario = 'timeout';
+    await request('/lca/submit', { job_id: 'endless' });
+
+    clock += 60 * MINUTE;
+    await request('/lca/submit', { job_id: 'new' });
+
+    const jobs = chrome.storage.session.data.mockBackendJobs;
+    assert.deepEqual(Object.keys(jobs).sort(), ['endless', 'new']);
+  });
+
+  it('keeps at most the newest 100 jobs', async () => {
+    for (let index = 0; index <= 100; index++) {
+      clock += 1;
+      await request('/lca/submit', { job_id: `job-${index}` });
+    }
+
+    const jobs = chrome.storage.session.data.mockBackendJobs;
+    assert.equal(Object.keys(jobs).length, 100);
+    assert.ok(!jobs['job-0']);
+  });
+});
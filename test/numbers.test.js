@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './sandbox.js';
+
+const { Numbers, ResultSchema, TableParser } = load(['numbers.js', 'result_schema.js', 'table_parser.js']);
+
+describe('Numbers.parse', () => {
+  it('reads decimal points, decimal commas and thousands separators', () => {
+    assert.equal(Numbers.parse('1234.5'), 1234.5);
+    assert.equal(Numbers.parse('1,234.5'), 1234.5);
+    assert.equal(Numbers.parse('1.234,5'), 1234.5);
+    assert.equal(Numbers.parse('1.234.567'), 1234567);
+    assert.equal(Numbers.parse('2,70'), 2.7);
+    assert.equal(Numbers.parse('+3'), 3);
+    assert.equal(Numbers.parse('-0,25'), -0.25);
+  });
+
+  it('only calls a comma before three digits ambiguous where it could group thousands', () => {
+    assert.ok(Number.isNaN(Numbers.parse('1,200')));
+    assert.ok(Number.isNaN(Numbers.parse('-999,000')));
+    assert.equal(Numbers.isAmbiguous('1,200'), true);
+
+    assert.equal(Numbers.parse('1234,567'), 1234.567);
+    assert.equal(Numbers.parse('0,123'), 0.123);
+    assert.equal(Numbers.parse('1,200,000'), 1200000);
+    assert.equal(Numbers.isAmbiguous('1234,567'), false);
+  });
+
+  it('rejects malformed numbers', () => {
+    assert.ok(Number.isNaN(Numbers.parse('1,23,4')));
+    assert.ok(Number.isNaN(Numbers.parse('12 kg')));
+    assert.ok(Number.isNaN(Numbers.parse('')));
+  });
+});
+
+describe('shared number policy', () => {
+  it('gives a datasheet value the same meaning in tables and in results', () => {
+    ['1,200 kg', '1234,567 kg', '1.234,5 kg', '0,5 kg', '12 kg'].forEach(text => {
+      const { value } = TableParser.parseValue(text);
+      const measure = ResultSchema.parseMeasure(text, 'mass');
+      assert.equal(typeof value === 'number' ? value : NaN, measure, text);
+    });
+  });
+});
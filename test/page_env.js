@@ -0,0 +1,55 @@
+// Loads an extension page into jsdom with its <script src> files, against the
+// chrome stub and a fresh in-memory IndexedDB seeded with jobs, then fires
+// DOMContentLoaded so the page initialises as it does in the browser.
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { JSDOM } from 'jsdom';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { createChrome } from './chrome_stub.js';
+
+const ROOT = new URL('../', import.meta.url);
+
+const quietConsole = { ...console, log() {}, warn() {}, error() {} };
+
+/**
+ * @param {string} file - Page file, e.g. 'scenario.html'
+ * @param {Object} options - { hash, local, jobs }: location hash, storage
+ *   contents and jobs stored in JobStore before the page starts
+ * @returns {Promise<Object>} { window, chrome, page } - page resolves page globals
+ */
+export async function loadPage(file, { hash = '', local = {}, jobs = [] } = {}) {
+  const html = readFileSync(new URL(file, ROOT), 'utf8');
+  const dom = new JSDOM(html, { url: `chrome-extension://lca-assistant/${file}#${hash}`, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+
+  const chrome = createChrome({ local });
+  Object.assign(window, { chrome, console: quietConsole, indexedDB: new IDBFactory(), IDBKeyRange });
+  window.alert = () => {};
+  window.confirm = () => true;
+
+  const context = dom.getInternalVMContext();
+  const page = new Proxy(window, {
+    get: (target, name) => vm.runInContext(String(name), context)
+  });
+  Array.from(window.document.querySelectorAll('script[src]'), script => script.getAttribute('src'))
+    .forEach(src => vm.runInContext(readFileSync(new URL(src, ROOT), 'utf8'), context, { filename: src }));
+
+  for (const job of jobs) {
+    await page.JobStore.put(job);
+  }
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  return { window, chrome, page };
+}
+
+/**
+ * Resolves once check() is true, e.g. when the page has loaded its job
+ */
+export async function until(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the page');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
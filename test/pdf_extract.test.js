@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { load } from './sandbox.js';
+import { createChrome } from './chrome_stub.js';
+import { buildPdf, stream, toUnicodeCMap, HELVETICA } from './pdf_fixtures.js';
+
+const ROOT = new URL('../', import.meta.url);
+
+// pdf.js parses in place (its worker is loaded as a script too) and reads
+// the bundled CMaps from the extension's files
+const { PdfExtract } = load(['numbers.js', 'table_parser.js', 'vendor/pdfjs/pdf.min.js', 'vendor/pdfjs/pdf.worker.min.js', 'pdf_extract.js'], {
+  chrome: createChrome(),
+  console: { ...console, warn() {} },
+  ReadableStream,
+  fetch: async (url) => new Response(readFileSync(new URL(new URL(url).pathname.slice(1), ROOT)))
+});
+
+// One line of text at (x, y) per entry, in font F1 unless given; hex is a
+// string of hex codes, for composite fonts
+function textContent(lines) {
+  return lines
+    .map(({ x = 72, y, text, hex, font = 'F1', size = 12 }) =>
+      `BT /${font} ${size} Tf ${x} ${y} Td ${hex ? `<${hex}>` : `(${text})`} Tj ET`)
+    .join('\n');
+}
+
+async function extractText(pages, fonts) {
+  const { pages: extracted } = await PdfExtract.extract(buildPdf(pages, fonts));
+  return extracted.map(page => page.text);
+}
+
+const SHEET = textContent([
+  { y: 760, text: 'Aluminium 6061-T6 extrusion' },
+  { y: 730, text: 'Property' },
+  { x: 300, y: 730, text: 'Value' },
+  { y: 710, text: 'Density' },
+  { x: 300, y: 710, text: '2.70 g/cm3' },
+  { y: 690, text: 'Recycled content' },
+  { x: 300, y: 690, text: '75 %' }
+]);
+
+describe('PdfExtract.extract', () => {
+  it('reads lines top to bottom and tables from aligned columns, per page', async () => {
+    const { pageCount, pages } = await PdfExtract.extract(buildPdf([
+      { content: SHEET, filters: ['/FlateDecode'] },
+      { content: textContent([{ y: 700, text: 'Page two' }]) }
+    ]));
+
+    assert.equal(pageCount, 2);
+    assert.equal(pages[0].text, 'Aluminium 6061-T6 extrusion\nProperty Value\nDensity 2.70 g/cm3\nRecycled content 75 %');
+    assert.equal(pages[0].issue, null);
+    assert.equal(pages[0].tables.length, 1);
+    assert.equal(pages[0].tables[0].page, 1);
+    assert.equal(pages[0].tables[0].caption, 'Aluminium 6061-T6 extrusion');
+    assert.equal(pages[1].text, 'Page two');
+  });
+
+  it('decodes every supported filter, alone and chained', async () => {
+    // Long enough for LZW codes to grow past 9 bits
+    const long = textContent(Array.from({ length: 120 }, (_, index) => ({ y: 800 - index * 6, text: `Line ${index} of ${index * 7} kg` })));
+    const expected = Array.from({ length: 120 }, (_, index) => `Line ${index} of ${index * 7} kg`).join('\n');
+
+    const texts = await extractText([
+      { content: long, filters: ['/LZWDecode'] },
+      { content: long, filters: ['/ASCII85Decode'] },
+      { content: long, filters: ['/ASCIIHexDecode'] },
+      { content: long, filters: ['/RunLengthDecode'] },
+      { content: long, filters: ['/ASCII85Decode', '/FlateDecode'] },
+      { content: long, filters: ['/ASCIIHexDecode', '/LZWDecode'] }
+    ]);
+
+    texts.forEach(text => assert.equal(text, expected));
+  });
+
+  it('reports pages without readable text', async () => {
+    const { pages } = await PdfExtract.extract(buildPdf([
+      { content: SHEET },
+      { content: '\xff\xd8\xff\xe0', filters: ['/DCTDecode'] },
+      { content: '0 0 595 842 re f' }
+    ]));
+
+    assert.deepEqual([...pages].map(page => page.issue), [null, 'could not be read', 'no text (scanned image?)']);
+  });
+
+  it('maps simple fonts through their base encoding', async () => {
+    const content = textContent([
+      { y: 700, text: '\\223Low-carbon\\224 \\200 10', font: 'W' },
+      { y: 680, text: 'Recycled \\216l\\216ments', font: 'M' },
+      { y: 660, text: 'It\\047s \\256nal', font: 'S' }
+    ]);
+
+    const [text] = await extractText([{ content }], {
+      W: HELVETICA,
+      M: '<< /Type /Font /Subtype /Type1 /BaseFont /Times-Roman /Encoding /MacRomanEncoding >>',
+      S: '<< /Type /Font /Subtype /Type1 /BaseFont /Times-Roman /Encoding /StandardEncoding >>'
+    });
+
+    assert.equal(text, '“Low-carbon” € 10\nRecycled éléments\nIt’s final');
+  });
+
+  it('applies /Differences over the base encoding', async () => {
+    const [text] = await extractText([{ content: textContent([{ y: 700, text: 'AB C \\001\\002 abc', font: 'F2' }]) }], {
+      F2: '<< /Type /Font /Subtype /Type1 /BaseFont /ABCDEF+Custom /Encoding << /Type /Encoding ' +
+        '/BaseEncoding /WinAnsiEncoding /Differences [65 /uni2082 /uni2083 1 /fi /u1F600] >> >>'
+    });
+
+    assert.equal(text, '₂₃ C fi😀 abc');
+  });
+
+  it('reads composite fonts through ToUnicode or a UCS-2 CMap, and flags those it cannot map', async () => {
+    const content = textContent([
+      { y: 700, hex: '00010002', font: 'T' },
+      { y: 680, hex: '6C346CE5', font: 'U' },
+      { y: 660, hex: '0011', font: 'I' }
+    ]);
+    const descriptor = '<< /Type /FontDescriptor /FontName /Noto /Flags 4 /FontBBox [0 -120 1000 880] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 700 /StemV 80 >>';
+    const descendant = (add, ordering = 'Identity') => add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /Noto /CIDSystemInfo << /Registry (Adobe) /Ordering (${ordering}) /Supplement 0 >> /DW 1000 /FontDescriptor ${add(descriptor)} >>`);
+
+    const fonts = {
+      T: add => `<< /Type /Font /Subtype /Type0 /BaseFont /Noto /Encoding /Identity-H /DescendantFonts [${descendant(add)}] /ToUnicode ${add(stream(toUnicodeCMap({ 1: 'Zn', 2: 'ﬁ' }), ['/FlateDecode']))} >>`,
+      U: add => `<< /Type /Font /Subtype /Type0 /BaseFont /STSong /Encoding /UniGB-UCS2-H /DescendantFonts [${descendant(add, 'GB1')}] >>`,
+      I: add => `<< /Type /Font /Subtype /Type0 /BaseFont /Noto /Encoding /Identity-H /DescendantFonts [${descendant(add)}] >>`
+    };
+
+    const { pages: [page] } = await PdfExtract.extract(buildPdf([{ content }], fonts));
+    assert.equal(page.text, 'Znfi\n水泥');
+    assert.equal(page.issue, 'fonts without a Unicode mapping');
+
+    const { pages: [unmapped] } = await PdfExtract.extract(buildPdf([{ content: textContent([{ y: 660, hex: '0011', font: 'I' }]) }], fonts));
+    assert.equal(unmapped.text, '');
+    assert.equal(unmapped.issue, 'fonts without a Unicode mapping');
+  });
+
+  it('restores the font and text state with Q', async () => {
+    const content = [
+      'BT /F1 12 Tf ET',
+      'q BT /F2 24 Tf 100 Tz ET Q',
+      'BT 72 700 Td (ABC) Tj ET'
+    ].join('\n');
+
+    const [text] = await extractText([{ content }], {
+      F1: HELVETICA,
+      F2: '<< /Type /Font /Subtype /Type1 /BaseFont /Custom /Encoding << /Differences [65 /x /y /z] >> >>'
+    });
+
+    assert.equal(text, 'ABC');
+  });
+
+  it('rejects files it cannot read', async () => {
+    await assert.rejects(PdfExtract.extract(new TextEncoder().encode('<html></html>')), /Not a PDF/);
+
+    // Standard security handler whose user password isn't the empty one
+    const id = '<0123456789abcdef0123456789abcdef>';
+    const encrypted = Buffer.from(buildPdf([{ content: SHEET }])).toString('latin1')
+      .replace('/Root 1 0 R', `/Root 1 0 R /Encrypt << /Filter /Standard /V 1 /R 2 /O <${'ab'.repeat(32)}> /U <${'cd'.repeat(32)}> /P -4 >> /ID [${id} ${id}]`);
+    await assert.rejects(PdfExtract.extract(new Uint8Array(Buffer.from(encrypted, 'latin1'))), /Password-protected/);
+  });
+});
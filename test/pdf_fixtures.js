@@ -0,0 +1,178 @@
+// Builds small PDF files for the extractor tests, so each fixture shows in
+// the test what it contains. Streams are encoded with real encoders for the
+// filters PDF extraction is expected to read.
+
+import { deflateSync } from 'node:zlib';
+
+export const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+/**
+ * @param {Object[]} pages - [{ content, filters }]: the content stream (string
+ *   or bytes) and the filters it is encoded with, in decoding order
+ * @param {Object} fonts - Resource name → font dictionary source, or a function
+ *   (add) => source for fonts that refer to other objects; add(object) stores
+ *   a string or stream() and returns its reference
+ * @returns {Uint8Array} The PDF file
+ */
+export function buildPdf(pages, fonts = { F1: HELVETICA }) {
+  const objects = [null, null];
+  const add = (object) => {
+    objects.push(object);
+    return `${objects.length} 0 R`;
+  };
+
+  const fontRefs = Object.entries(fonts)
+    .map(([name, font]) => `/${name} ${add(typeof font === 'function' ? font(add) : font)}`);
+  const kids = pages.map(({ content, filters = [] }) => {
+    const contents = add(stream(content, filters));
+    return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${contents} >>`);
+  });
+  objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  const parts = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+  const push = (part) => {
+    const buffer = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+    parts.push(buffer);
+    length += buffer.length;
+  };
+
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    if (typeof object === 'string') {
+      push(`${index + 1} 0 obj\n${object}\nendobj\n`);
+    } else {
+      push(`${index + 1} 0 obj\n<< ${object.dict} /Length ${object.data.length} >>\nstream\n`);
+      push(object.data);
+      push('\nendstream\nendobj\n');
+    }
+  });
+
+  const xref = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+/**
+ * A stream object for buildPdf, encoded for the given filters
+ * @param {string|Uint8Array} data - Decoded contents (strings are Latin-1)
+ * @param {string[]} filters - e.g. ['/ASCII85Decode', '/FlateDecode']; filters
+ *   with no encoder here (image filters) are only declared
+ * @param {string} dict - Extra dictionary entries
+ */
+export function stream(data, filters = [], dict = '') {
+  let encoded = typeof data === 'string' ? Buffer.from(data, 'latin1') : Buffer.from(data);
+  [...filters].reverse().forEach(filter => {
+    if (ENCODERS[filter]) encoded = ENCODERS[filter](encoded);
+  });
+  const filter = filters.length > 0 ? `/Filter [${filters.join(' ')}]` : '';
+  return { dict: `${dict} ${filter}`, data: encoded };
+}
+
+/**
+ * A ToUnicode CMap mapping codes of codeLength bytes to text
+ * @param {Object} map - Code → text
+ */
+export function toUnicodeCMap(map, codeLength = 2) {
+  const hex = (code) => code.toString(16).padStart(codeLength * 2, '0');
+  const utf16 = (text) => [...Buffer.from(text, 'utf16le').swap16()].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  const entries = Object.entries(map).map(([code, text]) => `<${hex(Number(code))}> <${utf16(text)}>`);
+  return [
+    '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+    `1 begincodespacerange <${hex(0)}> <${'ff'.repeat(codeLength)}> endcodespacerange`,
+    `${entries.length} beginbfchar`,
+    ...entries,
+    'endbfchar endcmap CMapName currentdict /CMap defineresource pop end end'
+  ].join('\n');
+}
+
+// Encoders
+
+const ENCODERS = {
+  '/FlateDecode': data => deflateSync(data),
+  '/LZWDecode': lzwEncode,
+  '/ASCII85Decode': ascii85Encode,
+  '/ASCIIHexDecode': data => Buffer.from(data.toString('hex').replace(/(.{64})/g, '$1\n') + '>', 'latin1'),
+  '/RunLengthDecode': runLengthEncode
+};
+
+// LZW with EarlyChange 1: a code is written one bit wider as soon as the
+// decoder's table, one entry behind the encoder's, is one short of the limit
+function lzwEncode(data) {
+  const bits = [];
+  let table;
+  let emitted;
+  const reset = () => {
+    table = new Map(Array.from({ length: 256 }, (_, byte) => [String.fromCharCode(byte), byte]));
+    emitted = 0;
+  };
+  const emit = (code) => {
+    const decoderLength = 258 + Math.max(0, emitted - 1);
+    const width = Math.max(9, Math.ceil(Math.log2(decoderLength + 2)));
+    for (let bit = width - 1; bit >= 0; bit--) bits.push((code >> bit) & 1);
+    emitted++;
+  };
+
+  reset();
+  emit(256);
+  emitted = 0;
+  let word = '';
+  for (const byte of data) {
+    const next = word + String.fromCharCode(byte);
+    if (table.has(next)) {
+      word = next;
+      continue;
+    }
+    emit(table.get(word));
+    table.set(next, 258 + table.size - 256);
+    word = String.fromCharCode(byte);
+    if (table.size + 2 >= 4094) {
+      emit(256);
+      reset();
+    }
+  }
+  if (word) emit(table.get(word));
+  emit(257);
+
+  while (bits.length % 8) bits.push(0);
+  const output = Buffer.alloc(bits.length / 8);
+  bits.forEach((bit, index) => { output[index >> 3] |= bit << (7 - (index & 7)); });
+  return output;
+}
+
+function ascii85Encode(data) {
+  let text = '';
+  for (let i = 0; i < data.length; i += 4) {
+    const group = [...data.subarray(i, i + 4)];
+    const count = group.length;
+    while (group.length < 4) group.push(0);
+    let value = group.reduce((sum, byte) => sum * 256 + byte, 0);
+    if (value === 0 && count === 4) {
+      text += 'z';
+      continue;
+    }
+    const digits = [];
+    for (let d = 0; d < 5; d++) {
+      digits.unshift(String.fromCharCode(33 + (value % 85)));
+      value = Math.floor(value / 85);
+    }
+    text += digits.slice(0, count + 1).join('');
+  }
+  return Buffer.from(text.replace(/(.{72})/g, '$1\n') + '~>', 'latin1');
+}
+
+// Literal runs only, which any decoder must handle
+function runLengthEncode(data) {
+  const parts = [];
+  for (let i = 0; i < data.length; i += 128) {
+    const run = data.subarray(i, i + 128);
+    parts.push(Buffer.from([run.length - 1]), run);
+  }
+  parts.push(Buffer.from([128]));
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './sandbox.js';
+
+const { ResultSchema } = load(['numbers.js', 'result_schema.js']);
+
+const VALID = {
+  material: 'aluminium',
+  co2_kg: 123.45,
+  circularity_score: 67,
+  recycled_percent: 30
+};
+
+describe('ResultSchema.parseMeasure', () => {
+  it('reads thousands and decimal separators', () => {
+    assert.equal(ResultSchema.parseMeasure('1234.5'), 1234.5);
+    assert.equal(ResultSchema.parseMeasure('1,234.5'), 1234.5);
+    assert.equal(ResultSchema.parseMeasure('1.234,5'), 1234.5);
+    assert.equal(ResultSchema.parseMeasure('12,5'), 12.5);
+    assert.equal(ResultSchema.parseMeasure('1,234,567'), 1234567);
+    assert.equal(ResultSchema.parseMeasure('-0,25'), -0.25);
+  });
+
+  it('rejects a lone comma before three digits as ambiguous', () => {
+    assert.ok(Number.isNaN(ResultSchema.parseMeasure('1,234')));
+    assert.ok(Number.isNaN(ResultSchema.parseMeasure('1,234 kg', 'mass')));
+  });
+
+  it('converts units and ignores a CO₂e suffix', () => {
+    assert.equal(ResultSchema.parseMeasure('1,5 t', 'mass'), 1500);
+    assert.equal(ResultSchema.parseMeasure('250 g CO2e', 'mass'), 0.25);
+    assert.equal(ResultSchema.parseMeasure('3,6 MJ', 'energy'), 1);
+    assert.equal(ResultSchema.parseMeasure('45%', 'ratio'), 0.45);
+  });
+
+  it('returns NaN for unknown units and malformed numbers', () => {
+    assert.ok(Number.isNaN(ResultSchema.parseMeasure('12 parsecs', 'distance')));
+    assert.ok(Number.isNaN(ResultSchema.parseMeasure('1,23,4')));
+    assert.ok(Number.isNaN(ResultSchema.parseMeasure('about 12')));
+    assert.ok(Number.isNaN(ResultSchema.parseMeasure(Infinity)));
+  });
+});
+
+describe('ResultSchema.normalize', () => {
+  it('accepts a valid result without warnings', () => {
+    const { result, warnings, schemaVersion } = ResultSchema.normalize(VALID);
+    assert.equal(warnings.length, 0);
+    assert.equal(result.co2_kg, 123.45);
+    assert.equal(schemaVersion, ResultSchema.VERSION);
+  });
+
+  it('warns instead of guessing an ambiguous CO₂ value', () => {
+    const { result, warnings } = ResultSchema.normalize({ ...VALID, co2_kg: '1,234 kg' });
+    assert.equal(result.co2_kg, null);
+    assert.match(warnings[0], /^co2_kg: .*ambiguous/);
+  });
+
+  it('converts values with units', () => {
+    const { result, warnings } = ResultSchema.normalize({ ...VALID, co2_kg: '1.234,5 kg' });
+    assert.equal(warnings.length, 0);
+    assert.equal(result.co2_kg, 1234.5);
+  });
+
+  it('nulls missing and out-of-range fields with a warning', () => {
+    const { result, warnings } = ResultSchema.normalize({ material: 'steel', co2_kg: -5, circularity_score: 140 });
+    assert.equal(result.co2_kg, null);
+    assert.equal(result.circularity_score, null);
+    assert.equal(result.recycled_percent, null);
+    assert.equal(warnings.length, 3);
+  });
+
+  it('reads a bare ratio above 1 as a percentage', () => {
+    const { result, warnings } = ResultSchema.normalize({
+      ...VALID,
+      raw_json: { circularity_metrics: { recycled_input_rate: 45 } }
+    });
+    assert.equal(result.raw_json.circularity_metrics.recycled_input_rate, 0.45);
+    assert.match(warnings[0], /read as a percentage/);
+  });
+
+  it('expands shorthand lifecycle phases and keeps unknown fields', () => {
+    const { result } = ResultSchema.normalize({
+      ...VALID,
+      extra: 'kept',
+      raw_json: { lifecycle_phases: { production: '80 kg', transport: 5 } }
+    });
+    assert.equal(result.extra, 'kept');
+    assert.deepEqual({ ...result.raw_json.lifecycle_phases.production }, { co2_kg: 80 });
+    assert.equal(result.raw_json.lifecycle_phases.transport.co2_kg, 5);
+  });
+
+  it('normalises components and requires their names', () => {
+    const { result, warnings } = ResultSchema.normalize({
+      ...VALID,
+      components: [{ name: 'Busbar', mass_kg: '2 kg' }, { mass_kg: 1 }, 'Fixings']
+    });
+    assert.equal(result.components.length, 2);
+    assert.equal(result.components[0].mass_kg, 2);
+    assert.equal(result.components[1].name, null);
+    assert.match(warnings[0], /components\[1\]\.name: missing/);
+  });
+
+  it('reports a missing result', () => {
+    const { result, warnings } = ResultSchema.normalize(null);
+    assert.equal(result, null);
+    assert.equal(warnings.length, 1);
+  });
+});
+
+describe('ResultSchema.forJob', () => {
+  it('re-validates results stored under an older schema version', () => {
+    const { result, warnings } = ResultSchema.forJob({ result: { ...VALID, co2_kg: '2 t' }, resultSchemaVersion: 1 });
+    assert.equal(result.co2_kg, 2000);
+    assert.equal(warnings.length, 0);
+  });
+
+  it('returns current results as stored', () => {
+    const stored = { result: VALID, resultWarnings: ['kept'], resultSchemaVersion: ResultSchema.VERSION };
+    assert.deepEqual([...ResultSchema.forJob(stored).warnings], ['kept']);
+  });
+});
@@ -0,0 +1,46 @@
+// Test sandbox - runs the extension's classic scripts in one shared global
+// scope, the way importScripts() and <script> tags do. Shared modules are
+// top-level consts, so they are read back by evaluating their name.
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ROOT = new URL('../', import.meta.url);
+
+/**
+ * Load scripts into a fresh sandbox
+ * @param {string[]} files - Paths relative to the repo root, in load order
+ * @param {Object} globals - Extra globals (chrome, indexedDB, fetch, ...)
+ * @returns {Object} Proxy resolving any global name, e.g. const { JobStore } = load(...)
+ */
+export function load(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    AbortSignal,
+    Response,
+    Headers,
+    Blob,
+    DecompressionStream,
+    crypto,
+    structuredClone,
+    navigator: {},
+    setTimeout,
+    clearTimeout,
+    ...globals
+  });
+  context.self = context;
+  context.importScripts = (...names) => names.forEach(run);
+
+  function run(file) {
+    vm.runInContext(readFileSync(new URL(file, ROOT), 'utf8'), context, { filename: file });
+  }
+
+  files.forEach(run);
+  return new Proxy(context, {
+    get: (target, name) => vm.runInContext(String(name), target)
+  });
+}
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './sandbox.js';
+import { loadPage, until } from './page_env.js';
+
+const { EmissionFactors, Circularity } = load(['emission_factors.js', 'circularity.js']);
+
+/**
+ * A finished job whose backend phases match the local estimate, so the page's
+ * scenario changes come out in the estimate's own kilograms
+ */
+function doneJob(userInputs, options) {
+  const estimate = EmissionFactors.estimate(userInputs, options);
+  const phases = Object.fromEntries(Object.entries(estimate.lifecycle_phases)
+    .map(([name, phase]) => [name, { co2_kg: phase.co2_kg }]));
+  return {
+    id: 'job-1',
+    url: 'https://supplier.example/sheet',
+    status: 'done',
+    estimate,
+    payload: { user_inputs: userInputs },
+    result: {
+      co2_kg: estimate.co2_kg,
+      circularity_score: 50,
+      raw_json: { lifecycle_phases: phases, transport_analysis: { mode: 'truck' } }
+    },
+    createdAt: new Date().toISOString()
+  };
+}
+
+async function openScenario(job) {
+  const loaded = await loadPage('scenario.html', { hash: job.id, jobs: [job] });
+  const { document } = loaded.window;
+  await until(() => document.getElementById('scenarioContent').style.display === 'block');
+  return loaded;
+}
+
+function slide(window, id, value) {
+  const slider = window.document.getElementById(id);
+  slider.value = value;
+  slider.dispatchEvent(new window.Event('input'));
+}
+
+describe('what-if scenarios', () => {
+  const PRODUCT = {
+    material: 'aluminium',
+    recycled_percent: 20,
+    energy_kwh: 1000,
+    transport_km: 200,
+    functional_unit: 'kg',
+    quantity: 500
+  };
+
+  it('scales the declared mass, not 1 kg, with the job\'s grid factor', async () => {
+    const job = doneJob(PRODUCT, { mass_kg: 500, grid_factor: 0.3 });
+    const { window, page } = await openScenario(job);
+    assert.equal(window.document.getElementById('gridSlider').value, '300');
+
+    slide(window, 'renewableSlider', 100);
+    const outcome = page.evaluate(page.getScenarioInputs());
+
+    // Only the electricity changes: 1000 kWh from 0.3 to the renewable factor
+    const expected = 1000 * (0.3 - EmissionFactors.GRIDS.renewable.factor);
+    assert.ok(Math.abs(outcome.co2_reduction_kg - expected) < 0.05, `${outcome.co2_reduction_kg} vs ${expected}`);
+    window.close();
+  });
+
+  it('starts from the backend result with nothing moved', async () => {
+    const job = doneJob(PRODUCT, { mass_kg: 500 });
+    const { window, page } = await openScenario(job);
+
+    const outcome = page.evaluate(page.getScenarioInputs());
+
+    assert.equal(outcome.co2_kg, Math.round(job.result.co2_kg * 100) / 100);
+    assert.equal(outcome.co2_reduction_kg, 0);
+    assert.equal(outcome.circularity_score_improvement, 0);
+    window.close();
+  });
+
+  it('moves every component of a bill of materials with the recycled slider', async () => {
+    const components = [
+      { name: 'Profile', material: 'aluminium', mass_kg: 300, recycled_percent: 20, process: 'extrusion' },
+      { name: 'Busbar', material: 'copper', mass_kg: 200, recycled_percent: 70, process: 'none' }
+    ];
+    const job = doneJob({ ...PRODUCT, components }, {});
+    const { window, page } = await openScenario(job);
+    assert.equal(window.document.getElementById('recycledSlider').value, '40');
+
+    slide(window, 'recycledSlider', 70);
+    const outcome = page.evaluate(page.getScenarioInputs());
+
+    // Each component takes up half of its headroom to 100%: 60% and 85%
+    const scaled = [{ ...components[0], recycled_percent: 60 }, { ...components[1], recycled_percent: 85 }];
+    const expected = EmissionFactors.estimate({ ...PRODUCT, components: scaled }, {});
+    assert.ok(Math.abs(outcome.co2_kg - expected.co2_kg) < 0.05, `${outcome.co2_kg} vs ${expected.co2_kg}`);
+    const mci = (inputs) => Circularity.calculate(Circularity.inputsFor(inputs)).mci;
+    const improvement = (mci({ ...PRODUCT, components: scaled }) - mci({ ...PRODUCT, components })) * 100;
+    assert.equal(outcome.circularity_score_improvement, Math.round(improvement * 10) / 10);
+    window.close();
+  });
+});
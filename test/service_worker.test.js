@@ -0,0 +1,544 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadServiceWorker, jsonFetch } from './service_worker_env.js';
+
+const BACKEND = 'https://lca.example';
+
+function job(fields) {
+  return {
+    id: 'job-1',
+    url: 'https://supplier.example/sheet',
+    backendUrl: BACKEND,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    payload: { raw_text: 'Aluminium 6061', user_inputs: {} },
+    ...fields
+  };
+}
+
+describe('polling', () => {
+  it('resumes polling for unfinished jobs on startup', async () => {
+    const { sw, chrome } = loadServiceWorker({ local: { backendUrl: BACKEND } });
+    await sw.JobStore.put(job({ status: 'running', backendJobId: 'b-1', pollAttempts: 4 }));
+    await sw.JobStore.put(job({ id: 'job-2', status: 'done' }));
+
+    await sw.initializeJobs();
+
+    assert.ok(chrome.alarms.all.has('poll:job-1'));
+    assert.ok(!chrome.alarms.all.has('poll:job-2'));
+  });
+
+  it('resubmits jobs the backend never accepted', async () => {
+    const { sw, chrome } = loadServiceWorker({ local: { backendUrl: BACKEND } });
+    await sw.JobStore.put(job({ status: 'pending' }));
+
+    await sw.initializeJobs();
+
+    assert.ok(chrome.alarms.all.has('retry:job-1'));
+    assert.ok(!chrome.alarms.all.has('poll:job-1'));
+  });
+
+  it('records progress and schedules the next poll', async () => {
+    const { sw, chrome } = loadServiceWorker({
+      local: { backendUrl: BACKEND },
+      fetch: jsonFetch({ '/lca/status/b-1': { status: 'running', progress: 40 } })
+    });
+    await sw.JobStore.put(job({ status: 'pending', backendJobId: 'b-1' }));
+
+    await sw.pollJobStatus('job-1');
+
+    const stored = await sw.JobStore.get('job-1');
+    assert.equal(stored.status, 'running');
+    assert.equal(stored.progress, 40);
+    assert.equal(stored.pollAttempts, 1);
+    assert.ok(chrome.alarms.all.has('poll:job-1'));
+  });
+
+  it('gives up after the maximum number of polls', async () => {
+    const { sw } = loadServiceWorker({ local: { backendUrl: BACKEND } });
+    await sw.JobStore.put(job({ status: 'running', backendJobId: 'b-1', pollAttempts: sw.CONFIG.POLL_MAX_ATTEMPTS }));
+
+    await sw.pollJobStatus('job-1');
+
+    const stored = await sw.JobStore.get('job-1');
+    assert.equal(stored.status, 'error');
+    assert.match(stored.error, /Timeout/);
+  });
+});
+
+describe('selection context menu', () => {
+  it('recreates the menu item on every install or update', async () => {
+    const { chrome } = loadServiceWorker();
+
+    await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'install' }));
+    await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'update' }));
+
+    assert.deepEqual([...chrome.contextMenus.items.keys()], ['analyseSelection']);
+    assert.deepEqual(chrome.contextMenus.errors, []);
+  });
+
+  it('hands the menu text to the popup when the page can\'t be read', async () => {
+    const { chrome } = loadServiceWorker();
+    chrome.tabs.sendMessage = async () => { throw new Error('No content script'); };
+
+    chrome.contextMenus.onClicked.dispatch(
+      { menuItemId: 'analyseSelection', selectionText: ' 75% recycled ', pageUrl: 'https://supplier.example/' },
+      { id: 7, title: 'Sheet' }
+    );
+    // onClicked doesn't wait for the capture; let it settle
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const selection = chrome.storage.session.data.pendingSelection;
+    assert.equal(selection.raw_text, '75% recycled');
+    assert.equal(selection.source_type, 'selection');
+    assert.equal(selection.url, 'https://supplier.example/');
+  });
+});
+
+const SETTINGS = { backendUrl: BACKEND, apiKey: 'key' };
+const PAYLOAD = {
+  url: 'https://supplier.example/sheet',
+  raw_text: 'Aluminium 6061-T6 extrusion',
+  user_inputs: { material: 'aluminium', recycled_percent: 30, energy_kwh: 100, transport_km: 50 }
+};
+
+// Answers each request to path with the next response in turn (the last repeats)
+function sequence(responses) {
+  let index = 0;
+  return async () => {
+    const response = responses[Math.min(index++, responses.length - 1)];
+    if (response instanceof Error) throw response;
+    return typeof response === 'number'
+      ? new Response('{}', { status: response })
+      : Response.json(response);
+  };
+}
+
+describe('submit retries and resubmission', () => {
+  it('retries a transient failure and then sends the job', async () => {
+    const { sw, chrome } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({ '/lca/submit': sequence([503, { job_id: 'b-1' }]) })
+    });
+
+    const submitted = await sw.submitJob(PAYLOAD);
+    assert.equal(submitted.retrying, true);
+    assert.equal(submitted.retries, 1);
+    assert.ok(chrome.alarms.all.has(`retry:${submitted.jobId}`));
+
+    await sw.retrySubmit(submitted.jobId);
+
+    const stored = await sw.JobStore.get(submitted.jobId);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.backendJobId, 'b-1');
+    assert.equal(stored.nextRetryAt, null);
+    assert.ok(chrome.alarms.all.has(`poll:${submitted.jobId}`));
+  });
+
+  it('fails permanent errors straight away', async () => {
+    const { sw, chrome } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({ '/lca/submit': sequence([400]) })
+    });
+
+    await assert.rejects(sw.submitJob(PAYLOAD), /Backend returned 400/);
+
+    const [stored] = await sw.JobStore.list();
+    assert.equal(stored.status, 'error');
+    assert.equal(stored.errorType, 'permanent');
+    assert.equal(chrome.alarms.all.size, 0);
+  });
+
+  it('gives up after the maximum number of retries', async () => {
+    const { sw } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({ '/lca/submit': sequence([503]) })
+    });
+
+    const { jobId } = await sw.submitJob(PAYLOAD);
+    for (let retry = 1; retry < sw.CONFIG.MAX_RETRIES; retry++) {
+      await sw.retrySubmit(jobId);
+    }
+    assert.equal((await sw.JobStore.get(jobId)).retries, sw.CONFIG.MAX_RETRIES);
+
+    await sw.retrySubmit(jobId);
+
+    const stored = await sw.JobStore.get(jobId);
+    assert.equal(stored.status, 'error');
+    assert.equal(stored.errorType, 'transient');
+  });
+
+  it('resubmits with edited inputs as a linked job', async () => {
+    const { sw } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({ '/lca/submit': (url, options) => ({ job_id: `b-${JSON.parse(options.body).job_id}` }) })
+    });
+    const { jobId } = await sw.submitJob(PAYLOAD);
+
+    const resubmitted = await sw.resubmitJob(jobId, { energy_kwh: 12.5 }, true);
+
+    const copy = await sw.JobStore.get(resubmitted.jobId);
+    assert.equal(copy.resubmittedFrom, jobId);
+    assert.equal(copy.payload.user_inputs.energy_kwh, 12.5);
+    assert.equal(copy.payload.user_inputs.transport_km, 50);
+    assert.equal((await sw.JobStore.get(jobId)).resubmittedAs, resubmitted.jobId);
+  });
+});
+
+describe('cancellation', () => {
+  it('cancels the backend job when the user cancelled while it was being submitted', async () => {
+    let submitted;
+    let release;
+    const cancelled = [];
+    const { sw } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({
+        '/lca/submit': () => {
+          submitted();
+          return new Promise(resolve => { release = () => resolve({ job_id: 'b-1' }); });
+        },
+        '/lca/cancel/b-1': () => { cancelled.push('b-1'); return {}; }
+      })
+    });
+    const inFlight = new Promise(resolve => { submitted = resolve; });
+
+    const submitting = sw.submitJob(PAYLOAD);
+    await inFlight;
+    const [{ id: jobId }] = await sw.JobStore.list();
+    await sw.cancelJob(jobId);
+    release();
+    await submitting;
+
+    const stored = await sw.JobStore.get(jobId);
+    assert.deepEqual(cancelled, ['b-1']);
+    assert.equal(stored.status, 'cancelled');
+    assert.equal(stored.backendJobId, 'b-1');
+    assert.equal(stored.backendCancelled, true);
+  });
+});
+
+// Answers every submit with a backend ID derived from the local one
+const acceptAll = () => jsonFetch({ '/lca/submit': (url, options) => ({ job_id: `b-${JSON.parse(options.body).job_id}` }) });
+
+describe('scheduler', () => {
+  it('holds jobs back while the backend has no free slot', async () => {
+    const { sw } = loadServiceWorker({ local: { ...SETTINGS, maxConcurrentJobs: 2 }, fetch: acceptAll() });
+
+    const first = await sw.submitJob({ ...PAYLOAD, url: 'https://supplier.example/a' });
+    const second = await sw.submitJob({ ...PAYLOAD, url: 'https://supplier.example/b' });
+    const third = await sw.submitJob({ ...PAYLOAD, url: 'https://supplier.example/c' });
+
+    assert.equal(first.status, 'pending');
+    assert.equal(second.status, 'pending');
+    assert.equal(third.waiting, true);
+    assert.equal(third.position, 1);
+
+    await sw.updateJob(first.jobId, { status: 'done', result: { co2_kg: 1 } }, ['pending']);
+    await sw.runScheduler();
+
+    assert.equal((await sw.JobStore.get(third.jobId)).status, 'pending');
+  });
+
+  it('sends interactive jobs before batch jobs, then oldest first', async () => {
+    const { sw } = loadServiceWorker({ local: { ...SETTINGS, maxConcurrentJobs: 1 }, fetch: acceptAll() });
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+    await sw.JobStore.put(job({ id: 'busy', status: 'running', backendJobId: 'b-busy' }));
+    await sw.JobStore.put(job({ id: 'batch-old', status: 'waiting', priority: 'batch', createdAt: minutesAgo(10) }));
+    await sw.JobStore.put(job({ id: 'batch-new', status: 'waiting', priority: 'batch', createdAt: minutesAgo(5) }));
+    await sw.JobStore.put(job({ id: 'click', status: 'waiting', priority: 'interactive', createdAt: minutesAgo(1) }));
+    const status = async (id) => (await sw.JobStore.get(id)).status;
+
+    await sw.runScheduler();
+    assert.equal(await status('click'), 'waiting');
+
+    await sw.updateJob('busy', { status: 'done' }, ['running']);
+    await sw.runScheduler();
+    assert.deepEqual([await status('click'), await status('batch-old'), await status('batch-new')], ['pending', 'waiting', 'waiting']);
+
+    await sw.updateJob('click', { status: 'done' }, ['pending']);
+    await sw.runScheduler();
+    assert.deepEqual([await status('batch-old'), await status('batch-new')], ['pending', 'waiting']);
+  });
+
+  it('counts slots per backend', async () => {
+    const { sw } = loadServiceWorker({ local: { ...SETTINGS, maxConcurrentJobs: 1 }, fetch: acceptAll() });
+    await sw.JobStore.put(job({ id: 'busy', status: 'running', backendUrl: 'https://other.example' }));
+
+    const submitted = await sw.submitJob(PAYLOAD);
+
+    assert.equal(submitted.status, 'pending');
+  });
+});
+
+describe('batches', () => {
+  const PAGES = ['a', 'b', 'c'].map(page => ({ ...PAYLOAD, url: `https://supplier.example/${page}` }));
+
+  it('submits every page as a linked batch job', async () => {
+    const { sw } = loadServiceWorker({ local: { ...SETTINGS, maxConcurrentJobs: 2 }, fetch: acceptAll() });
+
+    const submitted = await sw.submitBatch('Extrusions', PAGES);
+
+    const batch = await sw.JobStore.getBatch(submitted.batchId);
+    const jobs = await Promise.all(submitted.jobIds.map(jobId => sw.JobStore.get(jobId)));
+    assert.equal(batch.name, 'Extrusions');
+    assert.deepEqual([...batch.jobIds], [...submitted.jobIds]);
+    assert.deepEqual(jobs.map(stored => stored.url), PAGES.map(page => page.url));
+    assert.ok(jobs.every(stored => stored.batchId === submitted.batchId && stored.priority === 'batch'));
+    assert.deepEqual(jobs.map(stored => stored.status), ['pending', 'pending', 'waiting']);
+    assert.equal(submitted.failed, 0);
+  });
+
+  it('keeps the pages that were accepted and reports the others', async () => {
+    const { sw } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({
+        '/lca/submit': (url, options) => JSON.parse(options.body).url.endsWith('/b')
+          ? new Response('{}', { status: 400 })
+          : { job_id: 'b-1' }
+      })
+    });
+
+    const submitted = await sw.submitBatch('', PAGES);
+
+    assert.equal(submitted.jobIds.length, 3);
+    assert.equal(submitted.failed, 1);
+    assert.match(submitted.errors[0], /^https:\/\/supplier\.example\/b: Backend returned 400/);
+    assert.equal((await sw.JobStore.getBatch(submitted.batchId)).name, 'Batch of 3 pages');
+  });
+
+  it('links pages analysed before to their earlier result', async () => {
+    const { sw } = loadServiceWorker({ local: SETTINGS, fetch: acceptAll() });
+    const earlier = await sw.submitJob(PAGES[0]);
+    await sw.updateJob(earlier.jobId, { status: 'done', result: { co2_kg: 7 }, completedAt: new Date().toISOString() }, ['pending']);
+
+    const { jobIds: [reusedId] } = await sw.submitBatch('Again', PAGES.slice(0, 1));
+
+    const reused = await sw.JobStore.get(reusedId);
+    assert.equal(reused.status, 'done');
+    assert.equal(reused.reusedFrom, earlier.jobId);
+  });
+
+  it('drops the batch when no page could be stored', async () => {
+    const { sw } = loadServiceWorker();
+
+    await assert.rejects(sw.submitBatch('Nothing', PAGES), /Backend URL not configured/);
+    await assert.rejects(sw.submitBatch('Empty', []), /No pages selected/);
+    assert.equal((await sw.JobStore.listBatches()).length, 0);
+  });
+});
+
+describe('offline queue', () => {
+  it('queues submissions while the backend is unreachable', async () => {
+    const { sw, chrome } = loadServiceWorker({ local: SETTINGS });
+
+    const submitted = await sw.submitJob(PAYLOAD);
+
+    assert.equal(submitted.queued, true);
+    assert.equal((await sw.JobStore.get(submitted.jobId)).status, 'queued');
+    assert.ok(chrome.alarms.all.has('healthCheck'));
+  });
+
+  it('fails the job when code around fetch() throws', async () => {
+    // A response without .json() makes the submit code itself throw a TypeError
+    const { sw } = loadServiceWorker({ local: SETTINGS, fetch: async () => ({ ok: true }) });
+
+    await assert.rejects(sw.submitJob(PAYLOAD), /json is not a function/);
+
+    const [stored] = await sw.JobStore.list();
+    assert.equal(stored.status, 'error');
+    assert.match(stored.error, /json/);
+  });
+
+  it('keeps jobs queued until the backend answers the health check', async () => {
+    let online = false;
+    const { sw, chrome } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: async (url, options) => {
+        if (!online) throw new TypeError('fetch failed');
+        return jsonFetch({ '/lca/ping': { ok: true }, '/lca/submit': { job_id: 'b-1' } })(url, options);
+      }
+    });
+    const { jobId } = await sw.submitJob(PAYLOAD);
+
+    assert.equal((await sw.flushQueue()).online, false);
+    assert.equal((await sw.JobStore.get(jobId)).status, 'queued');
+
+    online = true;
+    const flushed = await sw.flushQueue();
+
+    assert.equal(flushed.flushed, 1);
+    assert.equal(flushed.remaining, 0);
+    assert.equal((await sw.JobStore.get(jobId)).backendJobId, 'b-1');
+    assert.ok(!chrome.alarms.all.has('healthCheck'));
+  });
+
+  it('retries status checks the backend could not answer', async () => {
+    const { sw, chrome } = loadServiceWorker({ local: SETTINGS });
+    await sw.JobStore.put(job({ status: 'running', backendJobId: 'b-1' }));
+
+    await sw.pollJobStatus('job-1');
+
+    const stored = await sw.JobStore.get('job-1');
+    assert.equal(stored.status, 'running');
+    assert.equal(stored.pollAttempts, 1);
+    assert.ok(chrome.alarms.all.has('poll:job-1'));
+  });
+
+  it('discards the queue on request', async () => {
+    const { sw, chrome } = loadServiceWorker({ local: SETTINGS });
+    await sw.submitJob(PAYLOAD);
+
+    assert.equal((await sw.discardQueue()).discarded, 1);
+    assert.equal((await sw.JobStore.list()).length, 0);
+    assert.ok(!chrome.alarms.all.has('healthCheck'));
+  });
+});
+
+describe('preliminary estimate', () => {
+  it('is per kg, and not compared, when the job declares no functional unit', async () => {
+    const { sw } = loadServiceWorker({ local: SETTINGS, fetch: jsonFetch({ '/lca/submit': { job_id: 'b-1' } }) });
+
+    const { jobId } = await sw.submitJob(PAYLOAD);
+
+    const { estimate } = await sw.JobStore.get(jobId);
+    assert.equal(estimate.assumptions.mass_declared, false);
+    assert.equal(sw.EmissionFactors.compare(estimate, { co2_kg: 123.45 }), null);
+  });
+
+  it('covers the declared mass', async () => {
+    const { sw } = loadServiceWorker({ local: SETTINGS, fetch: jsonFetch({ '/lca/submit': { job_id: 'b-1' } }) });
+
+    const { jobId } = await sw.submitJob({
+      ...PAYLOAD,
+      user_inputs: { ...PAYLOAD.user_inputs, functional_unit: 't', quantity: 2 }
+    });
+
+    const { estimate } = await sw.JobStore.get(jobId);
+    assert.equal(estimate.assumptions.mass_declared, true);
+    assert.equal(estimate.assumptions.mass_kg, 2000);
+  });
+});
+
+// A text/event-stream body delivered in the given chunks
+function eventStream(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+describe('status stream', () => {
+  it('parses events split anywhere across chunks', async () => {
+    const { sw } = loadServiceWorker();
+    const events = [];
+
+    await sw.readEventStream(eventStream([
+      ': keep-alive\r\n\r\nevent: prog',
+      'ress\r\ndata: {"progress":',
+      ' 40}\r\n\r\ndata: first line\r',
+      '\ndata: second line\n\nevent: log\ndata: no blank line at the end'
+    ]), event => events.push({ ...event }));
+
+    assert.deepEqual(events, [
+      { event: 'progress', data: '{"progress": 40}' },
+      { event: 'message', data: 'first line\nsecond line' }
+    ]);
+  });
+
+  it('applies progress, log and status events to the job', async () => {
+    const { sw } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({
+        '/lca/stream/b-1': () => new Response(eventStream([
+          'event: progress\ndata: {"progress": 40}\n\n',
+          'event: log\ndata: {"level": "info", "message": "Matched 3 datasets"}\n\n',
+          'event: status\ndata: {"status": "done"}\n\n'
+        ]), { headers: { 'Content-Type': 'text/event-stream' } }),
+        '/lca/result/b-1': { material: 'aluminium', co2_kg: 12.5, circularity_score: 60, recycled_percent: 30 }
+      })
+    });
+    await sw.JobStore.put(job({ status: 'running', backendJobId: 'b-1' }));
+
+    await sw.openJobStream('job-1');
+
+    const stored = await sw.JobStore.get('job-1');
+    assert.equal(stored.status, 'done');
+    assert.equal(stored.result.co2_kg, 12.5);
+    assert.equal(stored.logs[0].message, 'Matched 3 datasets');
+    assert.ok(stored.streamEventAt);
+  });
+
+  it('falls back to polling for good when the backend has no stream', async () => {
+    let streamRequests = 0;
+    const { sw } = loadServiceWorker({
+      local: SETTINGS,
+      fetch: jsonFetch({ '/lca/stream/b-1': () => { streamRequests++; return new Response('', { status: 404 }); } })
+    });
+    await sw.JobStore.put(job({ status: 'running', backendJobId: 'b-1' }));
+
+    await sw.openJobStream('job-1');
+    await sw.openJobStream('job-1');
+
+    assert.equal(streamRequests, 1);
+    assert.equal((await sw.JobStore.get('job-1')).status, 'running');
+  });
+});
+
+describe('result reuse', () => {
+  it('fingerprints the same analysis the same way however the page was reached', async () => {
+    const { sw } = loadServiceWorker();
+    const fingerprint = (fields) => sw.fingerprintPayload({ ...PAYLOAD, ...fields });
+    const original = await fingerprint({});
+
+    assert.equal(await fingerprint({ url: 'https://supplier.example/sheet/?utm_source=mail&fbclid=1#specs' }), original);
+    assert.equal(await fingerprint({ raw_text: '  Aluminium\n6061-T6\t\textrusion ' }), original);
+    assert.equal(await fingerprint({ user_inputs: Object.fromEntries(Object.entries(PAYLOAD.user_inputs).reverse()) }), original);
+
+    assert.notEqual(await fingerprint({ url: 'https://supplier.example/sheet?variant=2' }), original);
+    assert.notEqual(await fingerprint({ raw_text: 'Aluminium 6063-T5 extrusion' }), original);
+    assert.notEqual(await fingerprint({ user_inputs: { ...PAYLOAD.user_inputs, recycled_percent: 31 } }), original);
+  });
+
+  it('offers a finished result for an identical submission, or links it', async () => {
+    const { sw } = loadServiceWorker({ local: SETTINGS, fetch: jsonFetch({ '/lca/submit': { job_id: 'b-1' } }) });
+    const { jobId } = await sw.submitJob(PAYLOAD);
+    await sw.JobStore.update(jobId, stored => {
+      Object.assign(stored, { status: 'done', result: { co2_kg: 12.5 }, completedAt: new Date().toISOString() });
+    });
+
+    const offered = await sw.submitJob({ ...PAYLOAD, url: `${PAYLOAD.url}#top` });
+    assert.equal(offered.cached, true);
+    assert.equal(offered.cachedJobId, jobId);
+    assert.equal((await sw.JobStore.list()).length, 1);
+
+    const linked = await sw.submitJob(PAYLOAD, false, {}, { reuse: 'link' });
+    const copy = await sw.JobStore.get(linked.jobId);
+    assert.equal(copy.status, 'done');
+    assert.equal(copy.reusedFrom, jobId);
+    assert.equal(copy.result.co2_kg, 12.5);
+
+    const forced = await sw.submitJob(PAYLOAD, false, {}, { force: true });
+    assert.equal(forced.cached, undefined);
+    assert.equal((await sw.JobStore.get(forced.jobId)).status, 'pending');
+  });
+
+  it('only reuses recent results from the same backend', async () => {
+    const { sw, chrome } = loadServiceWorker({ local: { ...SETTINGS, resultCacheHours: 1 } });
+    const fingerprint = await sw.fingerprintPayload(PAYLOAD);
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 3600000).toISOString();
+    await sw.JobStore.put(job({ id: 'old', fingerprint, status: 'done', result: { co2_kg: 1 }, completedAt: hoursAgo(2) }));
+    await sw.JobStore.put(job({ id: 'elsewhere', fingerprint, backendUrl: 'https://other.example', status: 'done', result: { co2_kg: 1 }, completedAt: hoursAgo(0) }));
+    await sw.JobStore.put(job({ id: 'failed', fingerprint, status: 'error', completedAt: hoursAgo(0) }));
+
+    assert.equal(await sw.findCachedJob(fingerprint, BACKEND), null);
+
+    await sw.JobStore.put(job({ id: 'recent', fingerprint, status: 'done', result: { co2_kg: 1 }, completedAt: hoursAgo(0.5) }));
+    assert.equal((await sw.findCachedJob(fingerprint, BACKEND)).id, 'recent');
+
+    chrome.storage.local.data.resultCacheHours = 0;
+    assert.equal(await sw.findCachedJob(fingerprint, BACKEND), null);
+  });
+});
@@ -0,0 +1,42 @@
+// Loads service_worker.js (and the modules it imports) against the chrome
+// stub, a fresh in-memory IndexedDB and a stubbed fetch()
+
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { createChrome } from './chrome_stub.js';
+import { load } from './sandbox.js';
+
+// Expected failures are asserted on, not printed
+const quietConsole = { ...console, log() {}, warn() {}, error() {} };
+
+/**
+ * @param {Object} options - { local, session } storage contents and a
+ *   fetch(url, options) stub; without one every request fails to connect
+ * @returns {Object} { sw, chrome } - sw resolves service worker globals
+ */
+export function loadServiceWorker({ local = {}, session = {}, fetch } = {}) {
+  const chrome = createChrome({ local, session });
+  const sw = load(['service_worker.js'], {
+    chrome,
+    console: quietConsole,
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+    fetch: fetch || (async () => { throw new TypeError('fetch failed'); })
+  });
+  return { sw, chrome };
+}
+
+/**
+ * fetch() stub answering JSON by path, e.g. { '/lca/status/b-1': { status: 'running' } }.
+ * A function value gets (url, options) and returns the body or a Response.
+ */
+export function jsonFetch(routes) {
+  return async (url, options) => {
+    const path = new URL(url).pathname;
+    const route = routes[path];
+    if (route === undefined) {
+      return new Response('Not found', { status: 404 });
+    }
+    const body = typeof route === 'function' ? await route(url, options) : route;
+    return body instanceof Response ? body : Response.json(body);
+  };
+}
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { load } from './sandbox.js';
+
+const { TextChunker } = load(['text_chunker.js']);
+const { CHUNK_SIZE } = TextChunker;
+
+const hash = (text) => createHash('sha256').update(text, 'utf8').digest('hex');
+
+// A section of about `size` characters made of short paragraphs
+function section(heading, size) {
+  const paragraph = `${heading} paragraph with some words about recycled content.\n\n`;
+  return `${heading}\n\n` + paragraph.repeat(Math.ceil(size / paragraph.length));
+}
+
+// Text made of the given sections, with their { heading, start } offsets
+function document(...parts) {
+  let text = '';
+  const sections = parts.map(([heading, size]) => {
+    const start = text.length;
+    text += section(heading, size);
+    return { heading, start };
+  });
+  return { text, sections };
+}
+
+describe('TextChunker.chunk', () => {
+  it('leaves short texts in one chunk', () => {
+    const text = section('Intro', 1000);
+
+    assert.equal(TextChunker.needsChunking(text), false);
+    assert.equal(TextChunker.needsChunking('x'.repeat(CHUNK_SIZE + 1)), true);
+    assert.equal(TextChunker.needsChunking(null), false);
+    assert.equal(TextChunker.chunk(text).length, 1);
+    assert.equal(TextChunker.chunk(text)[0].text, text);
+  });
+
+  it('cuts at section starts and joins back to the original text', () => {
+    const { text, sections } = document(['Materials', 25000], ['Energy', 25000], ['Transport', 10000]);
+    const chunks = [...TextChunker.chunk(text, sections)];
+
+    assert.equal(chunks.map(part => part.text).join(''), text);
+    assert.deepEqual(chunks.map(part => part.start), [0, sections[1].start]);
+    assert.deepEqual(chunks.map(part => part.heading), ['Materials', 'Energy']);
+    assert.deepEqual([...chunks[1].headings], ['Energy', 'Transport']);
+    assert.deepEqual(chunks.map(part => part.index), [0, 1]);
+    chunks.forEach(part => assert.ok(part.text.length <= CHUNK_SIZE));
+  });
+
+  it('splits an oversized section at paragraph breaks', () => {
+    const { text, sections } = document(['Appendix', CHUNK_SIZE * 2.5]);
+    const chunks = [...TextChunker.chunk(text, sections)];
+
+    assert.equal(chunks.length, 3);
+    assert.equal(chunks.map(part => part.text).join(''), text);
+    chunks.forEach(part => {
+      assert.ok(part.text.length <= CHUNK_SIZE);
+      assert.equal(part.heading, 'Appendix');
+    });
+    chunks.slice(0, -1).forEach(part => assert.ok(part.text.endsWith('\n\n')));
+  });
+
+  it('cuts text without any break at the chunk size', () => {
+    const text = 'x'.repeat(CHUNK_SIZE * 2 + 10);
+    assert.deepEqual([...TextChunker.chunk(text)].map(part => part.text.length), [CHUNK_SIZE, CHUNK_SIZE, 10]);
+  });
+
+  it('ignores section offsets that do not fit the text', () => {
+    const text = 'x'.repeat(CHUNK_SIZE + 10);
+    const chunks = [...TextChunker.chunk(text, [
+      { heading: 'Out of range', start: text.length + 5 },
+      { heading: 'Negative', start: -1 },
+      { heading: 'Fraction', start: 1.5 }
+    ])];
+
+    assert.equal(chunks.map(part => part.text).join(''), text);
+    assert.ok(chunks.every(part => part.heading === null));
+  });
+});
+
+describe('TextChunker.prepare', () => {
+  it('hashes the UTF-8 bytes of the whole text and of each chunk', async () => {
+    const { text, sections } = document(['Werkstoff – Zusammensetzung', 30000], ['Énergie ♻', 30000]);
+    const prepared = await TextChunker.prepare(text, sections);
+
+    assert.equal(prepared.total_chars, text.length);
+    assert.equal(prepared.sha256, hash(text));
+    assert.equal(prepared.chunks.length, 2);
+    prepared.chunks.forEach(part => {
+      assert.equal(part.sha256, hash(part.text));
+      assert.equal(part.chars, part.text.length);
+    });
+    assert.equal(prepared.chunks.map(part => part.text).join(''), text);
+    assert.equal(await TextChunker.sha256(''), hash(''));
+  });
+});
@@ -0,0 +1,136 @@
+// Text Chunker - splits long page text into section-aligned upload chunks
+// Loaded into the service worker (chunked submissions) and the popup (preview
+// of how a page will be sent). Chunks are exact slices of the text, cut at
+// section boundaries where possible, so joining them gives back the original
+// text and its hash.
+
+'use strict';
+
+const TextChunker = (() => {
+  // Largest chunk sent in one request; texts up to this size go in one submit
+  const CHUNK_SIZE = 40000;
+
+  /**
+   * Whether a text has to be sent as a chunked submission
+   */
+  function needsChunking(text) {
+    return (text || '').length > CHUNK_SIZE;
+  }
+
+  /**
+   * Split text into chunks of at most CHUNK_SIZE characters
+   * @param {string} text - Full text
+   * @param {Object[]} sections - Optional [{ heading, start }] offsets into text;
+   *   sections are kept whole unless a single one is larger than a chunk
+   * @returns {Object[]} [{ index, heading, headings, start, end, text }];
+   *   heading is the section the chunk starts in, headings all sections it touches
+   */
+  function chunk(text, sections = []) {
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current && current.end > current.start) {
+        chunks.push({ ...current, index: chunks.length, text: text.slice(current.start, current.end) });
+      }
+      current = null;
+    };
+
+    getSegments(text, sections).forEach(segment => {
+      if (current && segment.end - current.start > CHUNK_SIZE) {
+        flush();
+      }
+
+      // Sections too big for one chunk are cut at paragraph breaks
+      let start = segment.start;
+      while (segment.end - start > CHUNK_SIZE) {
+        const end = findBreak(text, start, start + CHUNK_SIZE);
+        current = { heading: segment.heading, headings: segment.heading ? [segment.heading] : [], start, end };
+        flush();
+        start = end;
+      }
+
+      if (!current) {
+        current = { heading: segment.heading, headings: [], start, end: start };
+      }
+      if (segment.heading && !current.headings.includes(segment.heading)) {
+        current.headings.push(segment.heading);
+      }
+      current.end = segment.end;
+    });
+    flush();
+
+    return chunks;
+  }
+
+  /**
+   * Chunks with their SHA-256 hashes, plus the hash of the whole text
+   * @returns {Promise<Object>} { total_chars, sha256, chunks: [{ index, heading, chars, sha256, text }] }
+   */
+  async function prepare(text, sections = []) {
+    const chunks = chunk(text, sections);
+    return {
+      total_chars: text.length,
+      sha256: await sha256(text),
+      chunks: await Promise.all(chunks.map(async part => ({
+        index: part.index,
+        heading: part.heading,
+        chars: part.text.length,
+        sha256: await sha256(part.text),
+        text: part.text
+      })))
+    };
+  }
+
+  /**
+   * Hex SHA-256 of a string's UTF-8 bytes
+   */
+  async function sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Turn section offsets into consecutive segments covering the whole text.
+   * Offsets that don't fit the text (e.g. after it was edited) are ignored.
+   */
+  function getSegments(text, sections) {
+    const starts = (Array.isArray(sections) ? sections : [])
+      .filter(section => Number.isInteger(section.start) && section.start >= 0 && section.start < text.length)
+      .sort((a, b) => a.start - b.start)
+      .filter((section, index, sorted) => index === 0 || section.start > sorted[index - 1].start);
+
+    if (starts.length === 0 || starts[0].start > 0) {
+      starts.unshift({ heading: null, start: 0 });
+    }
+
+    return starts.map((section, index) => ({
+      heading: section.heading || null,
+      start: section.start,
+      end: index + 1 < starts.length ? starts[index + 1].start : text.length
+    }));
+  }
+
+  /**
+   * Where to cut an oversized section: the last paragraph break, line break or
+   * space before the limit, so words and paragraphs stay together
+   */
+  function findBreak(text, start, limit) {
+    const span = text.slice(start, limit);
+    for (const separator of ['\n\n', '\n', ' ']) {
+      const index = span.lastIndexOf(separator);
+      if (index > span.length / 2) {
+        return start + index + separator.length;
+      }
+    }
+    return limit;
+  }
+
+  return {
+    CHUNK_SIZE,
+    needsChunking,
+    chunk,
+    prepare,
+    sha256
+  };
+})();